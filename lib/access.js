@@ -0,0 +1,538 @@
+/*
+ * mobile-de-shopify-app/lib/access.js
+ *
+ * Access control for the app's own API.  Besides the App Bridge session
+ * tokens of the embedded admin (lib/shopifyAuth.js), requests to /api
+ * are accepted from
+ *   - API keys, for scripts: sent in the X-API-Key header;
+ *   - staff accounts: username and password, logged in through
+ *     POST /auth/login, which sets an HttpOnly session cookie valid for
+ *     LOGIN_SESSION_HOURS (default 12).  After MAX_LOGIN_FAILURES_PER_USER
+ *     failed logins for a username, or MAX_LOGIN_FAILURES_PER_CLIENT from
+ *     a client address, within LOGIN_WINDOW_MS further attempts are
+ *     refused with 429 until the window ends.
+ * Keys and accounts belong to the shop of the admin who created them and
+ * act on its behalf.  Each has a role; roles are cumulative:
+ *   viewer   – read runs and download exports;
+ *   operator – also start runs, push to and archive in the store, mirror
+ *              images and set up post-processing;
+ *   admin    – also edit settings, pricing, mappings, export profiles
+ *              and actor presets, and manage accounts and keys.
+ * App Bridge sessions get SHOPIFY_SESSION_ROLE (default admin).
+ *
+ * With SHOPIFY_AUTH_DISABLED=true only keys and accounts are accepted;
+ * ACCESS_CONTROL_DISABLED=true opens the API to anyone (local
+ * development only).  APP_ADMIN_USER and APP_ADMIN_PASSWORD create the
+ * first admin account at start.  Denied requests are logged to the
+ * console, at most once per DENIED_LOG_INTERVAL_MS for each client
+ * address.  Those of a known key, account or session are also kept for
+ * the admins of its shop, the last MAX_DENIED_ENTRIES per shop; anonymous
+ * ones are not stored, so unauthenticated clients cannot fill the store.
+ *
+ * Passwords are hashed with scrypt; API keys and session tokens are
+ * stored as SHA-256 hashes only.  Everything lives in `access.json` in
+ * the data directory.
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { createJsonStore } from './jsonStore.js';
+import { getAuthConfig, sessionTokenFromRequest, readCookie } from './shopifyAuth.js';
+
+const store = createJsonStore('access.json', { users: {}, apiKeys: {}, sessions: {}, denied: [] });
+const scrypt = promisify(crypto.scrypt);
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+export const LOGIN_COOKIE = 'app_session';
+export const API_KEY_HEADER = 'X-API-Key';
+export const MAX_DENIED_ENTRIES = 200;
+export const MIN_PASSWORD_LENGTH = 10;
+
+const API_KEY_PREFIX = 'mdk_';
+const USERNAME = /^[a-zA-Z0-9._@-]{2,64}$/;
+// lastUsedAt of API keys is written at most this often.
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+// Denied requests of one client address are logged at most this often;
+// the addresses seen are kept in memory, up to MAX_LOGGED_CLIENTS.
+const DENIED_LOG_INTERVAL_MS = 60 * 1000;
+const MAX_LOGGED_CLIENTS = 1000;
+
+// Client address -> { loggedAt, suppressed } of the last logged denial.
+const deniedLog = new Map();
+
+export const MAX_LOGIN_FAILURES_PER_USER = 5;
+export const MAX_LOGIN_FAILURES_PER_CLIENT = 20;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+// Usernames and addresses with recent failed logins kept in memory.
+const MAX_TRACKED_LOGINS = 10000;
+
+// `user:<name>` or `ip:<address>` -> { failures, since } of the current
+// window of failed logins.
+const loginFailures = new Map();
+
+/*
+ * Error raised for denied requests (401 or 403) and invalid accounts or
+ * keys (400); `status` is the HTTP status to answer with.
+ */
+export class AccessError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AccessError';
+    this.status = status;
+  }
+}
+
+function shopKey(shop) {
+  return shop || '';
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function loginSessionMs() {
+  const hours = parseFloat(process.env.LOGIN_SESSION_HOURS);
+  return (!Number.isNaN(hours) && hours > 0 ? hours : 12) * 3600 * 1000;
+}
+
+export function accessControlDisabled() {
+  return String(process.env.ACCESS_CONTROL_DISABLED || 'false').toLowerCase() === 'true';
+}
+
+function shopifySessionRole() {
+  const role = process.env.SHOPIFY_SESSION_ROLE || 'admin';
+  return ROLES.includes(role) ? role : 'viewer';
+}
+
+/*
+ * Whether `role` may do what `required` may.
+ */
+export function roleAllows(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(role);
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) throw new AccessError(`role must be one of ${ROLES.join(', ')}`);
+  return role;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AccessError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return password;
+}
+
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+function publicApiKey(key) {
+  const { hash, ...rest } = key;
+  return rest;
+}
+
+/*
+ * List the shop's staff accounts (without password hashes).
+ */
+export async function listUsers(shop) {
+  const data = await store.read();
+  return Object.values(data.users)
+    .filter((user) => user.shop === shopKey(shop))
+    .map(publicUser)
+    .sort((a, b) => a.username.localeCompare(b.username));
+}
+
+/*
+ * Create a staff account for the shop: { username, password, role }.
+ * Usernames are unique across shops, as the login form does not ask for
+ * one.  Resolves to the account.
+ */
+export async function createUser(shop, { username, password, role } = {}) {
+  if (typeof username !== 'string' || !USERNAME.test(username)) {
+    throw new AccessError('username must be 2-64 letters, digits or ._@-');
+  }
+  validateRole(role);
+  const passwordHash = await hashPassword(validatePassword(password));
+  let created = null;
+  await store.update((data) => {
+    if (data.users[username.toLowerCase()]) throw new AccessError(`User "${username}" already exists`, 409);
+    created = {
+      username: username.toLowerCase(),
+      shop: shopKey(shop),
+      role,
+      passwordHash,
+      createdAt: new Date().toISOString(),
+      lastLoginAt: null
+    };
+    data.users[created.username] = created;
+  });
+  return publicUser(created);
+}
+
+/*
+ * Change the role and/or password of a staff account of the shop.  A new
+ * password ends the account's login sessions.  Resolves to the account,
+ * or null when the shop has no such user.
+ */
+export async function updateUser(shop, username, { role, password } = {}) {
+  if (role !== undefined) validateRole(role);
+  const passwordHash = password !== undefined ? await hashPassword(validatePassword(password)) : null;
+  let updated = null;
+  await store.update((data) => {
+    const user = data.users[String(username).toLowerCase()];
+    if (!user || user.shop !== shopKey(shop)) return;
+    if (role !== undefined) user.role = role;
+    if (passwordHash) {
+      user.passwordHash = passwordHash;
+      dropSessions(data, (session) => session.username === user.username);
+    }
+    updated = publicUser(user);
+  });
+  return updated;
+}
+
+/*
+ * Delete a staff account of the shop and end its login sessions.
+ * Resolves to false when the shop has no such user.
+ */
+export async function deleteUser(shop, username) {
+  let deleted = false;
+  await store.update((data) => {
+    const user = data.users[String(username).toLowerCase()];
+    if (!user || user.shop !== shopKey(shop)) return;
+    delete data.users[user.username];
+    dropSessions(data, (session) => session.username === user.username);
+    deleted = true;
+  });
+  return deleted;
+}
+
+function dropSessions(data, predicate) {
+  for (const [hash, session] of Object.entries(data.sessions)) {
+    if (predicate(session)) delete data.sessions[hash];
+  }
+}
+
+/*
+ * Create the admin account of APP_ADMIN_USER / APP_ADMIN_PASSWORD (for
+ * the shop of SHOPIFY_SHOP, or the single local shop) unless it exists.
+ */
+export async function ensureBootstrapAdmin() {
+  const username = process.env.APP_ADMIN_USER;
+  const password = process.env.APP_ADMIN_PASSWORD;
+  if (!username || !password) return null;
+  const data = await store.read();
+  if (data.users[username.toLowerCase()]) return null;
+  const shop = getAuthConfig().disabled ? '' : (process.env.SHOPIFY_SHOP || '');
+  return createUser(shop, { username, password, role: 'admin' });
+}
+
+// Failed logins of a key in the current window, or null.
+function loginFailureWindow(key, now) {
+  const entry = loginFailures.get(key);
+  return entry && now - entry.since < LOGIN_WINDOW_MS ? entry : null;
+}
+
+function countLoginFailure(key, now) {
+  let entry = loginFailureWindow(key, now);
+  if (!entry) {
+    if (loginFailures.size >= MAX_TRACKED_LOGINS) {
+      for (const [k, e] of loginFailures) {
+        if (now - e.since >= LOGIN_WINDOW_MS) loginFailures.delete(k);
+      }
+      if (loginFailures.size >= MAX_TRACKED_LOGINS) loginFailures.clear();
+    }
+    entry = { failures: 0, since: now };
+    loginFailures.set(key, entry);
+  }
+  entry.failures += 1;
+}
+
+/*
+ * Check a username and password and open a login session.  Resolves to
+ * { token, user, expiresAt }; throws an AccessError(401) when they do not
+ * match, or (429, with `retryAfter` in seconds) when the username or the
+ * client address `ip` failed too often recently.
+ */
+export async function login(username, password, ip = '') {
+  const name = String(username || '').toLowerCase();
+  const limits = [[`user:${name}`, MAX_LOGIN_FAILURES_PER_USER], [`ip:${ip}`, MAX_LOGIN_FAILURES_PER_CLIENT]];
+  const attemptedAt = Date.now();
+  for (const [key, max] of limits) {
+    const recent = loginFailureWindow(key, attemptedAt);
+    if (recent && recent.failures >= max) {
+      const err = new AccessError('Too many failed logins. Try again later.', 429);
+      err.retryAfter = Math.ceil((recent.since + LOGIN_WINDOW_MS - attemptedAt) / 1000);
+      throw err;
+    }
+  }
+  const data = await store.read();
+  const user = data.users[name];
+  // Hash anyway for unknown users so timing does not reveal them.
+  const valid = await verifyPassword(password, user ? user.passwordHash : `scrypt$00$${'0'.repeat(128)}`);
+  if (!user || !valid) {
+    limits.forEach(([key]) => countLoginFailure(key, attemptedAt));
+    throw new AccessError('Invalid username or password', 401);
+  }
+  loginFailures.delete(`user:${name}`);
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date().toISOString();
+  const expiresAt = new Date(Date.now() + loginSessionMs()).toISOString();
+  await store.update((current) => {
+    // Expired sessions are dropped whenever someone logs in.
+    dropSessions(current, (session) => session.expiresAt < now);
+    current.sessions[hashSecret(token)] = { username: user.username, createdAt: now, expiresAt };
+    if (current.users[user.username]) current.users[user.username].lastLoginAt = now;
+  });
+  return { token, user: publicUser(user), expiresAt };
+}
+
+/*
+ * End a login session.
+ */
+export async function logout(token) {
+  if (!token) return;
+  await store.update((data) => {
+    delete data.sessions[hashSecret(token)];
+  });
+}
+
+/*
+ * List the shop's API keys (without their hashes).
+ */
+export async function listApiKeys(shop) {
+  const data = await store.read();
+  return Object.values(data.apiKeys)
+    .filter((key) => key.shop === shopKey(shop))
+    .map(publicApiKey)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/*
+ * Create an API key for the shop: { name, role }.  Resolves to { key,
+ * apiKey }: the secret itself, shown this once, and the stored record.
+ */
+export async function createApiKey(shop, { name, role } = {}) {
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    throw new AccessError('name is required (at most 100 characters)');
+  }
+  validateRole(role);
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+  const record = {
+    id: crypto.randomUUID(),
+    name: name.trim(),
+    shop: shopKey(shop),
+    role,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    hash: hashSecret(key),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
+  };
+  await store.update((data) => {
+    data.apiKeys[record.id] = record;
+  });
+  return { key, apiKey: publicApiKey(record) };
+}
+
+/*
+ * Revoke an API key of the shop.  Resolves to false when the shop has
+ * no such key.
+ */
+export async function deleteApiKey(shop, id) {
+  let deleted = false;
+  await store.update((data) => {
+    const key = data.apiKeys[id];
+    if (!key || key.shop !== shopKey(shop)) return;
+    delete data.apiKeys[id];
+    deleted = true;
+  });
+  return deleted;
+}
+
+/*
+ * Forget the accounts, keys and denied requests of a shop.
+ */
+export async function deleteShopAccess(shop) {
+  await store.update((data) => {
+    const usernames = new Set();
+    for (const [username, user] of Object.entries(data.users)) {
+      if (user.shop !== shopKey(shop)) continue;
+      usernames.add(username);
+      delete data.users[username];
+    }
+    dropSessions(data, (session) => usernames.has(session.username));
+    for (const [id, key] of Object.entries(data.apiKeys)) {
+      if (key.shop === shopKey(shop)) delete data.apiKeys[id];
+    }
+    data.denied = data.denied.filter((entry) => entry.shop !== shopKey(shop));
+  });
+}
+
+/*
+ * Warn about a denied request on the console unless its client address
+ * was warned about within DENIED_LOG_INTERVAL_MS; the next warning tells
+ * how many were left out meanwhile.
+ */
+function logDenied(entry) {
+  const now = Date.now();
+  const last = deniedLog.get(entry.ip);
+  if (last && now - last.loggedAt < DENIED_LOG_INTERVAL_MS) {
+    last.suppressed++;
+    return;
+  }
+  if (!last && deniedLog.size >= MAX_LOGGED_CLIENTS) {
+    for (const [ip, logged] of deniedLog) {
+      if (now - logged.loggedAt >= DENIED_LOG_INTERVAL_MS) deniedLog.delete(ip);
+    }
+    if (deniedLog.size >= MAX_LOGGED_CLIENTS) deniedLog.clear();
+  }
+  const more = last && last.suppressed ? ` (${last.suppressed} more since the last warning)` : '';
+  console.warn(`Access denied (${entry.status}): ${entry.method} ${entry.path} from ${entry.ip} by ${entry.who}: ${entry.reason}${more}`);
+  deniedLog.set(entry.ip, { loggedAt: now, suppressed: 0 });
+}
+
+/*
+ * Log a denied request to the console and, when `principal` (who was
+ * denied) is known, keep it for the admins of its shop
+ * (GET /api/access/denied).
+ */
+export async function recordDenied(req, status, reason, principal = null) {
+  const entry = {
+    at: new Date().toISOString(),
+    status,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    ip: req.ip,
+    who: principal ? `${principal.type} ${principal.name} (${principal.role})` : 'anonymous',
+    shop: principal ? shopKey(principal.shop) : null,
+    reason
+  };
+  logDenied(entry);
+  if (!principal) return;
+  try {
+    await store.update((data) => {
+      let kept = 0;
+      data.denied = [entry, ...data.denied].filter((e) => e.shop !== entry.shop || ++kept <= MAX_DENIED_ENTRIES);
+    });
+  } catch (err) {
+    console.error(`Failed to record denied request: ${err.message}`);
+  }
+}
+
+/*
+ * The denied requests of the shop's keys, accounts and sessions, newest
+ * first.
+ */
+export async function listDenied(shop) {
+  const data = await store.read();
+  return data.denied.filter((entry) => entry.shop === shopKey(shop));
+}
+
+/*
+ * Who sent a request by API key or login cookie: { type ('api-key' or
+ * 'user'), name, role, shop }, or null when it carries neither.  An
+ * unknown key or expired session throws an AccessError(401).
+ */
+async function credentialPrincipal(req) {
+  const key = req.get(API_KEY_HEADER);
+  const cookie = readCookie(req, LOGIN_COOKIE);
+  if (!key && !cookie) return null;
+  const data = await store.read();
+  const now = new Date();
+  if (key) {
+    const record = Object.values(data.apiKeys).find((k) => k.hash === hashSecret(key));
+    if (!record) throw new AccessError('Invalid API key', 401);
+    if (!record.lastUsedAt || now - new Date(record.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+      await store.update((current) => {
+        if (current.apiKeys[record.id]) current.apiKeys[record.id].lastUsedAt = now.toISOString();
+      });
+    }
+    return { type: 'api-key', name: record.name, role: record.role, shop: record.shop };
+  }
+  const session = data.sessions[hashSecret(cookie)];
+  const user = session && data.users[session.username];
+  if (!session || !user || session.expiresAt < now.toISOString()) {
+    throw new AccessError('Login session expired. Log in again.', 401);
+  }
+  return { type: 'user', name: user.username, role: user.role, shop: user.shop };
+}
+
+/*
+ * Express middleware authenticating requests to /api.  An API key or
+ * login cookie is checked first; otherwise `shopSession` (the middleware
+ * of requireShopSession()) checks the App Bridge session token, or, with
+ * SHOPIFY_AUTH_DISABLED, the request is refused unless
+ * ACCESS_CONTROL_DISABLED is set.  Sets `req.principal` ({ type, name,
+ * role, shop }) and `req.shopSession` as requireShopSession() does;
+ * keys and accounts of a shop get the session of its install, loaded
+ * with `loadShop(shop)`.
+ */
+export function authenticate({ loadShop, shopSession }) {
+  return async (req, res, next) => {
+    try {
+      const config = getAuthConfig();
+      const principal = await credentialPrincipal(req);
+      if (principal) {
+        req.principal = principal;
+        req.shopSession = null;
+        if (!config.disabled) {
+          const install = principal.shop ? await loadShop(principal.shop) : null;
+          if (!install || !install.accessToken) {
+            throw new AccessError(`The ${principal.type} is not bound to an installed shop`, 401);
+          }
+          req.shopSession = { shop: principal.shop, accessToken: install.accessToken, scope: install.scope || '', userId: null };
+        }
+        return next();
+      }
+      if (!config.disabled) {
+        return shopSession(req, res, (err) => {
+          if (err) return next(err);
+          const { shop, userId } = req.shopSession;
+          req.principal = { type: 'shopify', name: userId ? `${shop} user ${userId}` : shop, role: shopifySessionRole(), shop };
+          return next();
+        });
+      }
+      if (accessControlDisabled()) {
+        req.principal = { type: 'open', name: 'anyone', role: 'admin', shop: '' };
+        req.shopSession = null;
+        return next();
+      }
+      const token = sessionTokenFromRequest(req);
+      throw new AccessError(token ? 'Session tokens are not accepted with SHOPIFY_AUTH_DISABLED; use an API key or log in' : 'Authentication required: send an API key or log in', 401);
+    } catch (err) {
+      if (!(err instanceof AccessError)) return next(err);
+      await recordDenied(req, err.status, err.message);
+      return res.status(err.status).json({ error: err.message });
+    }
+  };
+}
+
+/*
+ * Express middleware letting only principals with at least `role`
+ * through (see authenticate()); others get 403 and are logged.
+ */
+export function requireRole(role) {
+  return async (req, res, next) => {
+    const principal = req.principal;
+    if (principal && roleAllows(principal.role, role)) return next();
+    const reason = `requires the ${role} role`;
+    await recordDenied(req, 403, reason, principal);
+    return res.status(403).json({ error: `Forbidden: this action ${reason}` });
+  };
+}
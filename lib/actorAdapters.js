@@ -0,0 +1,183 @@
+/*
+ * mobile-de-shopify-app/lib/actorAdapters.js
+ *
+ * Apify actor adapters and input presets.  Scraper actors differ in the
+ * input they expect (`searchPageURLs`, `start_urls`, `searchUrl`, …) and
+ * in the shape of the items they return.  An adapter hides both: it
+ * builds the actor's input from the search URLs and maps its items onto
+ * the shape the rest of the app reads (that of the mobile.de scraper the
+ * app was built for: id, title, brand, model, price.total, images,
+ * features, attributes, sellerId), so the normalisation and Shopify code
+ * never see the difference.
+ *
+ * A preset names an adapter, optionally an actor (default: the shop's
+ * Apify actor) and extra input fields merged into every run started with
+ * it.  The built-in `default` preset holds the input the app always sent
+ * to the mobile.de scraper; shops can save their own presets in their
+ * settings (`actorPresets`, validated in lib/settings.js), including one
+ * named `default` that replaces the built-in one.
+ */
+
+export const DEFAULT_ACTOR_PRESET = 'default';
+export const DEFAULT_ACTOR_ADAPTER = 'mobile-de-scraper';
+
+export const BUILTIN_ACTOR_PRESETS = {
+  default: {
+    adapter: DEFAULT_ACTOR_ADAPTER,
+    actorId: '',
+    description: 'mobile.de scraper with automatic paging, no reviews, category Car',
+    input: {
+      // Page limit high enough to capture all results of a search.
+      searchPageURLMaxItems: 5000,
+      // 0 = no reviews.
+      reviewLimit: 0,
+      automaticPaging: true,
+      searchCategory: 'Car',
+      // No additional search terms or model filters.
+      searchTerms: [],
+      models: [],
+      sort: 'Standard'
+    }
+  }
+};
+
+/*
+ * Error raised for unknown presets or adapters and for URLs an adapter
+ * cannot pass on; `status` is 400.
+ */
+export class ActorAdapterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ActorAdapterError';
+    this.status = 400;
+  }
+}
+
+function firstDefined(...values) {
+  return values.find((v) => v !== undefined && v !== null && v !== '');
+}
+
+function toPrice(value, currency) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'object') {
+    if (value.total) return value;
+    const amount = firstDefined(value.amount, value.value, value.gross);
+    return amount === undefined ? value : { total: { amount, currency: value.currency || currency || 'EUR' } };
+  }
+  return { total: { amount: value, currency: currency || 'EUR' } };
+}
+
+function toAttributes(value) {
+  if (!Array.isArray(value)) return value;
+  const out = {};
+  for (const entry of value) {
+    if (!entry || typeof entry !== 'object') continue;
+    const name = firstDefined(entry.name, entry.label, entry.key);
+    if (name !== undefined && !(name in out)) out[name] = entry.value ?? '';
+  }
+  return out;
+}
+
+/*
+ * Map an item of a generic mobile.de scraper onto the app's item shape.
+ * Known alternative field names are copied to the expected ones (id from
+ * listingId/adId or the listing URL, brand from make, a plain price into
+ * price.total, attribute lists into an object, …); all original fields
+ * are kept.
+ */
+export function toAppItem(item) {
+  if (!item || typeof item !== 'object') return item;
+  const url = firstDefined(item.url, item.detailUrl, item.detailPageUrl, item.link);
+  const idFromUrl = url ? (String(url).match(/[?&]id=(\d+)/) || String(url).match(/\/(\d{6,})(?:\.html)?(?:[?#]|$)/) || [])[1] : undefined;
+  const out = { ...item };
+  const fields = {
+    id: firstDefined(item.id, item.listingId, item.adId, item.ad_id, idFromUrl),
+    title: firstDefined(item.title, item.name, item.headline),
+    url,
+    brand: firstDefined(item.brand, item.make, item.makeName),
+    model: firstDefined(item.model, item.modelName),
+    sellerId: firstDefined(item.sellerId, item.dealerId, item.seller && item.seller.id),
+    price: toPrice(firstDefined(item.price, item.priceGross, item.grossPrice), item.currency),
+    images: firstDefined(item.images, item.imageUrls, item.pictures, item.image ? [item.image] : undefined),
+    features: firstDefined(item.features, item.equipment, item.features_list),
+    attributes: toAttributes(firstDefined(item.attributes, item.technicalData, item.specs))
+  };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) out[key] = value;
+  }
+  return out;
+}
+
+function withMaxItems(input, maxItems) {
+  return maxItems ? { ...input, maxItems } : input;
+}
+
+/*
+ * Adapters by name: `description`, `buildInput(urls, { maxItems, input })`
+ * returning the actor input (preset `input` first, then the URLs and
+ * maxItems) and `normalizeItem(item)`.
+ */
+export const ACTOR_ADAPTERS = {
+  'mobile-de-scraper': {
+    description: 'Actors taking searchPageURLs (the default mobile.de scraper); items are used as delivered',
+    buildInput: (urls, { maxItems, input = {} }) => withMaxItems({ ...input, searchPageURLs: urls }, maxItems),
+    normalizeItem: (item) => item
+  },
+  'start-urls': {
+    description: 'Actors taking start_urls as a list of { url }',
+    buildInput: (urls, { maxItems, input = {} }) => withMaxItems({ ...input, start_urls: urls.map((url) => ({ url })) }, maxItems),
+    normalizeItem: toAppItem
+  },
+  'search-url': {
+    description: 'Actors taking a single searchUrl (one search URL per run)',
+    buildInput: (urls, { maxItems, input = {} }) => {
+      if (urls.length > 1) throw new ActorAdapterError('The search-url adapter takes one search URL per run');
+      return withMaxItems({ ...input, searchUrl: urls[0] }, maxItems);
+    },
+    normalizeItem: toAppItem
+  }
+};
+
+/*
+ * Return the adapter named `name` (DEFAULT_ACTOR_ADAPTER when empty);
+ * throws an ActorAdapterError for unknown names.
+ */
+export function getActorAdapter(name) {
+  const adapter = ACTOR_ADAPTERS[name || DEFAULT_ACTOR_ADAPTER];
+  if (!adapter) {
+    throw new ActorAdapterError(`Unknown actor adapter "${name}" (available: ${Object.keys(ACTOR_ADAPTERS).join(', ')})`);
+  }
+  return adapter;
+}
+
+/*
+ * List the built-in presets followed by the shop's own; a shop preset
+ * with a built-in name replaces it.
+ */
+export function listActorPresets(userPresets = {}) {
+  const builtIn = Object.entries(BUILTIN_ACTOR_PRESETS)
+    .filter(([name]) => !userPresets[name])
+    .map(([name, preset]) => ({ ...preset, name, builtIn: true }));
+  const custom = Object.entries(userPresets).map(([name, preset]) => ({ ...preset, name, builtIn: false }));
+  return [...builtIn, ...custom];
+}
+
+/*
+ * Look up a preset by name (DEFAULT_ACTOR_PRESET when empty), the shop's
+ * own first.  Resolves to { name, adapter, actorId, input }; throws an
+ * ActorAdapterError for unknown names.
+ */
+export function findActorPreset(name, userPresets = {}) {
+  const wanted = name || DEFAULT_ACTOR_PRESET;
+  const preset = userPresets[wanted] || BUILTIN_ACTOR_PRESETS[wanted];
+  if (!preset) {
+    const names = [...new Set([...Object.keys(BUILTIN_ACTOR_PRESETS), ...Object.keys(userPresets)])].join(', ');
+    throw new ActorAdapterError(`Unknown actor preset "${wanted}" (available: ${names})`);
+  }
+  return {
+    name: wanted,
+    adapter: preset.adapter || DEFAULT_ACTOR_ADAPTER,
+    actorId: preset.actorId || '',
+    input: preset.input || {}
+  };
+}
@@ -0,0 +1,263 @@
+/*
+ * mobile-de-shopify-app/lib/apify.js
+ *
+ * Thin client for the parts of the Apify REST API this app uses: starting
+ * actor runs, reading run details and logs, and reading datasets.  Reads
+ * are retried with exponential backoff on 429 and 5xx responses (and on
+ * network errors); starting a run is not, as a resent request could start
+ * a second paid run.  Dataset items are read in offset/limit pages up to
+ * the total Apify reports (a page can come back short, as the clean view
+ * leaves out empty items that the offset still counts), and
+ * failures are reported as typed errors carrying the HTTP status.  The
+ * base URL is configurable through APIFY_BASE_URL so the whole app can be
+ * pointed at the local stand-in server in scripts/mock-apify.js.
+ */
+
+import fetch from 'node-fetch';
+
+export const DEFAULT_BASE_URL = 'https://api.apify.com/v2';
+
+/*
+ * Base class for every error raised by the client.  `status` is the HTTP
+ * status to report to our own callers and `detail` the parsed Apify
+ * response body, if any.
+ */
+export class ApifyError extends Error {
+  constructor(message, status = 502, detail) {
+    super(message);
+    this.name = 'ApifyError';
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+// The client is missing configuration (token, actor ID).
+export class ApifyConfigError extends ApifyError {
+  constructor(message) {
+    super(message, 500);
+    this.name = 'ApifyConfigError';
+  }
+}
+
+// Apify rejected the token (401/403).
+export class ApifyAuthError extends ApifyError {
+  constructor(message, status, detail) {
+    super(message, status, detail);
+    this.name = 'ApifyAuthError';
+  }
+}
+
+// The run, actor or dataset does not exist (404).
+export class ApifyNotFoundError extends ApifyError {
+  constructor(message, detail) {
+    super(message, 404, detail);
+    this.name = 'ApifyNotFoundError';
+  }
+}
+
+// Still rate limited after all retries (429).
+export class ApifyRateLimitError extends ApifyError {
+  constructor(message, detail) {
+    super(message, 429, detail);
+    this.name = 'ApifyRateLimitError';
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Methods that are safe to send again after a failure.
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE']);
+
+// Longest Retry-After honoured; a longer wait fails the request instead.
+export const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/*
+ * Build a typed error from a non-OK response.  Apify error bodies look
+ * like { error: { type, message } }.
+ */
+function errorFromResponse(status, body, fallback) {
+  const apiError = body && body.error;
+  const message = (apiError && (apiError.message || apiError.type)) ||
+    (typeof apiError === 'string' ? apiError : '') ||
+    fallback;
+  if (status === 401 || status === 403) return new ApifyAuthError(message, status, body);
+  if (status === 404) return new ApifyNotFoundError(message, body);
+  if (status === 429) return new ApifyRateLimitError(message, body);
+  return new ApifyError(message, status, body);
+}
+
+/*
+ * Create a client.  Options:
+ *   token      – Apify API token (required for every call).
+ *   baseUrl    – API root, defaults to https://api.apify.com/v2.
+ *   maxRetries – retries of idempotent requests after the first attempt
+ *                on 429/5xx/network errors (default 4).
+ *   retryDelay – initial backoff in ms, doubled on every retry (default
+ *                500).  A Retry-After header of up to MAX_RETRY_AFTER_MS
+ *                takes precedence; a longer one is not waited for.
+ *   pageSize   – dataset items fetched per request (default 1000).
+ */
+export function createApifyClient(options = {}) {
+  const token = options.token;
+  const baseUrl = String(options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const maxRetries = options.maxRetries ?? 4;
+  const retryDelay = options.retryDelay ?? 500;
+  const pageSize = options.pageSize ?? 1000;
+
+  /*
+   * Perform a request against the API and return the parsed JSON body,
+   * or the body text with `text`.  With `withHeaders` it resolves to
+   * { data, headers } instead.  `fallback` is the error message used
+   * when Apify does not supply one.
+   */
+  async function request(method, pathAndQuery, { body, text: asText = false, withHeaders = false, fallback = 'Apify request failed' } = {}) {
+    if (!token) {
+      throw new ApifyConfigError('APIFY_TOKEN or APIFY_API_TOKEN must be set');
+    }
+    const headers = { 'Authorization': `Bearer ${token}` };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    const retries = IDEMPOTENT_METHODS.has(method) ? maxRetries : 0;
+    let attempt = 0;
+    for (;;) {
+      let resp;
+      try {
+        resp = await fetch(`${baseUrl}${pathAndQuery}`, {
+          method,
+          headers,
+          body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+      } catch (err) {
+        if (attempt >= retries) {
+          throw new ApifyError(`${fallback}: ${err.message}`, 502);
+        }
+        await sleep(retryDelay * 2 ** attempt);
+        attempt += 1;
+        continue;
+      }
+      if (!resp.ok && isRetryableStatus(resp.status) && attempt < retries) {
+        const retryAfter = parseFloat(resp.headers.get('retry-after'));
+        const delay = !Number.isNaN(retryAfter) ? retryAfter * 1000 : retryDelay * 2 ** attempt;
+        if (delay <= MAX_RETRY_AFTER_MS) {
+          await sleep(delay);
+          attempt += 1;
+          continue;
+        }
+      }
+      const text = await resp.text();
+      if (asText && resp.ok) return text;
+      let parsed = null;
+      try {
+        parsed = text ? JSON.parse(text) : null;
+      } catch (err) {
+        if (resp.ok) throw new ApifyError(`${fallback}: response is not valid JSON`, 502);
+      }
+      if (!resp.ok) {
+        throw errorFromResponse(resp.status, parsed, fallback);
+      }
+      return withHeaders ? { data: parsed, headers: resp.headers } : parsed;
+    }
+  }
+
+  return {
+    baseUrl,
+
+    /*
+     * Start an actor run asynchronously.  The input object is sent as the
+     * request body itself, which Apify treats as the actor's input.  The
+     * request is sent once: after a network error or 5xx the run may or
+     * may not have started, so the error is reported instead of risking
+     * a duplicate run.
+     * `webhooks` is an optional list of ad-hoc webhooks for the run
+     * ({ eventTypes, requestUrl }), passed base64-encoded as Apify
+     * expects.  Resolves to the run object (id, status, defaultDatasetId,
+     * ...).
+     */
+    async startRun(actorId, input, { webhooks } = {}) {
+      if (!actorId) throw new ApifyConfigError('APIFY_ACTOR_ID must be set');
+      const query = webhooks && webhooks.length
+        ? `?webhooks=${encodeURIComponent(Buffer.from(JSON.stringify(webhooks)).toString('base64'))}`
+        : '';
+      const data = await request('POST', `/acts/${encodeURIComponent(actorId)}/runs${query}`, {
+        body: input,
+        fallback: 'Failed to start actor run'
+      });
+      return (data && data.data) || data;
+    },
+
+    /*
+     * Fetch a run's details.  Resolves to the run object.
+     */
+    async getRun(runId) {
+      const data = await request('GET', `/actor-runs/${encodeURIComponent(runId)}`, {
+        fallback: 'Failed to fetch run details'
+      });
+      return (data && data.data) || data;
+    },
+
+    /*
+     * Fetch a run's log as plain text.
+     */
+    async getRunLog(runId) {
+      return request('GET', `/logs/${encodeURIComponent(runId)}`, {
+        text: true,
+        fallback: 'Failed to fetch run log'
+      });
+    },
+
+    /*
+     * Fetch a dataset's details (id, itemCount, ...).  The item count
+     * grows while the run is still writing to it.
+     */
+    async getDataset(datasetId) {
+      const data = await request('GET', `/datasets/${encodeURIComponent(datasetId)}`, {
+        fallback: 'Failed to fetch dataset details'
+      });
+      return (data && data.data) || data;
+    },
+
+    /*
+     * Read every item of a dataset (clean JSON view) page by page using
+     * offset/limit.  The clean view leaves empty items out of a page
+     * while the offset still counts them, so a short page does not mean
+     * the end: pages are read until the offset reaches the
+     * X-Apify-Pagination-Total of the last response, or, without that
+     * header, until a page comes back empty.  `onPage(items, offset)` is
+     * called after each page if given.
+     */
+    async getDatasetItems(datasetId, { onPage } = {}) {
+      const all = [];
+      for (let offset = 0; ; offset += pageSize) {
+        const { data: page, headers } = await request(
+          'GET',
+          `/datasets/${encodeURIComponent(datasetId)}/items?clean=true&format=json&offset=${offset}&limit=${pageSize}`,
+          { withHeaders: true, fallback: 'Failed to fetch dataset items' }
+        );
+        const items = Array.isArray(page) ? page : [];
+        all.push(...items);
+        if (onPage) onPage(items, offset);
+        const total = parseInt(headers.get('x-apify-pagination-total'));
+        if (Number.isNaN(total) ? items.length === 0 : offset + pageSize >= total) break;
+      }
+      return all;
+    }
+  };
+}
+
+/*
+ * Client configured from the environment: APIFY_TOKEN (or
+ * APIFY_API_TOKEN), APIFY_BASE_URL and APIFY_PAGE_SIZE.  A `token` in
+ * `credentials` (a shop's own Apify account, see lib/settings.js) takes
+ * precedence over the environment.
+ */
+export function getApifyClient(credentials = {}) {
+  const pageSize = parseInt(process.env.APIFY_PAGE_SIZE);
+  return createApifyClient({
+    token: credentials.token || process.env.APIFY_TOKEN || process.env.APIFY_API_TOKEN,
+    baseUrl: process.env.APIFY_BASE_URL || DEFAULT_BASE_URL,
+    pageSize: !Number.isNaN(pageSize) && pageSize > 0 ? pageSize : undefined
+  });
+}
@@ -0,0 +1,192 @@
+/*
+ * mobile-de-shopify-app/lib/automations.js
+ *
+ * Post-processing of finished runs, configured per search.  A search (its
+ * key from lib/searches.js) can have two actions that run as soon as a
+ * run of it succeeds, whether or not a browser is watching:
+ *   import – build the Shopify import and keep the file in
+ *            `exports/<runId>-shopify-import.<format>` in the data
+ *            directory, ready for download.
+ *   push   – push the rows to the store (POST /api/shopify-push).
+ * Both take the export options of the matching endpoints.  The settings
+ * are stored per shop in `automations.json` in the data directory.
+ *
+ * Completion is reported by Apify through a webhook registered on every
+ * run the app starts (see POST /webhooks/apify in server.js); each run
+ * gets its own random token, of which only a hash is stored with the run.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { createJsonStore, dataPath } from './jsonStore.js';
+import { DUPLICATE_MODES } from './duplicates.js';
+
+const store = createJsonStore('automations.json', { shops: {} });
+
+export const IMPORT_FILE_FORMATS = ['csv', 'xlsx'];
+export const WEBHOOK_EVENT_TYPES = ['ACTOR.RUN.SUCCEEDED', 'ACTOR.RUN.FAILED', 'ACTOR.RUN.ABORTED', 'ACTOR.RUN.TIMED_OUT'];
+
+/*
+ * Error raised for invalid automation settings; `status` is always 400.
+ */
+export class AutomationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AutomationError';
+    this.status = 400;
+  }
+}
+
+function shopKey(shop) {
+  return shop || '';
+}
+
+function optionalString(value, field) {
+  if (value === undefined || value === null || value === '') return '';
+  if (typeof value !== 'string') throw new AutomationError(`${field} must be a string`);
+  return value.trim();
+}
+
+/*
+ * Options shared by both actions: export profile, quality filter and
+ * duplicate handling.
+ */
+function validateExportOptions(options, where) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new AutomationError(`${where} must be an object or null`);
+  }
+  const duplicates = options.duplicates || 'keep';
+  if (!DUPLICATE_MODES.includes(duplicates)) {
+    throw new AutomationError(`${where}.duplicates must be one of ${DUPLICATE_MODES.join(', ')}`);
+  }
+  return {
+    profile: optionalString(options.profile, `${where}.profile`),
+    excludeFailing: Boolean(options.excludeFailing),
+    duplicates
+  };
+}
+
+/*
+ * Validate the actions of a search: { import, push }, each null (off)
+ * or an object of options.
+ *   import – { format: 'csv' | 'xlsx', images: 'first' | 'rows', profile,
+ *              excludeFailing, duplicates }
+ *   push   – { updateImages, profile, excludeFailing, duplicates }
+ * Returns a cleaned copy.
+ */
+export function validateAutomation(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new AutomationError('The automation must be an object with import and push');
+  }
+  const out = { import: null, push: null };
+  if (config.import) {
+    const format = config.import.format || 'csv';
+    if (!IMPORT_FILE_FORMATS.includes(format)) {
+      throw new AutomationError(`import.format must be one of ${IMPORT_FILE_FORMATS.join(', ')}`);
+    }
+    const images = config.import.images || 'first';
+    if (images !== 'first' && images !== 'rows') throw new AutomationError('import.images must be first or rows');
+    out.import = { ...validateExportOptions(config.import, 'import'), format, images };
+  }
+  if (config.push) {
+    out.push = { ...validateExportOptions(config.push, 'push'), updateImages: Boolean(config.push.updateImages) };
+  }
+  return out;
+}
+
+/*
+ * Return the actions configured for a search of the shop, or null.
+ */
+export async function getAutomation(shop, searchUrl) {
+  const data = await store.read();
+  const shopData = data.shops[shopKey(shop)] || {};
+  return shopData[searchUrl] || null;
+}
+
+/*
+ * List the shop's automations: { searchUrl, searchUrls, import, push,
+ * updatedAt }, most recently changed first.
+ */
+export async function listAutomations(shop) {
+  const data = await store.read();
+  return Object.entries(data.shops[shopKey(shop)] || {})
+    .map(([searchUrl, automation]) => ({ searchUrl, ...automation }))
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+/*
+ * Store the actions of a search (validated with validateAutomation()).
+ * A configuration without any action removes the search's entry.
+ * Resolves to the stored automation, or null.
+ */
+export async function setAutomation(shop, searchUrl, searchUrls, config) {
+  const clean = validateAutomation(config);
+  let stored = null;
+  await store.update((data) => {
+    const shopData = data.shops[shopKey(shop)] || (data.shops[shopKey(shop)] = {});
+    if (!clean.import && !clean.push) {
+      delete shopData[searchUrl];
+      return;
+    }
+    stored = { searchUrls, ...clean, updatedAt: new Date().toISOString() };
+    shopData[searchUrl] = stored;
+  });
+  return stored;
+}
+
+/*
+ * Forget the automations of a shop.
+ */
+export async function deleteShopAutomations(shop) {
+  await store.update((data) => {
+    delete data.shops[shopKey(shop)];
+  });
+}
+
+/*
+ * A new random webhook token and its hash: the token goes into the URL
+ * given to Apify, the hash is stored with the run.
+ */
+export function createWebhookToken() {
+  const token = crypto.randomBytes(24).toString('hex');
+  return { token, hash: hashWebhookToken(token) };
+}
+
+export function hashWebhookToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/*
+ * Compare a delivered token with the hash stored for the run in constant
+ * time.
+ */
+export function verifyWebhookToken(token, hash) {
+  if (!token || !hash) return false;
+  const a = Buffer.from(hashWebhookToken(token), 'hex');
+  const b = Buffer.from(String(hash), 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/*
+ * Ad-hoc webhook definitions for a run started with the given callback
+ * URL, in the format of the `webhooks` parameter of Apify's run API.
+ */
+export function runWebhooks(requestUrl) {
+  return [{ eventTypes: WEBHOOK_EVENT_TYPES, requestUrl }];
+}
+
+/*
+ * Path of the import file generated for a run.
+ */
+export function importFilePath(runId, format) {
+  return dataPath('exports', `${runId}-shopify-import.${format}`);
+}
+
+/*
+ * Delete the import files generated for a run.
+ */
+export async function deleteRunImportFiles(runId) {
+  for (const format of IMPORT_FILE_FORMATS) {
+    await fs.promises.rm(importFilePath(runId, format), { force: true });
+  }
+}
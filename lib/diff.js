@@ -0,0 +1,156 @@
+/*
+ * mobile-de-shopify-app/lib/diff.js
+ *
+ * Compare the datasets of two runs of the same search by listing `id`
+ * (the value exported as `Variant SKU`).  Listings only present in the
+ * newer run are "new", listings only present in the older run are
+ * "removed" (most likely sold) and listings present in both whose price,
+ * mileage or images differ are "changed".
+ */
+
+import { extractPriceAmount, extractPriceCurrency, parsePriceAmount } from './pricing.js';
+
+function parseMaybeJson(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+}
+
+/*
+ * Read the mileage of an item as a number of kilometres.  Attributes may
+ * be an object, a JSON string or slash-flattened `attributes/Mileage`.
+ */
+export function extractMileage(item) {
+  if (!item) return null;
+  const attrs = parseMaybeJson(item.attributes);
+  let raw = attrs && typeof attrs === 'object' && !Array.isArray(attrs) ? attrs.Mileage : undefined;
+  if (raw === undefined) raw = item['attributes/Mileage'];
+  if (Array.isArray(raw)) raw = raw[0];
+  if (raw === undefined || raw === null || raw === '') return null;
+  const digits = String(raw).match(/\d+/g);
+  return digits ? parseInt(digits.join(''), 10) : null;
+}
+
+/*
+ * Collect the image URLs of an item from `images` (strings or
+ * { url | src } objects) or from slash-flattened `images/N` keys.
+ */
+export function extractImageUrls(item) {
+  if (!item) return [];
+  const images = parseMaybeJson(item.images);
+  if (Array.isArray(images)) {
+    return images
+      .map((img) => (img && typeof img === 'object' ? img.url || img.src || '' : String(img)))
+      .filter(Boolean);
+  }
+  const urls = [];
+  for (let i = 0; Object.prototype.hasOwnProperty.call(item, `images/${i}`); i++) {
+    if (item[`images/${i}`]) urls.push(String(item[`images/${i}`]));
+  }
+  return urls;
+}
+
+/*
+ * Reduce an item to the fields the diff compares.
+ */
+export function summarizeListing(item) {
+  const amount = parsePriceAmount(extractPriceAmount(item));
+  return {
+    id: item && item.id !== undefined && item.id !== null ? String(item.id).trim() : '',
+    title: (item && item.title) || '',
+    url: (item && item.url) || '',
+    price: Number.isNaN(amount) ? null : amount,
+    currency: extractPriceCurrency(item),
+    mileage: extractMileage(item),
+    images: extractImageUrls(item)
+  };
+}
+
+function indexById(items) {
+  const map = new Map();
+  for (const item of items) {
+    const summary = summarizeListing(item);
+    if (summary.id && !map.has(summary.id)) map.set(summary.id, summary);
+  }
+  return map;
+}
+
+function sameImages(a, b) {
+  return a.length === b.length && a.every((url, i) => url === b[i]);
+}
+
+/*
+ * Diff two item arrays.  Returns { new, removed, changed } where `new`
+ * and `removed` hold listing summaries and `changed` holds
+ * { id, title, url, changes, old, new } entries; `changes` names the
+ * fields that differ (price, mileage, images).
+ */
+export function diffRuns(oldItems, newItems) {
+  const before = indexById(oldItems);
+  const after = indexById(newItems);
+  const result = { new: [], removed: [], changed: [] };
+  for (const [id, listing] of after) {
+    const previous = before.get(id);
+    if (!previous) {
+      result.new.push(listing);
+      continue;
+    }
+    const changes = [];
+    if (previous.price !== listing.price) changes.push('price');
+    if (previous.mileage !== listing.mileage) changes.push('mileage');
+    if (!sameImages(previous.images, listing.images)) changes.push('images');
+    if (changes.length) {
+      result.changed.push({ id, title: listing.title, url: listing.url, changes, old: previous, new: listing });
+    }
+  }
+  for (const [id, listing] of before) {
+    if (!after.has(id)) result.removed.push(listing);
+  }
+  return result;
+}
+
+/*
+ * Flatten a diff category into rows for CSV/XLSX export.  New and
+ * removed listings become one row each; changed listings put old and
+ * new values side by side.
+ */
+export function diffRows(diff, category) {
+  if (category === 'changed') {
+    return diff.changed.map((c) => {
+      const oldSet = new Set(c.old.images);
+      const newSet = new Set(c.new.images);
+      return {
+        id: c.id,
+        title: c.title,
+        url: c.url,
+        changes: c.changes.join(', '),
+        'old price': c.old.price ?? '',
+        'new price': c.new.price ?? '',
+        'price change %': c.old.price && c.new.price !== null
+          ? Math.round(((c.new.price - c.old.price) / c.old.price) * 10000) / 100
+          : '',
+        'old mileage': c.old.mileage ?? '',
+        'new mileage': c.new.mileage ?? '',
+        'old images': c.old.images.length,
+        'new images': c.new.images.length,
+        'images added': c.new.images.filter((u) => !oldSet.has(u)).join('\n'),
+        'images removed': c.old.images.filter((u) => !newSet.has(u)).join('\n')
+      };
+    });
+  }
+  return (diff[category] || []).map((l) => ({
+    id: l.id,
+    title: l.title,
+    url: l.url,
+    price: l.price ?? '',
+    currency: l.currency,
+    mileage: l.mileage ?? '',
+    images: l.images.length,
+    'Image Src': l.images[0] || ''
+  }));
+}
+
+export const DIFF_CATEGORIES = ['new', 'removed', 'changed'];
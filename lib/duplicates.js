@@ -0,0 +1,218 @@
+/*
+ * mobile-de-shopify-app/lib/duplicates.js
+ *
+ * Duplicate vehicle detection.  Overlapping searches and re-listings make
+ * the same car appear under several listing IDs, possibly from different
+ * dealers.  Each listing gets a signature from its parsed attributes
+ * (Vehicle Number, first registration, mileage, power, colour) plus
+ * brand, model and seller; two listings are the same vehicle when
+ *   - the same seller lists them under the same Vehicle Number, or
+ *   - brand, model and first registration match, power and colour do not
+ *     contradict each other and the mileage differs by at most
+ *     MILEAGE_TOLERANCE_KM or MILEAGE_TOLERANCE_RATIO (a re-listed car
+ *     has been driven a little).
+ *
+ * Vehicles exported or pushed before are remembered per shop in
+ * `vehicles.json` in the data directory (SKU → signature and handle), so
+ * a run is also checked against what earlier runs of any search already
+ * published.  decideDuplicates() turns the clusters into one decision per
+ * listing: keep, skip (another listing publishes the vehicle) or merge
+ * (publish it under the product of the vehicle exported before).
+ */
+
+import { createJsonStore } from './jsonStore.js';
+
+const store = createJsonStore('vehicles.json', { shops: {} });
+
+export const MILEAGE_TOLERANCE_KM = 1000;
+export const MILEAGE_TOLERANCE_RATIO = 0.02;
+export const DUPLICATE_MODES = ['keep', 'skip', 'merge'];
+
+function shopKey(shop) {
+  return shop || '';
+}
+
+function clean(value) {
+  return value === undefined || value === null ? '' : String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function number(value) {
+  const digits = String(value ?? '').replace(/[^0-9]/g, '');
+  return digits ? parseInt(digits, 10) : null;
+}
+
+/*
+ * Normalise the facts of a listing ({ brand, model, sellerId,
+ * vehicleNumber, firstRegistration, mileage, power, colour }, as parsed
+ * from its attributes) into a comparable signature.  Mileage and power
+ * become integers; first registration becomes `MM/YYYY` (or `YYYY`).
+ */
+export function vehicleSignature(facts = {}) {
+  const reg = String(facts.firstRegistration ?? '').match(/(?:(\d{1,2})\s*[/.-]\s*)?((?:19|20)\d{2})/);
+  return {
+    brand: clean(facts.brand),
+    model: clean(facts.model),
+    sellerId: clean(facts.sellerId),
+    vehicleNumber: clean(facts.vehicleNumber),
+    firstRegistration: reg ? (reg[1] ? `${reg[1].padStart(2, '0')}/${reg[2]}` : reg[2]) : '',
+    mileage: number(facts.mileage),
+    power: number(facts.power),
+    colour: clean(facts.colour)
+  };
+}
+
+function mileageClose(a, b) {
+  const diff = Math.abs(a - b);
+  return diff <= MILEAGE_TOLERANCE_KM || diff <= Math.max(a, b) * MILEAGE_TOLERANCE_RATIO;
+}
+
+/*
+ * Why two signatures describe the same vehicle ('vehicle-number' or
+ * 'fingerprint'), or null when they do not.
+ */
+export function duplicateReason(a, b) {
+  if (a.sellerId && a.vehicleNumber && a.sellerId === b.sellerId && a.vehicleNumber === b.vehicleNumber) {
+    return 'vehicle-number';
+  }
+  if (!a.brand || !a.model || !a.firstRegistration || a.mileage === null) return null;
+  if (a.brand !== b.brand || a.model !== b.model || a.firstRegistration !== b.firstRegistration) return null;
+  if (b.mileage === null || !mileageClose(a.mileage, b.mileage)) return null;
+  if (a.power !== null && b.power !== null && a.power !== b.power) return null;
+  if (a.colour && b.colour && a.colour !== b.colour) return null;
+  return 'fingerprint';
+}
+
+/*
+ * Group entries ({ sku, signature, ... }) into clusters of probable
+ * duplicates.  Returns a list of clusters of at least two entries, each
+ * entry with the `reason` it joined by.  Only entries sharing brand and
+ * model, or seller and Vehicle Number, are compared.
+ */
+export function clusterVehicles(entries) {
+  const parent = entries.map((_, idx) => idx);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const reasons = new Map();
+  const buckets = new Map();
+  entries.forEach((entry, idx) => {
+    const s = entry.signature;
+    const keys = [];
+    if (s.brand && s.model) keys.push(`m ${s.brand} ${s.model}`);
+    if (s.sellerId && s.vehicleNumber) keys.push(`v ${s.sellerId} ${s.vehicleNumber}`);
+    for (const key of keys) {
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(idx);
+    }
+  });
+  for (const members of buckets.values()) {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const a = members[i];
+        const b = members[j];
+        if (entries[a].sku === entries[b].sku) continue;
+        const reason = duplicateReason(entries[a].signature, entries[b].signature);
+        if (!reason) continue;
+        parent[find(b)] = find(a);
+        if (!reasons.has(a)) reasons.set(a, reason);
+        if (!reasons.has(b) || reason === 'vehicle-number') reasons.set(b, reason);
+      }
+    }
+  }
+  const clusters = new Map();
+  entries.forEach((entry, idx) => {
+    const root = find(idx);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push({ ...entry, reason: reasons.get(idx) || null });
+  });
+  return [...clusters.values()].filter((members) => members.length > 1);
+}
+
+/*
+ * Decide, for the listings of an export, which one publishes each
+ * duplicated vehicle.  `current` lists the export's listings as { sku,
+ * signature, images } in row order; `previous` is the shop's registry
+ * from getExportedVehicles().  Within a cluster:
+ *   - a listing exported before under its own SKU is kept;
+ *   - else, when the vehicle was exported before under another SKU, the
+ *     listing with the most images is merged into that product;
+ *   - else the listing with the most images (first in row order on a
+ *     tie) is kept.
+ * All other listings of the cluster are skipped.  Returns a Map of SKU →
+ * { decision: 'keep' | 'skip' | 'merge', reason, cluster (number),
+ * keptSku, mergeInto: { sku, handle } } for the clustered listings only.
+ */
+export function decideDuplicates(current, previous = {}) {
+  const currentSkus = new Set(current.map((entry) => entry.sku));
+  const entries = [
+    ...current.map((entry, idx) => ({ ...entry, order: idx, exported: Boolean(previous[entry.sku]) })),
+    ...Object.entries(previous)
+      .filter(([sku]) => !currentSkus.has(sku))
+      .map(([sku, record]) => ({ sku, signature: record.signature, previous: record }))
+  ];
+  const decisions = new Map();
+  clusterVehicles(entries).forEach((members, clusterIdx) => {
+    const inRun = members.filter((m) => m.order !== undefined).sort((a, b) => a.order - b.order);
+    if (inRun.length === 0) return;
+    const earlier = members
+      .filter((m) => m.previous)
+      .sort((a, b) => String(b.previous.exportedAt).localeCompare(String(a.previous.exportedAt)))[0];
+    const byImages = [...inRun].sort((a, b) => (b.images || 0) - (a.images || 0) || a.order - b.order);
+    const kept = inRun.find((m) => m.exported) || byImages[0];
+    const cluster = clusterIdx + 1;
+    for (const m of inRun) {
+      if (m === kept && (m.exported || !earlier)) {
+        decisions.set(m.sku, { decision: 'keep', reason: m.reason, cluster, keptSku: m.sku, mergeInto: null });
+      } else if (m === kept) {
+        decisions.set(m.sku, {
+          decision: 'merge',
+          reason: m.reason,
+          cluster,
+          keptSku: earlier.sku,
+          mergeInto: { sku: earlier.sku, handle: earlier.previous.handle || '' }
+        });
+      } else {
+        decisions.set(m.sku, { decision: 'skip', reason: m.reason, cluster, keptSku: kept.exported || !earlier ? kept.sku : earlier.sku, mergeInto: null });
+      }
+    }
+  });
+  return decisions;
+}
+
+/*
+ * Return the shop's registry of exported vehicles: SKU → { signature,
+ * handle, listingId, runId, exportedAt }.
+ */
+export async function getExportedVehicles(shop) {
+  const data = await store.read();
+  return data.shops[shopKey(shop)] || {};
+}
+
+/*
+ * Remember the vehicles of exported or pushed rows.  `entries` is a list
+ * of { sku, handle, listingId, signature }; a merged row is recorded
+ * under the SKU it was published with.
+ */
+export async function recordExportedVehicles(shop, runId, entries) {
+  const now = new Date().toISOString();
+  await store.update((data) => {
+    const vehicles = data.shops[shopKey(shop)] || (data.shops[shopKey(shop)] = {});
+    for (const entry of entries) {
+      if (!entry.sku) continue;
+      vehicles[entry.sku] = {
+        signature: entry.signature,
+        handle: entry.handle || '',
+        listingId: entry.listingId || entry.sku,
+        runId,
+        exportedAt: now
+      };
+    }
+  });
+}
+
+/*
+ * Forget the exported vehicles of a shop.
+ */
+export async function deleteShopVehicles(shop) {
+  await store.update((data) => {
+    delete data.shops[shopKey(shop)];
+  });
+}
@@ -0,0 +1,324 @@
+/*
+ * mobile-de-shopify-app/lib/exportJobs.js
+ *
+ * Background export jobs.  Building the Shopify import of a large run
+ * (Body HTML and attribute columns for thousands of listings, then the
+ * workbook) takes longer than a proxy waits for a response, so exports
+ * can be queued instead: the request returns a job ID at once, the job
+ * reports its progress while it runs and the finished file is kept in
+ * `exports/jobs/` in the data directory until it is downloaded by ID.
+ *
+ * Jobs are stored in `export-jobs.json` in the data directory:
+ *   { id, shop, type, params, status, progress: { phase, done, total,
+ *     percent }, attempts, error, file: { format, fileName, size, rows },
+ *     createdAt, startedAt, finishedAt }
+ * with `status` queued, running, done or failed.  At most
+ * EXPORT_JOB_CONCURRENCY (default 1) jobs run at a time, oldest first.
+ * A job left `running` by a stopped server is queued again on start,
+ * up to MAX_ATTEMPTS runs in all.  Finished jobs and their files are
+ * removed after EXPORT_JOB_RETENTION_HOURS (default 24).
+ *
+ * What a job does is up to the handler registered for its type with
+ * registerExportJobType(); see server.js for `shopify-import`.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { createJsonStore, dataPath, writeFileAtomic } from './jsonStore.js';
+
+const store = createJsonStore('export-jobs.json', { jobs: {} });
+
+export const MAX_ATTEMPTS = 3;
+// Progress is written to the store at most this often while a job runs.
+const PROGRESS_SAVE_MS = 1000;
+// Expired jobs are also looked for this often while the server runs.
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+const handlers = {};
+// Jobs running in this process, by ID, with their latest progress.
+const active = new Map();
+let started = false;
+
+/*
+ * Error raised for invalid job requests; `status` is 400 unless given.
+ */
+export class ExportJobError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ExportJobError';
+    this.status = status;
+  }
+}
+
+function shopKey(shop) {
+  return shop || '';
+}
+
+function concurrency() {
+  const n = parseInt(process.env.EXPORT_JOB_CONCURRENCY);
+  return !Number.isNaN(n) && n > 0 ? n : 1;
+}
+
+function retentionMs() {
+  const hours = parseFloat(process.env.EXPORT_JOB_RETENTION_HOURS);
+  return (!Number.isNaN(hours) && hours > 0 ? hours : 24) * 3600 * 1000;
+}
+
+function withPercent(progress) {
+  const { done, total } = progress;
+  return { ...progress, percent: total ? Math.min(100, Math.floor((done / total) * 100)) : null };
+}
+
+/*
+ * Register the handler of a job type: `handler(job, progress)` does the
+ * work and resolves to { contents (Buffer or string), format, fileName,
+ * rows }.  It may call `progress({ phase, done, total })` as it goes.
+ */
+export function registerExportJobType(type, handler) {
+  handlers[type] = handler;
+}
+
+/*
+ * Path of the file of a finished job.
+ */
+export function exportJobFilePath(job) {
+  return dataPath('exports', 'jobs', `${job.id}.${job.file.format}`);
+}
+
+async function removeJobFile(job) {
+  if (job.file) await fs.promises.rm(exportJobFilePath(job), { force: true });
+}
+
+/*
+ * Apply `changes` (an object, or a function of the job returning one) to
+ * a stored job.  Resolves to the updated job, or null when the job no
+ * longer exists (its shop's data was deleted meanwhile).
+ */
+async function patchJob(id, changes) {
+  let updated = null;
+  await store.update((data) => {
+    const job = data.jobs[id];
+    if (!job) return;
+    Object.assign(job, typeof changes === 'function' ? changes(job) : changes);
+    updated = { ...job };
+  });
+  return updated;
+}
+
+/*
+ * The stored job with the live progress of a running one.
+ */
+function view(job) {
+  const live = active.get(job.id);
+  return live && job.status === 'running' ? { ...job, progress: live.progress } : { ...job };
+}
+
+/*
+ * Drop finished jobs older than the retention period, with their files.
+ * The store is only written when there is something to drop.
+ */
+async function pruneJobs() {
+  const cutoff = new Date(Date.now() - retentionMs()).toISOString();
+  const isExpired = (job) => (job.status === 'done' || job.status === 'failed') && String(job.finishedAt) < cutoff;
+  if (!Object.values((await store.read()).jobs).some(isExpired)) return;
+  const expired = [];
+  await store.update((data) => {
+    for (const [id, job] of Object.entries(data.jobs)) {
+      if (isExpired(job)) {
+        expired.push(job);
+        delete data.jobs[id];
+      }
+    }
+  });
+  for (const job of expired) await removeJobFile(job);
+}
+
+/*
+ * Queue a job of a registered type for the shop.  A job of the same type
+ * with the same parameters that is still queued or running is returned
+ * instead of queueing a second one.  Resolves to the job.
+ */
+export async function enqueueExportJob(shop, type, params = {}) {
+  if (!handlers[type]) {
+    throw new ExportJobError(`Unknown export job type "${type}" (available: ${Object.keys(handlers).join(', ')})`);
+  }
+  await pruneJobs();
+  const key = JSON.stringify(params);
+  let job = null;
+  await store.update((data) => {
+    job = Object.values(data.jobs).find((j) => j.shop === shopKey(shop) && j.type === type &&
+      (j.status === 'queued' || j.status === 'running') && JSON.stringify(j.params) === key);
+    if (job) return;
+    job = {
+      id: crypto.randomUUID(),
+      shop: shopKey(shop),
+      type,
+      params,
+      status: 'queued',
+      progress: withPercent({ phase: 'queued', done: 0, total: null }),
+      attempts: 0,
+      error: null,
+      file: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    data.jobs[job.id] = job;
+  });
+  pump();
+  return view(job);
+}
+
+/*
+ * Return a job of the shop, or null (also once it has expired).
+ */
+export async function getExportJob(shop, id) {
+  await pruneJobs();
+  const data = await store.read();
+  const job = data.jobs[id];
+  return job && job.shop === shopKey(shop) ? view(job) : null;
+}
+
+/*
+ * List the shop's jobs, newest first.
+ */
+export async function listExportJobs(shop) {
+  await pruneJobs();
+  const data = await store.read();
+  return Object.values(data.jobs)
+    .filter((job) => job.shop === shopKey(shop))
+    .map(view)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/*
+ * Delete a queued or finished job of the shop and its file.  Resolves to
+ * false when there is no such job; a running job cannot be deleted.
+ */
+export async function deleteExportJob(shop, id) {
+  let removed = null;
+  await store.update((data) => {
+    const job = data.jobs[id];
+    if (!job || job.shop !== shopKey(shop)) return;
+    if (job.status === 'running') throw new ExportJobError('The job is running and cannot be deleted', 409);
+    removed = job;
+    delete data.jobs[id];
+  });
+  if (removed) await removeJobFile(removed);
+  return Boolean(removed);
+}
+
+/*
+ * Forget the jobs of a shop and delete their files.
+ */
+export async function deleteShopExportJobs(shop) {
+  const removed = [];
+  await store.update((data) => {
+    for (const [id, job] of Object.entries(data.jobs)) {
+      if (job.shop !== shopKey(shop)) continue;
+      removed.push(job);
+      delete data.jobs[id];
+    }
+  });
+  for (const job of removed) await removeJobFile(job);
+}
+
+/*
+ * Progress callback of a running job: keeps the latest progress in
+ * memory for getExportJob() and writes it to the store when the phase
+ * changes or PROGRESS_SAVE_MS passed.
+ */
+function progressReporter(id) {
+  let savedAt = 0;
+  return ({ phase, done = 0, total = null }) => {
+    const live = active.get(id);
+    if (!live) return;
+    const changedPhase = live.progress.phase !== phase;
+    live.progress = withPercent({ phase, done, total });
+    if (changedPhase || Date.now() - savedAt >= PROGRESS_SAVE_MS) {
+      savedAt = Date.now();
+      patchJob(id, { progress: live.progress }).catch((err) => {
+        console.error(`Failed to save progress of export job ${id}: ${err.message}`);
+      });
+    }
+  };
+}
+
+async function runJob(id) {
+  const job = await patchJob(id, (j) => ({
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    attempts: (j.attempts || 0) + 1,
+    error: null,
+    progress: withPercent({ phase: 'starting', done: 0, total: null })
+  }));
+  if (!job) return;
+  active.get(id).progress = job.progress;
+  try {
+    const handler = handlers[job.type];
+    if (!handler) throw new Error(`No handler for export jobs of type "${job.type}"`);
+    const result = await handler(job, progressReporter(id));
+    const contents = Buffer.isBuffer(result.contents) ? result.contents : Buffer.from(String(result.contents));
+    const file = { format: result.format, fileName: result.fileName, size: contents.length, rows: result.rows ?? null };
+    await writeFileAtomic(exportJobFilePath({ id, file }), contents);
+    const last = active.get(id).progress;
+    const done = await patchJob(id, {
+      status: 'done',
+      file,
+      progress: withPercent({ phase: 'done', done: last.total ?? 0, total: last.total }),
+      finishedAt: new Date().toISOString()
+    });
+    if (!done) await removeJobFile({ id, file });
+  } catch (err) {
+    console.error(`Export job ${id} failed: ${err.message}`);
+    await patchJob(id, { status: 'failed', error: err.message, finishedAt: new Date().toISOString() });
+  }
+}
+
+/*
+ * Start queued jobs, oldest first, while fewer than
+ * EXPORT_JOB_CONCURRENCY are running.
+ */
+function pump() {
+  if (!started) return;
+  store.read().then((data) => {
+    const queued = Object.values(data.jobs)
+      .filter((job) => job.status === 'queued' && !active.has(job.id))
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    for (const job of queued) {
+      if (active.size >= concurrency()) break;
+      active.set(job.id, { progress: job.progress });
+      runJob(job.id)
+        .catch((err) => console.error(`Export job ${job.id} failed: ${err.message}`))
+        .finally(() => {
+          active.delete(job.id);
+          pump();
+        });
+    }
+  }).catch((err) => console.error(`Failed to read export jobs: ${err.message}`));
+}
+
+/*
+ * Start processing jobs; called once when the server starts.  Jobs
+ * interrupted by the previous shutdown are queued again, or failed after
+ * MAX_ATTEMPTS, and expired jobs are removed, now and every
+ * PRUNE_INTERVAL_MS.
+ */
+export async function startExportJobs() {
+  await store.update((data) => {
+    for (const job of Object.values(data.jobs)) {
+      if (job.status !== 'running') continue;
+      if ((job.attempts || 0) >= MAX_ATTEMPTS) {
+        Object.assign(job, { status: 'failed', error: 'Interrupted by server restarts too often', finishedAt: new Date().toISOString() });
+      } else {
+        Object.assign(job, { status: 'queued', progress: withPercent({ phase: 'queued', done: 0, total: null }) });
+      }
+    }
+  });
+  await pruneJobs();
+  setInterval(() => {
+    pruneJobs().catch((err) => console.error(`Failed to remove expired export jobs: ${err.message}`));
+  }, PRUNE_INTERVAL_MS).unref();
+  started = true;
+  pump();
+}
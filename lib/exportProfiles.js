@@ -0,0 +1,92 @@
+/*
+ * mobile-de-shopify-app/lib/exportProfiles.js
+ *
+ * Export profiles: named ways of turning dataset items into Shopify rows,
+ * selected with `?profile=` on the Shopify exports.  Three profiles are
+ * built in (the row builders live in server.js):
+ *   simple     – core Shopify columns with segment/category tags, the raw
+ *                description and the normalised fields (mapToShopify()).
+ *   template   – the columns of the SHOPIFY_MAPPING_FILE template, in
+ *                file order (mapItemToShopifyTemplate()).
+ *   metafields – the metafields mapping, pricing rules and price history
+ *                (buildMetafieldsRow()); the default.
+ * Shops can add their own profiles in their settings (`exportProfiles`,
+ * validated in lib/settings.js).  A user-defined profile extends a
+ * built-in one (`base`) and may replace its template (`template`, a list
+ * of { column, source }) or mapping (`mapping`), and pick and order the
+ * output columns (`columns`).
+ */
+
+export const BUILTIN_EXPORT_PROFILES = {
+  simple: 'Core Shopify columns, segment/category tags and the raw description',
+  template: 'Columns of the SHOPIFY_MAPPING_FILE template, in file order',
+  metafields: 'Metafields mapping with pricing rules and price history'
+};
+
+export const DEFAULT_EXPORT_PROFILE = 'metafields';
+
+/*
+ * Error raised for an unknown profile; `status` is 400.
+ */
+export class ExportProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExportProfileError';
+    this.status = 400;
+  }
+}
+
+/*
+ * List the built-in profiles followed by the shop's own.
+ */
+export function listExportProfiles(userProfiles = {}) {
+  const builtIn = Object.entries(BUILTIN_EXPORT_PROFILES).map(([name, description]) => ({
+    name,
+    base: name,
+    description,
+    builtIn: true,
+    default: name === DEFAULT_EXPORT_PROFILE
+  }));
+  const custom = Object.entries(userProfiles).map(([name, profile]) => ({
+    ...profile,
+    name,
+    builtIn: false,
+    default: false
+  }));
+  return [...builtIn, ...custom];
+}
+
+/*
+ * Look up a profile by name (DEFAULT_EXPORT_PROFILE when empty) among the
+ * built-in and the shop's profiles.  Resolves to { name, base, template,
+ * mapping, columns }; throws an ExportProfileError for unknown names.
+ */
+export function findExportProfile(name, userProfiles = {}) {
+  const wanted = name || DEFAULT_EXPORT_PROFILE;
+  if (BUILTIN_EXPORT_PROFILES[wanted]) {
+    return { name: wanted, base: wanted, template: null, mapping: null, columns: null };
+  }
+  const profile = userProfiles[wanted];
+  if (!profile) {
+    const names = [...Object.keys(BUILTIN_EXPORT_PROFILES), ...Object.keys(userProfiles)].join(', ');
+    throw new ExportProfileError(`Unknown export profile "${wanted}" (available: ${names})`);
+  }
+  return {
+    name: wanted,
+    base: profile.base,
+    template: profile.template || null,
+    mapping: profile.mapping || null,
+    columns: profile.columns || null
+  };
+}
+
+/*
+ * Keep only `columns` of a row, in that order; missing ones are empty.
+ */
+export function selectColumns(row, columns) {
+  const out = {};
+  for (const column of columns) {
+    out[column] = row[column] ?? '';
+  }
+  return out;
+}
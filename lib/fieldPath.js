@@ -0,0 +1,92 @@
+/*
+ * mobile-de-shopify-app/lib/fieldPath.js
+ *
+ * Resolve mapping sources such as `attributes/Power`, `price/total/amount`
+ * or `images/0` against dataset items.  Mappings are written against
+ * Apify's CSV view, where nested values are flattened into slash-separated
+ * keys, but the app reads datasets as clean JSON, where the same values
+ * are nested objects and arrays.  A path matches either form, and any mix
+ * of them: at each level a key may consume one or several path segments,
+ * so `attributes/Power` finds `item.attributes.Power` as well as
+ * `item['attributes/Power']`, and keys containing a slash still work.
+ * Numeric segments index arrays and `*` matches every element or
+ * property at its level (`images/*`, `features/*`).
+ */
+
+function segmentsMatch(keyParts, pattern) {
+  if (keyParts.length > pattern.length) return false;
+  return keyParts.every((part, i) => pattern[i] === '*' || pattern[i] === part);
+}
+
+function walk(value, pattern, out) {
+  if (pattern.length === 0) {
+    out.push(value);
+    return;
+  }
+  if (!value || typeof value !== 'object') return;
+  for (const key of Object.keys(value)) {
+    const keyParts = key.split('/');
+    if (!segmentsMatch(keyParts, pattern)) continue;
+    walk(value[key], pattern.slice(keyParts.length), out);
+  }
+}
+
+function splitPath(path) {
+  return String(path).split('/').map((part) => part.trim()).filter((part) => part !== '');
+}
+
+/*
+ * Return true when a path contains a `*` wildcard segment.
+ */
+export function hasWildcard(path) {
+  return splitPath(path).includes('*');
+}
+
+/*
+ * Resolve a path to every matching value, in key order.  Resolves to an
+ * empty array when nothing matches.
+ */
+export function resolvePathAll(item, path) {
+  const pattern = splitPath(path);
+  if (!item || pattern.length === 0) return [];
+  // A flattened key that is literally the whole path wins.
+  if (Object.prototype.hasOwnProperty.call(item, path) && !pattern.includes('*')) return [item[path]];
+  const out = [];
+  walk(item, pattern, out);
+  return out;
+}
+
+/*
+ * Resolve a path to a single value: the first match that is not empty, or
+ * undefined.
+ */
+export function resolvePath(item, path) {
+  const values = resolvePathAll(item, path);
+  const found = values.find((v) => v !== undefined && v !== null && v !== '');
+  return found !== undefined ? found : values[0];
+}
+
+/*
+ * Resolve a mapping source: all matches for wildcard paths, else the
+ * single value from resolvePath().
+ */
+export function resolveSource(item, path) {
+  return hasWildcard(path) ? resolvePathAll(item, path) : resolvePath(item, path);
+}
+
+/*
+ * Turn a resolved value into a cell value: arrays are joined with
+ * `separator`, objects become JSON, null and undefined become '' and
+ * other values are returned unchanged.
+ */
+export function pathValueToText(value, separator = ', ') {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) {
+    return value
+      .map((v) => pathValueToText(v, separator))
+      .filter((v) => v !== '')
+      .join(separator);
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
@@ -0,0 +1,182 @@
+/*
+ * mobile-de-shopify-app/lib/handles.js
+ *
+ * Product handles.  Every export builds the Shopify Handle with
+ * generateHandle(): German and Romanian letters are transliterated
+ * (ä → ae, ß → ss, ș → s, …) instead of dropped, the result is cut to
+ * Shopify's 255-character limit and shops can replace the default
+ * `{title}-{id}` with their own pattern (setting `handlePattern`, e.g.
+ * `{brand}-{model}-{year}-{id}`).
+ *
+ * Handles exported before are remembered per shop in `handles.json` in
+ * the data directory (handle → SKU), so resolveHandleCollisions() can
+ * give a listing a numbered handle when its handle already belongs to
+ * another listing, in an earlier run or earlier in the same export.
+ * Without that a pattern lacking `{id}` would make Shopify merge two
+ * cars into one product.
+ */
+
+import { createJsonStore } from './jsonStore.js';
+import { resolvePath, pathValueToText } from './fieldPath.js';
+
+const store = createJsonStore('handles.json', { shops: {} });
+
+export const MAX_HANDLE_LENGTH = 255;
+export const DEFAULT_HANDLE_PATTERN = '{title}-{id}';
+
+const PLACEHOLDER = /\{([^{}]*)\}/g;
+
+const TRANSLITERATIONS = {
+  'ä': 'ae', 'ö': 'oe', 'ü': 'ue', 'ß': 'ss',
+  'Ä': 'Ae', 'Ö': 'Oe', 'Ü': 'Ue', 'ẞ': 'SS',
+  'ă': 'a', 'â': 'a', 'î': 'i', 'ș': 's', 'ş': 's', 'ț': 't', 'ţ': 't',
+  'Ă': 'A', 'Â': 'A', 'Î': 'I', 'Ș': 'S', 'Ş': 'S', 'Ț': 'T', 'Ţ': 'T'
+};
+
+// Where {year} is looked up: an explicit field first, then the
+// registration or construction date of the listing.
+const YEAR_SOURCES = ['year', 'firstRegistration', 'attributes/First Registration', 'attributes/Construction Year'];
+
+function shopKey(shop) {
+  return shop || '';
+}
+
+/*
+ * Replace German and Romanian letters by their ASCII spelling and strip
+ * the accents of any other letter (é → e).
+ */
+export function transliterate(text) {
+  return String(text)
+    .replace(/[äöüßÄÖÜẞăâîșşțţĂÂÎȘŞȚŢ]/g, (ch) => TRANSLITERATIONS[ch])
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/*
+ * Lower-case, hyphenated ASCII slug of a text.
+ */
+export function slugify(text) {
+  return transliterate(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/*
+ * Cut a handle to `max` characters.  A `suffix` the handle ends with
+ * (the listing ID, a collision number) is kept and the text before it
+ * shortened instead.
+ */
+export function truncateHandle(handle, suffix = '', max = MAX_HANDLE_LENGTH) {
+  if (handle.length <= max) return handle;
+  if (suffix && handle.endsWith(`-${suffix}`) && suffix.length + 1 < max) {
+    const head = handle.slice(0, handle.length - suffix.length - 1).slice(0, max - suffix.length - 1).replace(/-+$/, '');
+    return head ? `${head}-${suffix}` : suffix;
+  }
+  return handle.slice(0, max).replace(/-+$/, '');
+}
+
+/*
+ * Check a handle pattern: text with `{field}` placeholders, where field
+ * is `title`, `id`, `year` or any field path (see lib/fieldPath.js).
+ * Throws an Error for patterns without placeholders or with empty ones.
+ */
+export function validateHandlePattern(pattern) {
+  if (typeof pattern !== 'string') throw new Error('handlePattern must be a string');
+  const fields = [...pattern.matchAll(PLACEHOLDER)].map((m) => m[1].trim());
+  if (fields.length === 0) throw new Error('handlePattern needs at least one {field} placeholder, e.g. {title}-{id}');
+  if (fields.some((f) => !f)) throw new Error('handlePattern contains an empty {} placeholder');
+  return pattern.trim();
+}
+
+function listingId(item) {
+  return item && item.id !== undefined && item.id !== null ? String(item.id).trim() : '';
+}
+
+function placeholderValue(item, field) {
+  if (field === 'id') return listingId(item);
+  if (field === 'year') {
+    for (const source of YEAR_SOURCES) {
+      const match = String(pathValueToText(resolvePath(item, source))).match(/\b(19|20)\d{2}\b/);
+      if (match) return match[0];
+    }
+    return '';
+  }
+  return String(pathValueToText(resolvePath(item, field), ' '));
+}
+
+/*
+ * Build the handle of a dataset item from a pattern (default
+ * `{title}-{id}`).  Placeholders that resolve to nothing are left out,
+ * the result is slugified and cut to MAX_HANDLE_LENGTH, keeping the
+ * listing ID when the handle ends with it.  Falls back to the ID alone
+ * when the pattern yields nothing.
+ */
+export function generateHandle(item, pattern = '') {
+  const id = listingId(item);
+  const text = (pattern || DEFAULT_HANDLE_PATTERN).replace(PLACEHOLDER, (_, field) => placeholderValue(item || {}, field.trim()));
+  const handle = slugify(text) || slugify(id);
+  return truncateHandle(handle, slugify(id));
+}
+
+/*
+ * Make the Handles of Shopify rows unique.  A handle exported before for
+ * another Variant SKU, or used by an earlier row of the same export, gets
+ * the first free `-2`, `-3`, … suffix.  Rows are changed in place.
+ * Resolves to the collisions: { row (1-based), sku, handle, renamedTo,
+ * conflictingSku, source: 'earlier-run' | 'this-export' }.
+ */
+export async function resolveHandleCollisions(shop, rows) {
+  const data = await store.read();
+  const known = data.shops[shopKey(shop)] || {};
+  const taken = new Map();
+  const collisions = [];
+  rows.forEach((row, idx) => {
+    const handle = row['Handle'];
+    if (!handle) return;
+    const sku = String(row['Variant SKU'] ?? '');
+    const ownerOf = (h) => {
+      if (taken.has(h)) return { sku: taken.get(h), source: 'this-export' };
+      return known[h] ? { sku: known[h].sku, source: 'earlier-run' } : null;
+    };
+    const owner = ownerOf(handle);
+    if (owner && owner.sku !== sku) {
+      let n = 2;
+      let candidate;
+      for (;;) {
+        candidate = truncateHandle(`${handle}-${n}`, String(n));
+        const other = ownerOf(candidate);
+        if (!other || other.sku === sku) break;
+        n += 1;
+      }
+      collisions.push({ row: idx + 1, sku, handle, renamedTo: candidate, conflictingSku: owner.sku, source: owner.source });
+      row['Handle'] = candidate;
+    }
+    taken.set(row['Handle'], sku);
+  });
+  return collisions;
+}
+
+/*
+ * Remember the Handles of exported or pushed rows, so that later exports
+ * can detect collisions with them.
+ */
+export async function recordExportedHandles(shop, runId, rows) {
+  const now = new Date().toISOString();
+  await store.update((data) => {
+    const handles = data.shops[shopKey(shop)] || (data.shops[shopKey(shop)] = {});
+    for (const row of rows) {
+      if (!row['Handle'] || !row['Variant SKU']) continue;
+      handles[row['Handle']] = { sku: String(row['Variant SKU']), runId, exportedAt: now };
+    }
+  });
+}
+
+/*
+ * Forget the exported handles of a shop.
+ */
+export async function deleteShopHandles(shop) {
+  await store.update((data) => {
+    delete data.shops[shopKey(shop)];
+  });
+}
@@ -0,0 +1,259 @@
+/*
+ * mobile-de-shopify-app/lib/imageMirror.js
+ *
+ * Local mirror of listing images.  mobile.de CDN URLs change or vanish
+ * once a listing is removed, which breaks product galleries that still
+ * point at them.  mirrorImages() downloads the images of a run into
+ * `images/<sha256>.<ext>` in the data directory, so identical images are
+ * stored once however many URLs or runs refer to them, and gives each
+ * one the name `{handle}-{position}.jpg` (or .png/.webp for such
+ * images).  The app serves them under /media/<sha256>/<name>, bundles
+ * them as a ZIP per run and can rewrite the exports to point at them.
+ * Handles are only unique within a shop, so the public URL carries the
+ * content hash: the name alone would let shops overwrite each other's
+ * images.
+ *
+ * The index `images.json` records, per source URL, the stored file and,
+ * per run, the names it produced with the file each stands for.
+ *
+ * IMAGE_MIRROR_ORIGIN replaces the scheme and host of every download
+ * (e.g. http://localhost:3003 for scripts/mock-images.js), so the
+ * pipeline can be tested against a local file server.
+ * IMAGE_MIRROR_CONCURRENCY (default 4) limits parallel downloads and
+ * IMAGE_MIRROR_MAX_MB (default 20) the size of a single image.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { createJsonStore, dataPath, writeFileAtomic } from './jsonStore.js';
+import { writeZip, zipSize } from './zip.js';
+
+const store = createJsonStore('images.json', { urls: {}, runs: {} });
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+const CONTENT_TYPES = { jpg: 'image/jpeg', png: 'image/png', webp: 'image/webp', gif: 'image/gif' };
+const DOWNLOAD_TIMEOUT_MS = 30000;
+
+function defaultConcurrency() {
+  const n = parseInt(process.env.IMAGE_MIRROR_CONCURRENCY);
+  return !Number.isNaN(n) && n > 0 ? n : 4;
+}
+
+function maxImageBytes() {
+  const mb = parseFloat(process.env.IMAGE_MIRROR_MAX_MB);
+  return Math.floor((!Number.isNaN(mb) && mb > 0 ? mb : 20) * 1024 * 1024);
+}
+
+function storedFile(hash, ext) {
+  return dataPath('images', `${hash}.${ext}`);
+}
+
+/*
+ * Name of a mirrored image: `{handle}-{position}.{ext}`.
+ */
+export function imageName(handle, position, ext = 'jpg') {
+  return `${handle}-${position}.${ext}`;
+}
+
+/*
+ * Path of a mirrored image below the app's URL: `/media/<sha256>/<name>`.
+ */
+export function mediaPath(hash, name) {
+  return `/media/${hash}/${encodeURIComponent(name)}`;
+}
+
+/*
+ * URL an image is downloaded from: the original, or with its scheme and
+ * host replaced by IMAGE_MIRROR_ORIGIN (which may carry a path prefix).
+ */
+export function downloadUrl(url, origin = process.env.IMAGE_MIRROR_ORIGIN) {
+  if (!origin) return url;
+  const source = new URL(url);
+  return `${origin.replace(/\/+$/, '')}${source.pathname}${source.search}`;
+}
+
+/*
+ * Download an image into a Buffer.  Responses over maxImageBytes() are
+ * abandoned as soon as the declared length or the bytes read exceed it.
+ */
+async function fetchImage(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT_MS);
+  const limit = maxImageBytes();
+  try {
+    const resp = await fetch(downloadUrl(url), { signal: controller.signal });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const type = (resp.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (type && !type.startsWith('image/')) throw new Error(`Not an image (${type})`);
+    const tooLarge = `Larger than the limit of ${limit} bytes`;
+    if (parseInt(resp.headers.get('content-length')) > limit) throw new Error(tooLarge);
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of resp.body) {
+      size += chunk.length;
+      if (size > limit) throw new Error(tooLarge);
+      chunks.push(chunk);
+    }
+    return { data: Buffer.concat(chunks, size), type };
+  } finally {
+    clearTimeout(timer);
+    controller.abort();
+  }
+}
+
+/*
+ * Download the images of a run.  `entries` is a list of { handle, urls }
+ * (one per product, urls in gallery order).  URLs mirrored before are
+ * not downloaded again, and downloads whose content is already stored
+ * are not written twice.  Resolves to a summary: total, downloaded (new
+ * files), duplicates (same content as a stored file), cached (URL
+ * mirrored earlier), failed and errors ({ url, error }).
+ */
+export async function mirrorImages(runId, entries, { concurrency = defaultConcurrency() } = {}) {
+  const index = await store.read();
+  const jobs = [];
+  for (const { handle, urls } of entries) {
+    if (!handle) continue;
+    urls.forEach((url, i) => {
+      if (url) jobs.push({ handle, position: i + 1, url });
+    });
+  }
+  const summary = { total: jobs.length, downloaded: 0, duplicates: 0, cached: 0, failed: 0, errors: [] };
+  const byUrl = new Map();
+  const fetchedAt = new Date().toISOString();
+
+  // One download per URL, even when several products share it.
+  function ensure(url) {
+    if (byUrl.has(url)) return byUrl.get(url);
+    const promise = (async () => {
+      const known = index.urls[url];
+      if (known && fs.existsSync(storedFile(known.hash, known.ext))) {
+        summary.cached += 1;
+        return known;
+      }
+      const { data, type } = await fetchImage(url);
+      const hash = crypto.createHash('sha256').update(data).digest('hex');
+      const ext = EXTENSIONS[type] || 'jpg';
+      const file = storedFile(hash, ext);
+      if (fs.existsSync(file)) {
+        summary.duplicates += 1;
+      } else {
+        await writeFileAtomic(file, data);
+        summary.downloaded += 1;
+      }
+      return { hash, ext, size: data.length, fetchedAt };
+    })();
+    byUrl.set(url, promise);
+    return promise;
+  }
+
+  const results = [];
+  let next = 0;
+  async function worker() {
+    while (next < jobs.length) {
+      const job = jobs[next++];
+      try {
+        const info = await ensure(job.url);
+        results.push({ ...job, ...info, name: imageName(job.handle, job.position, info.ext) });
+      } catch (err) {
+        summary.failed += 1;
+        summary.errors.push({ url: job.url, error: err.name === 'AbortError' ? 'Timed out' : err.message });
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, jobs.length) }, worker));
+
+  await store.update((data) => {
+    const names = { ...data.runs[runId] };
+    for (const r of results) {
+      data.urls[r.url] = { hash: r.hash, ext: r.ext, size: r.size, fetchedAt: r.fetchedAt };
+      names[r.name] = { hash: r.hash, ext: r.ext };
+    }
+    data.runs[runId] = Object.fromEntries(Object.entries(names).sort(([a], [b]) => a.localeCompare(b)));
+  });
+  return summary;
+}
+
+/*
+ * Resolve a mirrored image by content hash and name (whose extension
+ * gives the file type) to { file, contentType }, or null.
+ */
+export async function findMirroredImage(hash, name) {
+  const ext = String(name).split('.').pop().toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(hash) || !CONTENT_TYPES[ext]) return null;
+  const file = storedFile(hash, ext);
+  if (!fs.existsSync(file)) return null;
+  return { file, contentType: CONTENT_TYPES[ext] };
+}
+
+/*
+ * Replace the image URLs of products with their hosted mirror URLs
+ * (`${baseUrl}/media/<sha256>/<name>`).  `handles[i]` and `imageLists[i]`
+ * belong to the same product; images that have not been mirrored keep
+ * their original URL.  Resolves to the new lists.
+ */
+export async function hostedImageLists(handles, imageLists, baseUrl) {
+  const data = await store.read();
+  const base = String(baseUrl).replace(/\/+$/, '');
+  return imageLists.map((urls, i) => urls.map((url, pos) => {
+    const info = data.urls[url];
+    if (!info || !handles[i] || !fs.existsSync(storedFile(info.hash, info.ext))) return url;
+    return `${base}${mediaPath(info.hash, imageName(handles[i], pos + 1, info.ext))}`;
+  }));
+}
+
+/*
+ * Prepare a ZIP of a run's mirrored images, named
+ * `{handle}-{position}.jpg`.  Resolves to { size, write(out) }, where
+ * write() streams the archive to `out` reading one image at a time, or
+ * to null when the run has no mirrored images.  Throws a ZipError (413)
+ * when the archive would exceed the limits of the format.
+ */
+export async function buildRunImageZip(runId) {
+  const data = await store.read();
+  const entries = [];
+  for (const [name, entry] of Object.entries(data.runs[runId] || {})) {
+    const file = storedFile(entry.hash, entry.ext);
+    const stat = await fs.promises.stat(file).catch(() => null);
+    if (stat) entries.push({ name, file, size: stat.size });
+  }
+  if (entries.length === 0) return null;
+  const size = zipSize(entries);
+  async function* contents() {
+    for (const { name, file } of entries) {
+      yield { name, data: await fs.promises.readFile(file) };
+    }
+  }
+  return { size, write: (out) => writeZip(out, contents()) };
+}
+
+/*
+ * Forget the mirrored images of a run.  Stored files no other run refers
+ * to are deleted.
+ */
+export async function deleteRunImages(runId) {
+  const orphans = [];
+  await store.update((data) => {
+    if (!data.runs[runId]) return;
+    delete data.runs[runId];
+    const keptHashes = new Set();
+    for (const names of Object.values(data.runs)) {
+      Object.values(names).forEach((entry) => keptHashes.add(entry.hash));
+    }
+    for (const [url, info] of Object.entries(data.urls)) {
+      if (keptHashes.has(info.hash)) continue;
+      delete data.urls[url];
+      orphans.push(storedFile(info.hash, info.ext));
+    }
+  });
+  for (const file of new Set(orphans)) {
+    await fs.promises.rm(file, { force: true });
+  }
+}
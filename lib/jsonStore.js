@@ -0,0 +1,91 @@
+/*
+ * mobile-de-shopify-app/lib/jsonStore.js
+ *
+ * Minimal persistent store backed by a single JSON file inside the data
+ * directory (DATA_DIR, default `data`).  Reads are served from memory
+ * after the first load; updates are serialised through a promise chain
+ * and written atomically (temp file + rename) so a crash never leaves a
+ * half-written file behind.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/*
+ * Resolve a path inside the data directory, creating the directory on
+ * first use.
+ */
+export function dataPath(...parts) {
+  const dir = process.env.DATA_DIR || 'data';
+  fs.mkdirSync(dir, { recursive: true });
+  return path.join(dir, ...parts);
+}
+
+/*
+ * Write a file atomically: write to a sibling temp file, then rename it
+ * over the destination.  Each write has its own temp file, so concurrent
+ * writes of the same file do not clash; the last rename wins.
+ */
+export async function writeFileAtomic(filePath, contents) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+  try {
+    await fs.promises.writeFile(tmp, contents);
+    await fs.promises.rename(tmp, filePath);
+  } catch (err) {
+    await fs.promises.rm(tmp, { force: true });
+    throw err;
+  }
+}
+
+/*
+ * Create a store for the given file name (relative to the data
+ * directory).  `defaultValue` is returned (as a deep copy) when the file
+ * does not exist yet.  The returned object exposes:
+ *   read()       – resolve to the current value.
+ *   update(fn)   – call fn(value) and persist what it returns (or the
+ *                  mutated value when it returns undefined).  Resolves to
+ *                  the persisted value.
+ */
+export function createJsonStore(fileName, defaultValue) {
+  let cache = null;
+  let queue = Promise.resolve();
+
+  async function load() {
+    if (cache) return cache;
+    const filePath = dataPath(fileName);
+    if (!fs.existsSync(filePath)) {
+      cache = JSON.parse(JSON.stringify(defaultValue));
+      return cache;
+    }
+    const text = await fs.promises.readFile(filePath, 'utf8');
+    try {
+      cache = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Store file ${filePath} is not valid JSON: ${err.message}`);
+    }
+    return cache;
+  }
+
+  function read() {
+    // Wait for pending writes so readers observe them.
+    return queue.then(load);
+  }
+
+  function update(fn) {
+    const next = queue.then(async () => {
+      const current = await load();
+      const result = await fn(current);
+      const value = result === undefined ? current : result;
+      await writeFileAtomic(dataPath(fileName), JSON.stringify(value, null, 2));
+      cache = value;
+      return value;
+    });
+    // Keep the chain alive even when an update fails.
+    queue = next.catch(() => {});
+    return next;
+  }
+
+  return { read, update };
+}
@@ -0,0 +1,157 @@
+/*
+ * mobile-de-shopify-app/lib/listingStatus.js
+ *
+ * Tracks the listings exported to Shopify per saved search (shop +
+ * search URL) so that products whose mobile.de listing has disappeared
+ * can be taken offline.  Every CSV or Excel Shopify export and every
+ * push registers its SKUs (JSON previews do not); every later successful
+ * run of the same search counts, for each registered SKU, how many
+ * consecutive runs it has been missing from.
+ * Listings missing in at least `graceRuns` consecutive runs (default
+ * ARCHIVE_AFTER_MISSING_RUNS, 2) are stale, so a single scraping gap does
+ * not pull a live listing.  Data lives in `listing-status.json` in the
+ * data directory.
+ */
+
+import { createJsonStore } from './jsonStore.js';
+
+const store = createJsonStore('listing-status.json', { searches: {} });
+
+export const DEFAULT_GRACE_RUNS = 2;
+
+/*
+ * Grace period from ARCHIVE_AFTER_MISSING_RUNS, falling back to
+ * DEFAULT_GRACE_RUNS.
+ */
+export function defaultGraceRuns() {
+  const n = parseInt(process.env.ARCHIVE_AFTER_MISSING_RUNS);
+  return !Number.isNaN(n) && n > 0 ? n : DEFAULT_GRACE_RUNS;
+}
+
+function searchKey(shop, searchUrl) {
+  return `${shop || ''} ${searchUrl}`;
+}
+
+function getSearch(data, shop, searchUrl) {
+  const key = searchKey(shop, searchUrl);
+  if (!data.searches[key]) {
+    data.searches[key] = { shop: shop || null, searchUrl, checkedRuns: [], lastCheckedAt: null, listings: {} };
+  }
+  return data.searches[key];
+}
+
+/*
+ * Register the SKUs of Shopify rows exported (or pushed) from a run of a
+ * search.  `listingIds[i]`, when given, is the listing ID row i was built
+ * from: a vehicle merged into a product exported before keeps that
+ * product's SKU but is listed under a new ID, which recordRunListings()
+ * then checks as well.  Exported listings count as present in that run,
+ * unless the run is older than the last run counted for the search.
+ */
+export async function trackExportedListings(shop, searchUrl, runId, rows, startedAt, listingIds = []) {
+  const now = new Date().toISOString();
+  await store.update((data) => {
+    const search = getSearch(data, shop, searchUrl);
+    const outdated = Boolean(search.lastCheckedAt && startedAt && startedAt < search.lastCheckedAt);
+    rows.forEach((row, idx) => {
+      const sku = row['Variant SKU'] ? String(row['Variant SKU']) : '';
+      if (!sku) return;
+      const existing = search.listings[sku];
+      if (existing && outdated) return;
+      const entry = existing || { sku, firstExportedAt: now, archivedAt: null, archiveStatus: null };
+      const listingId = listingIds[idx] ? String(listingIds[idx]) : '';
+      Object.assign(entry, {
+        handle: row['Handle'] || entry.handle || '',
+        title: row['Title'] || entry.title || '',
+        listingId: listingId && listingId !== sku ? listingId : entry.listingId || null,
+        lastExportedAt: now,
+        lastSeenRunId: runId,
+        missingRuns: 0
+      });
+      search.listings[sku] = entry;
+    });
+  });
+}
+
+/*
+ * Compare a successful run of a search with its registered listings:
+ * present listings (under their SKU, or the listing ID a merged vehicle
+ * was last exported from) reset their missing counter, absent ones
+ * increment it.  Each run is counted once, and runs older than the last counted one
+ * (e.g. captured late) are ignored.  Resolves to the SKUs that were
+ * missing from this run.
+ */
+export async function recordRunListings(shop, searchUrl, runId, items, startedAt) {
+  const missing = [];
+  await store.update((data) => {
+    const search = data.searches[searchKey(shop, searchUrl)];
+    if (!search || search.checkedRuns.includes(runId)) return;
+    if (search.lastCheckedAt && startedAt && startedAt < search.lastCheckedAt) return;
+    const present = new Set(items.map((item) => String(item.id)));
+    for (const entry of Object.values(search.listings)) {
+      if (present.has(entry.sku) || (entry.listingId && present.has(entry.listingId))) {
+        entry.missingRuns = 0;
+        entry.lastSeenRunId = runId;
+        // A listing that came back is no longer considered archived here.
+        entry.archivedAt = null;
+        entry.archiveStatus = null;
+      } else {
+        entry.missingRuns = (entry.missingRuns || 0) + 1;
+        missing.push(entry.sku);
+      }
+    }
+    search.checkedRuns.push(runId);
+    search.lastCheckedAt = startedAt || new Date().toISOString();
+  });
+  return missing;
+}
+
+/*
+ * List stale listings: missing in at least `graceRuns` consecutive runs.
+ * Filters: `shop`, `searchUrl` and `includeArchived` (listings already
+ * archived are left out by default).  Each entry carries the shop and
+ * searchUrl of its search.
+ */
+export async function listStaleListings({ shop, searchUrl, graceRuns = defaultGraceRuns(), includeArchived = false } = {}) {
+  const data = await store.read();
+  const out = [];
+  for (const search of Object.values(data.searches)) {
+    if (shop !== undefined && search.shop !== (shop || null)) continue;
+    if (searchUrl && search.searchUrl !== searchUrl) continue;
+    for (const entry of Object.values(search.listings)) {
+      if ((entry.missingRuns || 0) < graceRuns) continue;
+      if (entry.archivedAt && !includeArchived) continue;
+      out.push({ ...entry, shop: search.shop, searchUrl: search.searchUrl });
+    }
+  }
+  return out.sort((a, b) => b.missingRuns - a.missingRuns);
+}
+
+/*
+ * Record that listings of a search were set to `status` (ARCHIVED or
+ * DRAFT) in Shopify.
+ */
+export async function markListingsArchived(shop, searchUrl, skus, status) {
+  const now = new Date().toISOString();
+  await store.update((data) => {
+    const search = data.searches[searchKey(shop, searchUrl)];
+    if (!search) return;
+    for (const sku of skus) {
+      const entry = search.listings[sku];
+      if (!entry) continue;
+      entry.archivedAt = now;
+      entry.archiveStatus = status;
+    }
+  });
+}
+
+/*
+ * Remove all tracked searches of a shop.
+ */
+export async function deleteShopListingStatus(shop) {
+  await store.update((data) => {
+    for (const [key, search] of Object.entries(data.searches)) {
+      if (search.shop === shop) delete data.searches[key];
+    }
+  });
+}
@@ -0,0 +1,155 @@
+/*
+ * mobile-de-shopify-app/lib/mapping.js
+ *
+ * Metafields mappings: which dataset field (the source, a slash-separated
+ * path as in Apify's CSV export, e.g. `attributes/Power`) fills which
+ * Shopify columns (the destinations).  A mapping list is an array of
+ * { source, dests } with at most MAX_MAPPING_DESTINATIONS destinations
+ * each.  Shops keep their list as JSON in their settings; this module
+ * converts between that list and the Excel layout used so far (sheet
+ * `Metafields_Mapping`, a `Molbile.de` source column and `Shopify
+ * Metafields 1`, `Shopify Metafields 2`, … destination columns) and
+ * lists the source fields found in datasets for the mapping editor.
+ */
+
+import ExcelJS from 'exceljs';
+
+export const MAPPING_SHEET = 'Metafields_Mapping';
+export const MAX_MAPPING_DESTINATIONS = 4;
+
+// Header of the source column.  Existing files spell it "Molbile.de".
+const SOURCE_HEADER = 'Molbile.de';
+const DEST_HEADER_PREFIX = 'Shopify Metafields';
+
+/*
+ * Error raised for a workbook that does not follow the mapping layout;
+ * `status` is 400 so upload routes can report it as a client error.
+ */
+export class MappingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MappingError';
+    this.status = 400;
+  }
+}
+
+function cellText(cell) {
+  const value = cell.value;
+  if (value === null || value === undefined) return '';
+  // Rich text and hyperlinks come back as objects.
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('').trim();
+    if (value.text !== undefined) return String(value.text).trim();
+    if (value.result !== undefined) return String(value.result).trim();
+  }
+  return String(value).trim();
+}
+
+/*
+ * Read the mapping list from an ExcelJS workbook.  Throws a MappingError
+ * naming the problem when the sheet or the source column is missing.
+ * Destination columns are taken in the order of their number; rows
+ * without a source or without destinations are skipped.
+ */
+export function parseMappingWorkbook(workbook) {
+  const sheet = workbook.getWorksheet(MAPPING_SHEET);
+  if (!sheet) {
+    const names = workbook.worksheets.map((ws) => ws.name).join(', ') || 'none';
+    throw new MappingError(`No sheet named "${MAPPING_SHEET}" (sheets: ${names})`);
+  }
+  let sourceCol = -1;
+  const destCols = [];
+  sheet.getRow(1).eachCell((cell, colNumber) => {
+    const val = cellText(cell).toLowerCase();
+    // Accept the historical "Molbile.de" spelling as well as "Mobile.de".
+    if (val.startsWith('molbile') || val.startsWith('mobile')) sourceCol = colNumber;
+    const dest = val.match(/^shopify metafields\s*(\d+)/);
+    if (dest) destCols.push({ n: parseInt(dest[1]), col: colNumber });
+  });
+  if (sourceCol === -1) {
+    throw new MappingError(`Sheet "${MAPPING_SHEET}" has no "${SOURCE_HEADER}" source column in its first row`);
+  }
+  destCols.sort((a, b) => a.n - b.n);
+  const mappings = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const source = cellText(row.getCell(sourceCol));
+    if (!source) return;
+    const dests = destCols.map(({ col }) => cellText(row.getCell(col))).filter(Boolean);
+    if (dests.length) mappings.push({ source, dests });
+  });
+  return mappings;
+}
+
+/*
+ * Load a mapping workbook from an xlsx buffer.
+ */
+export async function readMappingBuffer(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (err) {
+    throw new MappingError(`Not a readable xlsx file: ${err.message}`);
+  }
+  return parseMappingWorkbook(workbook);
+}
+
+/*
+ * Load a mapping workbook from disk.
+ */
+export async function readMappingFile(fileName) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(fileName);
+  return parseMappingWorkbook(workbook);
+}
+
+/*
+ * Write a mapping list in the Excel layout (at least two destination
+ * columns, more when an entry needs them).  Resolves to an xlsx buffer.
+ */
+export async function writeMappingWorkbook(mappings) {
+  const destCount = Math.max(2, ...mappings.map((m) => m.dests.length));
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(MAPPING_SHEET);
+  const header = [SOURCE_HEADER];
+  for (let i = 1; i <= destCount; i++) header.push(`${DEST_HEADER_PREFIX} ${i}`);
+  sheet.addRow(header);
+  for (const { source, dests } of mappings) {
+    sheet.addRow([source, ...dests]);
+  }
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function collectPaths(value, prefix, out) {
+  if (value && typeof value === 'object') {
+    const entries = Array.isArray(value) ? value.slice(0, 1).map((v) => [0, v]) : Object.entries(value);
+    for (const [key, child] of entries) {
+      collectPaths(child, prefix ? `${prefix}/${key}` : String(key), out);
+    }
+    return;
+  }
+  if (prefix) out.push([prefix, value]);
+}
+
+/*
+ * List the source fields present in dataset items as slash-separated
+ * paths, with the number of items having a value and an example value.
+ * Of arrays only the first element is listed (e.g. `images/0`).  Sorted
+ * by path.
+ */
+export function collectSourceFields(items) {
+  const fields = new Map();
+  for (const item of items) {
+    const paths = [];
+    collectPaths(item, '', paths);
+    for (const [source, value] of paths) {
+      const field = fields.get(source) || { source, count: 0, example: '' };
+      if (value !== null && value !== undefined && value !== '') {
+        field.count += 1;
+        if (field.example === '') field.example = String(value).slice(0, 120);
+      }
+      fields.set(source, field);
+    }
+  }
+  return [...fields.values()].sort((a, b) => a.source.localeCompare(b.source));
+}
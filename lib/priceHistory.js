@@ -0,0 +1,142 @@
+/*
+ * mobile-de-shopify-app/lib/priceHistory.js
+ *
+ * Per-listing price history.  Every time a run's dataset is captured, one
+ * observation (price, currency, mileage, run and date) is recorded for
+ * each listing ID, building a time series across runs.  The series backs
+ * /api/listings/:id/history, the price-drop query and the
+ * `custom.istoric_pret` metafield.  Each observation carries the shop
+ * whose run produced it, so shops only see their own history.  Data
+ * lives in `price-history.json` in the data directory.
+ */
+
+import { createJsonStore } from './jsonStore.js';
+import { summarizeListing } from './diff.js';
+
+const store = createJsonStore('price-history.json', { listings: {} });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Observations visible to a shop (all of them when `shop` is not given).
+function visibleTo(observations, shop) {
+  return shop ? observations.filter((o) => o.shop === shop) : observations;
+}
+
+/*
+ * Record one observation per listing for a run.  Re-recording the same
+ * run (e.g. after a snapshot refresh) replaces its earlier observations
+ * instead of duplicating them.
+ */
+export async function recordObservations(runId, items, observedAt = new Date().toISOString(), shop = null) {
+  await store.update((data) => {
+    for (const item of items) {
+      const listing = summarizeListing(item);
+      if (!listing.id) continue;
+      const entry = data.listings[listing.id] || { id: listing.id, title: '', url: '', observations: [] };
+      entry.title = listing.title || entry.title || '';
+      entry.url = listing.url || entry.url || '';
+      entry.observations = entry.observations.filter((o) => o.runId !== runId);
+      entry.observations.push({
+        runId,
+        shop,
+        observedAt,
+        price: listing.price,
+        currency: listing.currency,
+        mileage: listing.mileage
+      });
+      entry.observations.sort((a, b) => String(a.observedAt).localeCompare(String(b.observedAt)));
+      data.listings[listing.id] = entry;
+    }
+  });
+}
+
+/*
+ * Return { id, title, url, observations } for a listing, or null.
+ */
+export async function getListingHistory(id, { shop } = {}) {
+  const data = await store.read();
+  const entry = data.listings[String(id)];
+  if (!entry) return null;
+  const observations = visibleTo(entry.observations, shop);
+  return observations.length ? { ...entry, observations } : null;
+}
+
+/*
+ * Return a Map of listing ID → observations for the given IDs, for use
+ * while building exports.
+ */
+export async function getHistories(ids, { shop } = {}) {
+  const data = await store.read();
+  const out = new Map();
+  for (const id of ids) {
+    const entry = data.listings[String(id)];
+    if (entry) out.set(String(id), visibleTo(entry.observations, shop));
+  }
+  return out;
+}
+
+/*
+ * Find listings whose latest price is at least `minDropPercent` below the
+ * highest price seen in the last `days` days.  The last observation
+ * before the window counts as the price at the start of the window.
+ * Results are sorted by the size of the drop, largest first.
+ */
+export async function findPriceDrops({ minDropPercent = 5, days = 30, now = Date.now(), shop } = {}) {
+  const data = await store.read();
+  const since = now - days * DAY_MS;
+  const drops = [];
+  for (const entry of Object.values(data.listings)) {
+    const priced = visibleTo(entry.observations, shop).filter((o) => typeof o.price === 'number' && o.price > 0);
+    if (priced.length < 2) continue;
+    const latest = priced[priced.length - 1];
+    const inWindow = priced.filter((o) => Date.parse(o.observedAt) >= since && o !== latest);
+    const before = priced.filter((o) => Date.parse(o.observedAt) < since);
+    const candidates = before.length ? [before[before.length - 1], ...inWindow] : inWindow;
+    if (candidates.length === 0) continue;
+    const reference = candidates.reduce((max, o) => (o.price > max.price ? o : max));
+    const dropPercent = ((reference.price - latest.price) / reference.price) * 100;
+    if (dropPercent < minDropPercent) continue;
+    drops.push({
+      id: entry.id,
+      title: entry.title,
+      url: entry.url,
+      referencePrice: reference.price,
+      referenceObservedAt: reference.observedAt,
+      latestPrice: latest.price,
+      latestObservedAt: latest.observedAt,
+      currency: latest.currency,
+      dropPercent: Math.round(dropPercent * 100) / 100,
+      latestRunId: latest.runId
+    });
+  }
+  return drops.sort((a, b) => b.dropPercent - a.dropPercent);
+}
+
+/*
+ * Remove every observation recorded for a shop, dropping listings that
+ * have none left.
+ */
+export async function deleteShopObservations(shop) {
+  await store.update((data) => {
+    for (const [id, entry] of Object.entries(data.listings)) {
+      entry.observations = entry.observations.filter((o) => o.shop !== shop);
+      if (entry.observations.length === 0) delete data.listings[id];
+    }
+  });
+}
+
+/*
+ * Format a listing's observations for the `custom.istoric_pret`
+ * multi-line metafield: one "YYYY-MM-DD: price currency" line per price
+ * change, oldest first.
+ */
+export function formatPriceHistory(observations = []) {
+  const lines = [];
+  let lastPrice;
+  for (const o of observations) {
+    if (typeof o.price !== 'number' || o.price === lastPrice) continue;
+    lastPrice = o.price;
+    lines.push(`${String(o.observedAt).slice(0, 10)}: ${o.price}${o.currency ? ` ${o.currency}` : ''}`);
+  }
+  return lines.join('\n');
+}
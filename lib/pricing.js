@@ -0,0 +1,262 @@
+/*
+ * mobile-de-shopify-app/lib/pricing.js
+ *
+ * Pricing rules engine used to derive the Shopify `Variant Price` from the
+ * amount scraped from mobile.de.  The rules describe the VAT conversion
+ * (German source VAT to Romanian target VAT), a banded commission table,
+ * an optional fixed fee and a rounding strategy.  Rules are loaded from a
+ * JSON file so margins can be changed without editing server.js, and may
+ * be overridden per brand or per category.
+ */
+
+import fs from 'fs';
+
+/*
+ * Default rules.  These reproduce the business rule that used to be
+ * hardcoded in buildMetafieldsRow(): amount * 1.21 / 1.19 plus a six-tier
+ * commission on the raw amount, rounded to two decimals.
+ */
+export const DEFAULT_PRICING_RULES = {
+  sourceVatRate: 0.19,
+  targetVatRate: 0.21,
+  // Bands are checked in order; the first band whose `below` limit is
+  // greater than the raw amount wins.  A band without `below` catches
+  // everything else.
+  commissionBands: [
+    { below: 25000, rate: 0.095 },
+    { below: 40000, rate: 0.075 },
+    { below: 60000, rate: 0.065 },
+    { below: 90000, rate: 0.055 },
+    { below: 250000, rate: 0.045 },
+    { rate: 0.035 }
+  ],
+  fixedFee: 0,
+  rounding: { strategy: 'cents' },
+  overrides: {
+    brands: {},
+    categories: {}
+  }
+};
+
+const RULE_KEYS = ['sourceVatRate', 'targetVatRate', 'commissionBands', 'fixedFee', 'rounding'];
+
+/*
+ * Load the pricing rules from the JSON file named by PRICING_RULES_FILE
+ * (default `pricing-rules.json`).  Values in the file are merged over
+ * DEFAULT_PRICING_RULES, so a file may contain only the keys it wants to
+ * change.  A missing file yields the defaults; a malformed file throws so
+ * that a typo never silently produces wrong prices.
+ */
+export async function loadPricingRules() {
+  const fileName = process.env.PRICING_RULES_FILE || 'pricing-rules.json';
+  if (!fs.existsSync(fileName)) {
+    return DEFAULT_PRICING_RULES;
+  }
+  const text = await fs.promises.readFile(fileName, 'utf8');
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Pricing rules file ${fileName} is not valid JSON: ${err.message}`);
+  }
+  return normalizeRules(parsed);
+}
+
+/*
+ * Merge a partial rules object over the defaults and validate the result.
+ * Exported so that callers holding rules from another source (e.g. a
+ * request body) get the same checks as the file loader.
+ */
+export function normalizeRules(raw = {}) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Pricing rules must be a JSON object');
+  }
+  const rules = {
+    ...DEFAULT_PRICING_RULES,
+    ...pickRuleKeys(raw),
+    overrides: {
+      brands: { ...(raw.overrides && raw.overrides.brands) },
+      categories: { ...(raw.overrides && raw.overrides.categories) }
+    }
+  };
+  validateRuleSet(rules, 'pricing rules');
+  for (const [scope, entries] of Object.entries(rules.overrides)) {
+    for (const [name, override] of Object.entries(entries)) {
+      validateRuleSet({ ...rules, ...pickRuleKeys(override) }, `${scope} override "${name}"`);
+    }
+  }
+  return rules;
+}
+
+function pickRuleKeys(obj) {
+  const out = {};
+  if (!obj || typeof obj !== 'object') return out;
+  for (const key of RULE_KEYS) {
+    if (obj[key] !== undefined) out[key] = obj[key];
+  }
+  return out;
+}
+
+function validateRuleSet(rules, label) {
+  for (const key of ['sourceVatRate', 'targetVatRate', 'fixedFee']) {
+    if (typeof rules[key] !== 'number' || !Number.isFinite(rules[key]) || rules[key] < 0) {
+      throw new Error(`${label}: ${key} must be a non-negative number`);
+    }
+  }
+  if (!Array.isArray(rules.commissionBands) || rules.commissionBands.length === 0) {
+    throw new Error(`${label}: commissionBands must be a non-empty array`);
+  }
+  rules.commissionBands.forEach((band, idx) => {
+    if (!band || typeof band.rate !== 'number' || band.rate < 0) {
+      throw new Error(`${label}: commissionBands[${idx}].rate must be a non-negative number`);
+    }
+    if (band.below !== undefined && typeof band.below !== 'number') {
+      throw new Error(`${label}: commissionBands[${idx}].below must be a number`);
+    }
+  });
+  const strategy = rules.rounding && rules.rounding.strategy;
+  if (!['none', 'cents', 'integer', 'ending'].includes(strategy)) {
+    throw new Error(`${label}: rounding.strategy must be one of none, cents, integer, ending`);
+  }
+  if (strategy === 'ending') {
+    const { ending, step } = rules.rounding;
+    if (typeof ending !== 'number' || typeof step !== 'number' || step <= 0 || ending < 0 || ending >= step) {
+      throw new Error(`${label}: rounding "ending" needs numeric ending and step with 0 <= ending < step`);
+    }
+  }
+}
+
+/*
+ * Parse a price string such as "15,873.11", "15873,11" or "€ 39.900" into a
+ * number.  Commas are treated as decimal separators unless a dot is also
+ * present, in which case commas are thousands separators.  Returns NaN
+ * when nothing numeric can be found.
+ */
+export function parsePriceAmount(amountStr) {
+  if (amountStr === null || amountStr === undefined || amountStr === '') return NaN;
+  let cleaned = String(amountStr)
+    .replace(/\s+/g, '')
+    .replace(/[€£$]/g, '')
+    .trim();
+  if (cleaned.includes(',') && cleaned.includes('.')) {
+    cleaned = cleaned.replace(/,/g, '');
+  }
+  if (!cleaned.includes('.') && cleaned.includes(',')) {
+    cleaned = cleaned.replace(/,/g, '.');
+  }
+  const m = cleaned.match(/[0-9.]+/);
+  return m ? parseFloat(m[0]) : NaN;
+}
+
+/*
+ * Determine the source amount string for an item.  Prefers
+ * item.price.amount, then item.price.total.amount, then item.price.value,
+ * then the slash-flattened `price/total/amount` field.
+ */
+export function extractPriceAmount(item) {
+  let amountStr = '';
+  if (item && item.price && typeof item.price === 'object') {
+    if (item.price.amount) amountStr = String(item.price.amount);
+    else if (item.price.total && item.price.total.amount) amountStr = String(item.price.total.amount);
+    else if (item.price.value) amountStr = String(item.price.value);
+  }
+  if (!amountStr && item && item['price/total/amount']) {
+    amountStr = String(item['price/total/amount']);
+  }
+  return amountStr;
+}
+
+/*
+ * Determine the currency of an item's price from the same places as
+ * extractPriceAmount(): item.price.currency, then
+ * item.price.total.currency, then the slash-flattened
+ * `price/total/currency` field.  Returns '' when none is given.
+ */
+export function extractPriceCurrency(item) {
+  if (item && item.price && typeof item.price === 'object') {
+    if (item.price.currency) return String(item.price.currency);
+    if (item.price.total && item.price.total.currency) return String(item.price.total.currency);
+  }
+  return item && item['price/total/currency'] ? String(item['price/total/currency']) : '';
+}
+
+/*
+ * Resolve the effective rule set for an item.  A brand override takes
+ * precedence over a category override; lookups are case-insensitive.
+ * Returns the merged rules together with a label naming where they came
+ * from ("default", "brand:BMW", "category:SUV").
+ */
+export function resolveRules(item, rules = DEFAULT_PRICING_RULES) {
+  const overrides = rules.overrides || {};
+  const find = (entries, value) => {
+    if (!entries || value === undefined || value === null || value === '') return null;
+    const wanted = String(value).trim().toLowerCase();
+    const key = Object.keys(entries).find((k) => k.trim().toLowerCase() === wanted);
+    return key ? { key, override: entries[key] } : null;
+  };
+  const brandHit = find(overrides.brands, item && item.brand);
+  if (brandHit) {
+    return { rules: { ...rules, ...pickRuleKeys(brandHit.override) }, label: `brand:${brandHit.key}` };
+  }
+  const categoryHit = find(overrides.categories, item && item.category);
+  if (categoryHit) {
+    return { rules: { ...rules, ...pickRuleKeys(categoryHit.override) }, label: `category:${categoryHit.key}` };
+  }
+  return { rules, label: 'default' };
+}
+
+function commissionRateFor(amount, bands) {
+  for (const band of bands) {
+    if (band.below === undefined || amount < band.below) return band.rate;
+  }
+  return 0;
+}
+
+function applyRounding(value, rounding) {
+  switch (rounding.strategy) {
+    case 'none':
+      return value;
+    case 'integer':
+      return Math.round(value);
+    case 'ending': {
+      // Round up to the next value that ends in `ending`, e.g. step 1000
+      // and ending 990 turns 23,412.50 into 23,990.
+      const { ending, step } = rounding;
+      return Math.ceil((value - ending) / step) * step + ending;
+    }
+    case 'cents':
+    default:
+      return Math.round(value * 100) / 100;
+  }
+}
+
+/*
+ * Compute the Variant Price for an item.  The raw amount is converted from
+ * source to target VAT, the commission for the band containing the raw
+ * amount is applied, the fixed fee is added and the result is rounded.
+ * Returns null when the item has no usable amount; otherwise an object
+ * with the raw amount, the resulting price and a description of the rule
+ * that was applied.
+ */
+export function computeVariantPrice(item, rules = DEFAULT_PRICING_RULES) {
+  const rawAmount = parsePriceAmount(extractPriceAmount(item));
+  if (Number.isNaN(rawAmount) || rawAmount <= 0) return null;
+  const { rules: effective, label } = resolveRules(item, rules);
+  const commissionRate = commissionRateFor(rawAmount, effective.commissionBands);
+  let price = (rawAmount * (1 + effective.targetVatRate)) / (1 + effective.sourceVatRate);
+  price = price * (1 + commissionRate);
+  price += effective.fixedFee;
+  price = applyRounding(price, effective.rounding);
+  return {
+    rawAmount,
+    price,
+    rule: {
+      name: label,
+      sourceVatRate: effective.sourceVatRate,
+      targetVatRate: effective.targetVatRate,
+      commissionRate,
+      fixedFee: effective.fixedFee,
+      rounding: effective.rounding.strategy
+    }
+  };
+}
@@ -0,0 +1,71 @@
+/*
+ * mobile-de-shopify-app/lib/productLinks.js
+ *
+ * Links between mobile.de listings and the Shopify products created for
+ * them by the store push, per shop.  A link records the product ID and
+ * handle; when the merchant deletes the product in Shopify the
+ * products/delete webhook marks the link as unlinked, and later pushes
+ * skip that listing instead of silently recreating the product.  Data
+ * lives in `product-links.json` in the data directory.
+ */
+
+import { createJsonStore } from './jsonStore.js';
+
+const store = createJsonStore('product-links.json', { shops: {} });
+
+/*
+ * Store the products created or updated by a push.  `results` are the
+ * per-item results of pushRows(); failed and skipped items are ignored.
+ * Pushing a listing again relinks it.
+ */
+export async function recordPushedProducts(shop, results) {
+  const now = new Date().toISOString();
+  await store.update((data) => {
+    const links = data.shops[shop] || (data.shops[shop] = {});
+    for (const r of results) {
+      if (!r.sku || !r.productId || (r.action !== 'created' && r.action !== 'updated')) continue;
+      links[r.sku] = {
+        listingId: r.sku,
+        productId: r.productId,
+        handle: r.handle || '',
+        pushedAt: now,
+        unlinkedAt: null
+      };
+    }
+  });
+}
+
+/*
+ * Return the links of a shop as a Map of listing ID → link.
+ */
+export async function getProductLinks(shop) {
+  const data = await store.read();
+  return new Map(Object.entries(data.shops[shop] || {}));
+}
+
+/*
+ * Mark the listing linked to a deleted product as unlinked.  `productId`
+ * may be the numeric ID sent by webhooks or a GraphQL GID.  Resolves to
+ * the listing ID, or null when the product was not pushed by this app.
+ */
+export async function markProductDeleted(shop, productId) {
+  const numeric = String(productId).split('/').pop();
+  let listingId = null;
+  await store.update((data) => {
+    for (const link of Object.values(data.shops[shop] || {})) {
+      if (String(link.productId).split('/').pop() !== numeric) continue;
+      link.unlinkedAt = new Date().toISOString();
+      listingId = link.listingId;
+    }
+  });
+  return listingId;
+}
+
+/*
+ * Remove all links of a shop.
+ */
+export async function deleteShopLinks(shop) {
+  await store.update((data) => {
+    delete data.shops[shop];
+  });
+}
@@ -0,0 +1,154 @@
+/*
+ * mobile-de-shopify-app/lib/qualityReport.js
+ *
+ * Pre-import checks of Shopify rows.  checkShopifyRows() inspects every
+ * row of an export and lists its issues, so problems are found before
+ * the CSV reaches Shopify rather than in a half-imported catalogue.
+ *
+ * Issues with severity 'error' make a row fail: Shopify would reject it
+ * or create a broken product (no price, no image, a Handle or SKU that
+ * collides with another row).  'warning' issues point at incomplete
+ * listings that still import.
+ */
+
+export const BRAND_COLUMN = 'Metafield: custom.marca [single_line_text_field]';
+export const MODEL_COLUMN = 'Metafield: custom.model [single_line_text_field]';
+export const DEFAULT_MAX_TITLE_LENGTH = 100;
+
+// Check code → severity, in report order.
+export const QUALITY_CHECKS = {
+  'missing-price': 'error',
+  'invalid-price': 'error',
+  'missing-image': 'error',
+  'duplicate-handle': 'error',
+  'duplicate-sku': 'error',
+  'missing-brand': 'warning',
+  'missing-model': 'warning',
+  'missing-technical-data': 'warning',
+  'long-title': 'warning',
+  'renamed-handle': 'warning'
+};
+
+function text(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+function issue(code, message) {
+  return { code, severity: QUALITY_CHECKS[code], message };
+}
+
+/*
+ * Row numbers (1-based) of the first row carrying each non-empty value of
+ * `column`; used to point duplicates at the row they repeat.
+ */
+function firstOccurrences(rows, column) {
+  const first = new Map();
+  rows.forEach((row, idx) => {
+    const value = text(row[column]);
+    if (value && !first.has(value)) first.set(value, idx + 1);
+  });
+  return first;
+}
+
+/*
+ * Check Shopify rows (as built by the export profiles) and return
+ * { summary, rows }.  `rows` lists, per input row, its number (1-based),
+ * Handle, Variant SKU, Title, issues ({ code, severity, message }) and
+ * whether it fails (has an error).  The summary counts rows, failing
+ * rows, rows with warnings and issues per check.
+ *
+ * Options:
+ *   maxTitleLength      – titles longer than this are flagged.
+ *   technicalDataLabels – headings that mark the technical data section
+ *                         of Body HTML (one per export language).
+ *   handleCollisions    – renames made by resolveHandleCollisions()
+ *                         (lib/handles.js), reported on their rows.
+ *
+ * The brand/model checks only apply to rows with metafield columns and
+ * the technical data check only to rows with a Body HTML column, so
+ * profiles without them are not flagged for every row.
+ */
+export function checkShopifyRows(rows, { maxTitleLength = DEFAULT_MAX_TITLE_LENGTH, technicalDataLabels = [], handleCollisions = [] } = {}) {
+  const renamed = new Map(handleCollisions.map((c) => [c.row, c]));
+  const firstHandle = firstOccurrences(rows, 'Handle');
+  const firstSku = firstOccurrences(rows, 'Variant SKU');
+  const report = rows.map((row, idx) => {
+    const issues = [];
+    const price = text(row['Variant Price']);
+    if (!price) {
+      issues.push(issue('missing-price', 'Variant Price is empty (no price could be parsed)'));
+    } else if (!Number.isFinite(Number(price))) {
+      issues.push(issue('invalid-price', `Variant Price "${price}" is not a number`));
+    }
+    if (!text(row['Image Src'])) {
+      issues.push(issue('missing-image', 'Image Src is empty'));
+    }
+    const handle = text(row['Handle']);
+    if (handle && firstHandle.get(handle) !== idx + 1) {
+      issues.push(issue('duplicate-handle', `Handle "${handle}" is also used by row ${firstHandle.get(handle)}`));
+    }
+    const sku = text(row['Variant SKU']);
+    if (sku && firstSku.get(sku) !== idx + 1) {
+      issues.push(issue('duplicate-sku', `Variant SKU "${sku}" is also used by row ${firstSku.get(sku)}`));
+    }
+    if (Object.keys(row).some((key) => key.startsWith('Metafield:'))) {
+      if (!text(row[BRAND_COLUMN])) issues.push(issue('missing-brand', 'Brand metafield (custom.marca) is empty'));
+      if (!text(row[MODEL_COLUMN])) issues.push(issue('missing-model', 'Model metafield (custom.model) is empty'));
+    }
+    if ('Body HTML' in row) {
+      const body = text(row['Body HTML']);
+      if (!technicalDataLabels.some((label) => body.includes(`${label}:`))) {
+        issues.push(issue('missing-technical-data', 'Body HTML has no technical data section'));
+      }
+    }
+    const title = text(row['Title']);
+    if (title.length > maxTitleLength) {
+      issues.push(issue('long-title', `Title has ${title.length} characters (more than ${maxTitleLength})`));
+    }
+    const collision = renamed.get(idx + 1);
+    if (collision) {
+      const where = collision.source === 'earlier-run' ? 'was exported before' : 'is used by an earlier row';
+      issues.push(issue('renamed-handle', `Handle "${collision.handle}" ${where} for SKU ${collision.conflictingSku}; renamed to "${collision.renamedTo}"`));
+    }
+    return {
+      row: idx + 1,
+      handle,
+      sku,
+      title,
+      failing: issues.some((i) => i.severity === 'error'),
+      issues
+    };
+  });
+
+  const byCheck = Object.fromEntries(Object.keys(QUALITY_CHECKS).map((code) => [code, 0]));
+  report.forEach((r) => r.issues.forEach((i) => { byCheck[i.code] += 1; }));
+  const summary = {
+    rows: report.length,
+    failing: report.filter((r) => r.failing).length,
+    withWarnings: report.filter((r) => !r.failing && r.issues.length > 0).length,
+    clean: report.filter((r) => r.issues.length === 0).length,
+    byCheck
+  };
+  return { summary, rows: report };
+}
+
+/*
+ * Flatten a report into one row per issue, for CSV/XLSX downloads.
+ */
+export function reportToRows(report) {
+  const out = [];
+  for (const r of report.rows) {
+    for (const i of r.issues) {
+      out.push({
+        'Row': r.row,
+        'Handle': r.handle,
+        'Variant SKU': r.sku,
+        'Title': r.title,
+        'Severity': i.severity,
+        'Check': i.code,
+        'Message': i.message
+      });
+    }
+  }
+  return out;
+}
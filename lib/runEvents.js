@@ -0,0 +1,141 @@
+/*
+ * mobile-de-shopify-app/lib/runEvents.js
+ *
+ * Live progress of Apify runs for the Server-Sent Events stream
+ * (GET /api/runs/:runId/events).  One poller per run reads the run, the
+ * item count of its dataset and its log every RUN_EVENTS_INTERVAL_MS
+ * (default 3000) and feeds every client watching the run, so more staff
+ * watching the same run do not mean more Apify calls.  The poller starts
+ * with the first subscriber and stops when the last one leaves or the
+ * run reaches a terminal status.
+ *
+ * Events (name → data):
+ *   status – { runId, status, itemCount, maxItems, progress, startedAt,
+ *              finishedAt }, sent when any of them changes.  `progress`
+ *              is itemCount / maxItems in percent, or null without a
+ *              limit (the actor does not report a total).
+ *   log    – { lines }: new complete lines of the run's log.
+ *   warning – { message }: a poll failed; polling goes on.
+ *   end    – { runId, status }: the run finished; the stream closes.
+ *            A run Apify does not know ends it with { runId, status:
+ *            null, error }.
+ * A new subscriber first receives the latest status and the last
+ * LOG_TAIL_LINES log lines.
+ */
+
+import { TERMINAL_STATUSES } from './runs.js';
+
+export const DEFAULT_POLL_INTERVAL_MS = 3000;
+export const LOG_TAIL_LINES = 50;
+
+const watchers = new Map();
+
+function pollInterval() {
+  const ms = parseInt(process.env.RUN_EVENTS_INTERVAL_MS);
+  return !Number.isNaN(ms) && ms > 0 ? ms : DEFAULT_POLL_INTERVAL_MS;
+}
+
+function broadcast(watcher, event, data) {
+  for (const listener of watcher.listeners) {
+    try {
+      listener(event, data);
+    } catch (err) {
+      console.error(`Run event listener for ${watcher.runId} failed: ${err.message}`);
+    }
+  }
+}
+
+/*
+ * Split the part of the log not seen yet into complete lines.  A
+ * trailing partial line is kept for the next poll unless `final`.
+ */
+function newLogLines(watcher, text, final) {
+  if (typeof text !== 'string' || text.length <= watcher.logOffset) return [];
+  const fresh = text.slice(watcher.logOffset);
+  const end = final ? fresh.length : fresh.lastIndexOf('\n') + 1;
+  watcher.logOffset += end;
+  return fresh.slice(0, end).split('\n').map((line) => line.replace(/\r$/, '')).filter(Boolean);
+}
+
+async function poll(watcher) {
+  const { source } = watcher;
+  try {
+    const run = await source.getRun();
+    const itemCount = await source.getItemCount(run);
+    const final = TERMINAL_STATUSES.has(run.status);
+    const status = {
+      runId: watcher.runId,
+      status: run.status,
+      itemCount,
+      maxItems: source.maxItems || null,
+      progress: source.maxItems ? Math.min(100, Math.floor((itemCount / source.maxItems) * 100)) : null,
+      startedAt: run.startedAt || null,
+      finishedAt: run.finishedAt || null
+    };
+    if (JSON.stringify(status) !== JSON.stringify(watcher.status)) {
+      watcher.status = status;
+      if (source.onStatus) await source.onStatus(run);
+      broadcast(watcher, 'status', status);
+    }
+    const lines = newLogLines(watcher, await source.getLog(), final);
+    if (lines.length) {
+      watcher.logTail = [...watcher.logTail, ...lines].slice(-LOG_TAIL_LINES);
+      broadcast(watcher, 'log', { lines });
+    }
+    if (final) {
+      if (source.onFinished) await source.onFinished(run);
+      broadcast(watcher, 'end', { runId: watcher.runId, status: run.status });
+      stop(watcher);
+      return;
+    }
+    // A comment line keeps idle connections open through proxies.
+    broadcast(watcher, null, null);
+  } catch (err) {
+    if (err.status === 404) {
+      broadcast(watcher, 'end', { runId: watcher.runId, status: null, error: err.message });
+      stop(watcher);
+      return;
+    }
+    broadcast(watcher, 'warning', { message: err.message });
+  }
+  if (watchers.get(watcher.runId) === watcher) {
+    watcher.timer = setTimeout(() => poll(watcher), pollInterval());
+  }
+}
+
+function stop(watcher) {
+  clearTimeout(watcher.timer);
+  watcher.listeners.clear();
+  if (watchers.get(watcher.runId) === watcher) watchers.delete(watcher.runId);
+}
+
+/*
+ * Subscribe `listener(event, data)` to a run's events (`event` is null
+ * for keep-alive pings).  `source` starts the run's poller when nobody
+ * watches it yet and is ignored otherwise:
+ *   getRun()          – resolves to the Apify run object.
+ *   getItemCount(run) – resolves to the number of items scraped so far.
+ *   getLog()          – resolves to the run's log text.
+ *   maxItems          – item limit of the run, if any.
+ *   onStatus(run)     – called when the status event changes.
+ *   onFinished(run)   – called once the run is terminal, before `end`.
+ * Returns the function that unsubscribes the listener.
+ */
+export function subscribeRunEvents(runId, source, listener) {
+  let watcher = watchers.get(runId);
+  if (!watcher) {
+    watcher = { runId, source, listeners: new Set(), status: null, logOffset: 0, logTail: [], timer: null };
+    watchers.set(runId, watcher);
+    watcher.listeners.add(listener);
+    poll(watcher);
+  } else {
+    if (watcher.status) listener('status', watcher.status);
+    if (watcher.logTail.length) listener('log', { lines: watcher.logTail });
+    watcher.listeners.add(listener);
+  }
+  return () => {
+    watcher.listeners.delete(listener);
+    if (watcher.listeners.size === 0) stop(watcher);
+  };
+}
+
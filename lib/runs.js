@@ -0,0 +1,128 @@
+/*
+ * mobile-de-shopify-app/lib/runs.js
+ *
+ * Run history.  Every crawl started through /api/start-crawl is recorded
+ * here with its search URL, item limit, actor input, timestamps, final
+ * status, item count and the exports that were downloaded, so a run can
+ * be reopened and re-exported after the browser tab that started it has
+ * been closed.  Records live in `runs.json` in the data directory.
+ */
+
+import { createJsonStore } from './jsonStore.js';
+
+const store = createJsonStore('runs.json', { runs: {} });
+
+// Apify statuses after which a run will not change any more.
+export const TERMINAL_STATUSES = new Set(['SUCCEEDED', 'FAILED', 'ABORTED', 'TIMED-OUT']);
+
+/*
+ * Record a newly started run.  `run` must contain runId; other fields
+ * (shop, searchUrl, searchUrls, maxItems, actorId, actorPreset,
+ * actorAdapter, actorInput, webhookTokenHash, status, datasetId) are
+ * stored as given.  `shop` is the installed shop that
+ * started the run, or null when authentication is disabled.  `searchUrls`
+ * lists the crawled URLs and `searchUrl` is the key of the search (see
+ * lib/searches.js).  `actorPreset` and `actorAdapter` name the input
+ * preset and adapter the run was started with (lib/actorAdapters.js).
+ * `webhookTokenHash` verifies the run's completion webhook
+ * (lib/automations.js).
+ */
+export async function recordRunStart(run) {
+  const now = new Date().toISOString();
+  await store.update((data) => {
+    data.runs[run.runId] = {
+      runId: run.runId,
+      shop: run.shop || null,
+      searchUrl: run.searchUrl || '',
+      searchUrls: run.searchUrls || (run.searchUrl ? [run.searchUrl] : []),
+      maxItems: run.maxItems ?? null,
+      actorId: run.actorId || '',
+      actorPreset: run.actorPreset || '',
+      actorAdapter: run.actorAdapter || '',
+      actorInput: run.actorInput || {},
+      webhookTokenHash: run.webhookTokenHash || '',
+      datasetId: run.datasetId || '',
+      status: run.status || 'READY',
+      startedAt: run.startedAt || now,
+      finishedAt: null,
+      itemCount: null,
+      exports: []
+    };
+  });
+}
+
+/*
+ * Apply the fields of an Apify run object (as returned by
+ * GET /actor-runs/{id}) to the stored record.  Runs that were not started
+ * through this app are ignored.
+ */
+export async function syncRunFromApify(runId, apifyRun) {
+  if (!apifyRun) return;
+  await store.update((data) => {
+    const rec = data.runs[runId];
+    if (!rec) return;
+    if (apifyRun.status) rec.status = apifyRun.status;
+    if (apifyRun.defaultDatasetId) rec.datasetId = apifyRun.defaultDatasetId;
+    if (apifyRun.finishedAt) rec.finishedAt = apifyRun.finishedAt;
+    else if (TERMINAL_STATUSES.has(rec.status) && !rec.finishedAt) rec.finishedAt = new Date().toISOString();
+    const output = apifyRun.stats && apifyRun.stats.itemsOutput;
+    if (rec.itemCount === null && typeof output === 'number' && output > 0) rec.itemCount = output;
+  });
+}
+
+/*
+ * Merge arbitrary fields into a stored run.  Unknown runs are ignored.
+ */
+export async function updateRun(runId, patch) {
+  await store.update((data) => {
+    const rec = data.runs[runId];
+    if (!rec) return;
+    Object.assign(rec, patch);
+  });
+}
+
+/*
+ * Note that an export of the given type and format was downloaded.  The
+ * item count of the run is refreshed from the export when known.
+ */
+export async function recordRunExport(runId, type, format, itemCount) {
+  await store.update((data) => {
+    const rec = data.runs[runId];
+    if (!rec) return;
+    rec.exports.push({ type, format, at: new Date().toISOString() });
+    if (typeof itemCount === 'number') rec.itemCount = itemCount;
+  });
+}
+
+export async function getRun(runId) {
+  const data = await store.read();
+  return data.runs[runId] || null;
+}
+
+/*
+ * List stored runs, newest first.  When `shop` is given only that shop's
+ * runs are returned.
+ */
+export async function listRuns({ limit, shop } = {}) {
+  const data = await store.read();
+  const runs = Object.values(data.runs)
+    .filter((run) => !shop || run.shop === shop)
+    .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+  return limit ? runs.slice(0, limit) : runs;
+}
+
+/*
+ * Remove every stored run of a shop.  Resolves to the removed runIds so
+ * the caller can clean up data derived from them.
+ */
+export async function deleteShopRuns(shop) {
+  const removed = [];
+  await store.update((data) => {
+    for (const [runId, run] of Object.entries(data.runs)) {
+      if (run.shop !== shop) continue;
+      removed.push(runId);
+      delete data.runs[runId];
+    }
+  });
+  return removed;
+}
@@ -0,0 +1,174 @@
+/*
+ * mobile-de-shopify-app/lib/searches.js
+ *
+ * Search URLs of a crawl.  A run may crawl several mobile.de search pages
+ * at once (the actor's `searchPageURLs` is a list); normalizeSearchUrls()
+ * validates them and searchKey() turns them into the single string that
+ * identifies the search across runs (run history, stale listings, run
+ * comparison).
+ *
+ * buildSearchUrl() generates a search URL from structured criteria (make,
+ * model, price, first registration, mileage, fuel) using mobile.de's query
+ * parameters, so staff do not have to hand-craft query strings:
+ *   ms=<makeId>;;;<model>  p=<min>:<max>  fr=<from>:<to>  ml=:<max>  ft=<fuel>
+ */
+
+export const MAX_SEARCH_URLS = 20;
+export const SEARCH_BASE_URL = 'https://suchen.mobile.de/fahrzeuge/search.html';
+
+// mobile.de make IDs of the brands most dealers crawl.
+export const MAKES = {
+  'Alfa Romeo': 900,
+  'Audi': 1900,
+  'BMW': 3500,
+  'Citroën': 5900,
+  'Dacia': 6600,
+  'Fiat': 8800,
+  'Ford': 9000,
+  'Honda': 11000,
+  'Hyundai': 11600,
+  'Jaguar': 12400,
+  'Jeep': 12600,
+  'Kia': 13200,
+  'Land Rover': 14800,
+  'Lexus': 15200,
+  'Mazda': 16800,
+  'Mercedes-Benz': 17200,
+  'MINI': 17500,
+  'Mitsubishi': 17700,
+  'Nissan': 18700,
+  'Opel': 19000,
+  'Peugeot': 19800,
+  'Porsche': 20100,
+  'Renault': 20700,
+  'Seat': 22500,
+  'Skoda': 22900,
+  'Smart': 23000,
+  'Suzuki': 23600,
+  'Toyota': 24100,
+  'Volvo': 25100,
+  'Volkswagen': 25200
+};
+
+// Fuel filter values (ft) by label.
+export const FUELS = {
+  'Petrol': 'PETROL',
+  'Diesel': 'DIESEL',
+  'Electric': 'ELECTRICITY',
+  'Hybrid (petrol/electric)': 'HYBRID',
+  'Hybrid (diesel/electric)': 'HYBRID_DIESEL',
+  'LPG': 'LPG',
+  'Natural gas (CNG)': 'CNG',
+  'Hydrogen': 'HYDROGENIUM'
+};
+
+/*
+ * Error raised for invalid search URLs or criteria; `status` is always
+ * 400.
+ */
+export class SearchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchError';
+    this.status = 400;
+  }
+}
+
+/*
+ * Collect the search URLs of a crawl request: `searchUrls` (an array, or
+ * a string with one URL per line) and/or `searchUrl`.  Each must be an
+ * absolute http(s) URL; duplicates are dropped and at most
+ * MAX_SEARCH_URLS are accepted.  Returns the list in request order.
+ */
+export function normalizeSearchUrls({ searchUrl, searchUrls } = {}) {
+  let list = [];
+  if (Array.isArray(searchUrls)) list = searchUrls;
+  else if (typeof searchUrls === 'string') list = searchUrls.split(/\r?\n/);
+  else if (searchUrls !== undefined && searchUrls !== null) throw new SearchError('searchUrls must be an array of URLs');
+  if (searchUrl !== undefined && searchUrl !== null && searchUrl !== '') list = [searchUrl, ...list];
+  const urls = [];
+  for (const value of list) {
+    if (typeof value !== 'string') throw new SearchError('Search URLs must be strings');
+    const trimmed = value.trim();
+    if (!trimmed) continue;
+    let parsed;
+    try {
+      parsed = new URL(trimmed);
+    } catch {
+      throw new SearchError(`Not a valid URL: ${trimmed}`);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new SearchError(`Not an http(s) URL: ${trimmed}`);
+    }
+    if (!urls.includes(trimmed)) urls.push(trimmed);
+  }
+  if (urls.length === 0) throw new SearchError('searchUrl (or searchUrls) is required');
+  if (urls.length > MAX_SEARCH_URLS) throw new SearchError(`At most ${MAX_SEARCH_URLS} search URLs per run`);
+  return urls;
+}
+
+/*
+ * String identifying a search across runs: the URL itself for a single
+ * URL, else the sorted URLs one per line, so the same set of URLs is the
+ * same search in any order.
+ */
+export function searchKey(urls) {
+  return urls.length === 1 ? urls[0] : [...urls].sort().join('\n');
+}
+
+function optionalInt(criteria, field, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  const value = criteria[field];
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw new SearchError(`${field} must be a whole number between ${min} and ${max}`);
+  }
+  return n;
+}
+
+function range(from, to, field) {
+  if (from !== null && to !== null && from > to) throw new SearchError(`${field}: minimum is above maximum`);
+  if (from === null && to === null) return null;
+  return `${from ?? ''}:${to ?? ''}`;
+}
+
+/*
+ * Build a mobile.de car search URL from structured criteria:
+ *   make                  – a key of MAKES (required when model is given)
+ *   model                 – model name, matched by mobile.de's model
+ *                           description (e.g. "X5", "Golf")
+ *   priceMin, priceMax    – price in EUR
+ *   yearMin, yearMax      – first registration year
+ *   mileageMax            – kilometres
+ *   fuel                  – a key or value of FUELS
+ * Throws a SearchError for unknown makes or fuels and invalid numbers.
+ */
+export function buildSearchUrl(criteria = {}) {
+  const params = new URLSearchParams({ isSearchRequest: 'true', s: 'Car', vc: 'Car' });
+  const make = typeof criteria.make === 'string' ? criteria.make.trim() : '';
+  const model = typeof criteria.model === 'string' ? criteria.model.trim() : '';
+  if (make) {
+    const makeId = MAKES[make] ?? MAKES[Object.keys(MAKES).find((m) => m.toLowerCase() === make.toLowerCase())];
+    if (makeId === undefined) throw new SearchError(`Unknown make "${make}"`);
+    params.set('ms', `${makeId};;;${model}`);
+  } else if (model) {
+    throw new SearchError('A model needs a make');
+  }
+  const year = new Date().getFullYear() + 1;
+  const price = range(optionalInt(criteria, 'priceMin'), optionalInt(criteria, 'priceMax'), 'price');
+  if (price) params.set('p', price);
+  const registration = range(
+    optionalInt(criteria, 'yearMin', { min: 1900, max: year }),
+    optionalInt(criteria, 'yearMax', { min: 1900, max: year }),
+    'first registration'
+  );
+  if (registration) params.set('fr', registration);
+  const mileageMax = optionalInt(criteria, 'mileageMax');
+  if (mileageMax !== null) params.set('ml', `:${mileageMax}`);
+  if (criteria.fuel) {
+    const fuel = FUELS[criteria.fuel] || Object.values(FUELS).find((v) => v === criteria.fuel);
+    if (!fuel) throw new SearchError(`Unknown fuel "${criteria.fuel}"`);
+    params.set('ft', fuel);
+  }
+  return `${SEARCH_BASE_URL}?${params.toString()}`;
+}
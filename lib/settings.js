@@ -0,0 +1,322 @@
+/*
+ * mobile-de-shopify-app/lib/settings.js
+ *
+ * Per-shop settings.  Several dealership shops are served from one
+ * deployment, so everything store-specific lives in a settings record per
+ * shop instead of in process-wide env vars and constants:
+ *   metafieldsMapping – list of { source, dests } mappings (see
+ *                       lib/mapping.js); null uses the global mapping
+ *                       file.
+ *   templateSuffix    – Template Suffix of exported products.
+ *   tvaDefault        – value of the custom.tva metafield.
+ *   pricing           – pricing rules (lib/pricing.js format); null uses
+ *                       PRICING_RULES_FILE.
+ *   apify             – { token, actorId }; empty values fall back to
+ *                       APIFY_TOKEN / APIFY_ACTOR_ID.
+ *   locale            – translation locale of descriptions and attribute
+ *                       values: 'ro' (Romanian dictionaries) or 'en'
+ *                       (original text).
+ *   exportProfiles    – the shop's own export profiles by name (see
+ *                       lib/exportProfiles.js).
+ *   actorPresets      – the shop's own Apify actor input presets by name
+ *                       (see lib/actorAdapters.js).
+ *   handlePattern     – pattern of product handles, e.g.
+ *                       `{brand}-{model}-{year}-{id}` (see
+ *                       lib/handles.js); '' uses `{title}-{id}`.
+ * Records live in `settings.json` in the data directory, keyed by shop
+ * domain ('' when authentication is disabled).
+ */
+
+import { createJsonStore } from './jsonStore.js';
+import { loadPricingRules, normalizeRules } from './pricing.js';
+import { MAX_MAPPING_DESTINATIONS } from './mapping.js';
+import { BUILTIN_EXPORT_PROFILES } from './exportProfiles.js';
+import { validateHandlePattern } from './handles.js';
+import { ACTOR_ADAPTERS } from './actorAdapters.js';
+
+const store = createJsonStore('settings.json', { shops: {} });
+
+export const TVA_VALUES = ['Deductibile', 'Non Deductibile'];
+export const LOCALES = ['ro', 'en'];
+
+export const DEFAULT_SETTINGS = {
+  metafieldsMapping: null,
+  templateSuffix: 'produs_servicii',
+  tvaDefault: 'Deductibile',
+  pricing: null,
+  apify: { token: '', actorId: '' },
+  locale: 'ro',
+  exportProfiles: {},
+  actorPresets: {},
+  handlePattern: ''
+};
+
+const PROFILE_NAME = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+
+/*
+ * Error raised for invalid settings; `status` is always 400.
+ */
+export class SettingsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SettingsError';
+    this.status = 400;
+  }
+}
+
+function shopKey(shop) {
+  return shop || '';
+}
+
+function withDefaults(record = {}) {
+  return {
+    ...DEFAULT_SETTINGS,
+    ...record,
+    apify: { ...DEFAULT_SETTINGS.apify, ...(record.apify || {}) }
+  };
+}
+
+/*
+ * Validate a mapping list: an array of { source, dests } with a non-empty
+ * source and an array of at most MAX_MAPPING_DESTINATIONS destination
+ * column names.  Returns a cleaned copy.
+ */
+export function validateMappingList(list) {
+  if (!Array.isArray(list)) throw new SettingsError('metafieldsMapping must be an array or null');
+  return list.map((entry, idx) => {
+    if (!entry || typeof entry.source !== 'string' || !entry.source.trim()) {
+      throw new SettingsError(`metafieldsMapping[${idx}].source must be a non-empty string`);
+    }
+    if (!Array.isArray(entry.dests) || entry.dests.some((d) => typeof d !== 'string')) {
+      throw new SettingsError(`metafieldsMapping[${idx}].dests must be an array of strings`);
+    }
+    const dests = entry.dests.map((d) => d.trim()).filter(Boolean);
+    if (dests.length > MAX_MAPPING_DESTINATIONS) {
+      throw new SettingsError(`metafieldsMapping[${idx}] has more than ${MAX_MAPPING_DESTINATIONS} destinations`);
+    }
+    return { source: entry.source.trim(), dests };
+  });
+}
+
+/*
+ * Validate a user-defined export profile: `base` is a built-in profile,
+ * `template` (base 'template' only) a list of { column, source },
+ * `mapping` (base 'metafields' only) a mapping list and `columns` a list
+ * of output column names.  Returns a cleaned copy.
+ */
+export function validateExportProfile(name, profile) {
+  const where = `exportProfiles.${name}`;
+  if (!PROFILE_NAME.test(name)) {
+    throw new SettingsError(`Export profile names may only contain letters, digits, "-" and "_" (got "${name}")`);
+  }
+  if (BUILTIN_EXPORT_PROFILES[name]) throw new SettingsError(`"${name}" is a built-in export profile`);
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new SettingsError(`${where} must be an object`);
+  }
+  if (!BUILTIN_EXPORT_PROFILES[profile.base]) {
+    throw new SettingsError(`${where}.base must be one of ${Object.keys(BUILTIN_EXPORT_PROFILES).join(', ')}`);
+  }
+  const out = { base: profile.base, description: '' };
+  if (profile.description !== undefined) {
+    if (typeof profile.description !== 'string') throw new SettingsError(`${where}.description must be a string`);
+    out.description = profile.description.trim();
+  }
+  if (profile.template !== undefined && profile.template !== null) {
+    if (profile.base !== 'template') throw new SettingsError(`${where}.template needs base "template"`);
+    if (!Array.isArray(profile.template) || profile.template.some((c) => !c || typeof c.column !== 'string' || !c.column.trim() || typeof c.source !== 'string')) {
+      throw new SettingsError(`${where}.template must be an array of { column, source } strings`);
+    }
+    out.template = profile.template.map((c) => ({ column: c.column.trim(), source: c.source.trim() }));
+  }
+  if (profile.mapping !== undefined && profile.mapping !== null) {
+    if (profile.base !== 'metafields') throw new SettingsError(`${where}.mapping needs base "metafields"`);
+    out.mapping = validateMappingList(profile.mapping);
+  }
+  if (profile.columns !== undefined && profile.columns !== null) {
+    if (!Array.isArray(profile.columns) || profile.columns.some((c) => typeof c !== 'string' || !c.trim())) {
+      throw new SettingsError(`${where}.columns must be an array of column names`);
+    }
+    out.columns = profile.columns.map((c) => c.trim());
+  }
+  return out;
+}
+
+/*
+ * Validate an actor input preset: `adapter` is one of ACTOR_ADAPTERS,
+ * `actorId` an optional actor (empty uses the shop's actor), `input` a
+ * JSON object merged into the actor input and `description` free text.
+ * Returns a cleaned copy.
+ */
+export function validateActorPreset(name, preset) {
+  const where = `actorPresets.${name}`;
+  if (!PROFILE_NAME.test(name)) {
+    throw new SettingsError(`Actor preset names may only contain letters, digits, "-" and "_" (got "${name}")`);
+  }
+  if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+    throw new SettingsError(`${where} must be an object`);
+  }
+  if (!ACTOR_ADAPTERS[preset.adapter]) {
+    throw new SettingsError(`${where}.adapter must be one of ${Object.keys(ACTOR_ADAPTERS).join(', ')}`);
+  }
+  const out = { adapter: preset.adapter, actorId: '', description: '', input: {} };
+  for (const field of ['actorId', 'description']) {
+    if (preset[field] === undefined || preset[field] === null) continue;
+    if (typeof preset[field] !== 'string') throw new SettingsError(`${where}.${field} must be a string`);
+    out[field] = preset[field].trim();
+  }
+  if (preset.input !== undefined && preset.input !== null) {
+    if (typeof preset.input !== 'object' || Array.isArray(preset.input)) {
+      throw new SettingsError(`${where}.input must be a JSON object`);
+    }
+    out.input = preset.input;
+  }
+  return out;
+}
+
+/*
+ * Validate a partial settings update and return the cleaned patch.
+ * Unknown keys are rejected.
+ */
+export function validateSettingsPatch(patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new SettingsError('Settings must be a JSON object');
+  }
+  const out = {};
+  for (const [key, value] of Object.entries(patch)) {
+    switch (key) {
+      case 'metafieldsMapping':
+        out.metafieldsMapping = value === null ? null : validateMappingList(value);
+        break;
+      case 'templateSuffix':
+        if (typeof value !== 'string') throw new SettingsError('templateSuffix must be a string');
+        out.templateSuffix = value.trim();
+        break;
+      case 'tvaDefault':
+        if (!TVA_VALUES.includes(value)) throw new SettingsError(`tvaDefault must be one of ${TVA_VALUES.join(', ')}`);
+        out.tvaDefault = value;
+        break;
+      case 'pricing':
+        try {
+          out.pricing = value === null ? null : normalizeRules(value);
+        } catch (err) {
+          throw new SettingsError(err.message);
+        }
+        break;
+      case 'apify':
+        if (!value || typeof value !== 'object') throw new SettingsError('apify must be an object');
+        out.apify = {};
+        for (const field of ['token', 'actorId']) {
+          if (value[field] === undefined) continue;
+          if (typeof value[field] !== 'string') throw new SettingsError(`apify.${field} must be a string`);
+          out.apify[field] = value[field].trim();
+        }
+        break;
+      case 'locale':
+        if (!LOCALES.includes(value)) throw new SettingsError(`locale must be one of ${LOCALES.join(', ')}`);
+        out.locale = value;
+        break;
+      case 'exportProfiles':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          throw new SettingsError('exportProfiles must be an object of profiles by name');
+        }
+        out.exportProfiles = {};
+        for (const [name, profile] of Object.entries(value)) {
+          out.exportProfiles[name] = validateExportProfile(name, profile);
+        }
+        break;
+      case 'actorPresets':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          throw new SettingsError('actorPresets must be an object of presets by name');
+        }
+        out.actorPresets = {};
+        for (const [name, preset] of Object.entries(value)) {
+          out.actorPresets[name] = validateActorPreset(name, preset);
+        }
+        break;
+      case 'handlePattern':
+        if (value === '' || value === null) {
+          out.handlePattern = '';
+          break;
+        }
+        try {
+          out.handlePattern = validateHandlePattern(value);
+        } catch (err) {
+          throw new SettingsError(err.message);
+        }
+        break;
+      default:
+        throw new SettingsError(`Unknown setting "${key}"`);
+    }
+  }
+  return out;
+}
+
+/*
+ * Return the stored settings of a shop merged with the defaults.
+ */
+export async function getShopSettings(shop) {
+  const data = await store.read();
+  return withDefaults(data.shops[shopKey(shop)]);
+}
+
+/*
+ * Apply a validated partial update to a shop's settings.  Fields of
+ * `apify` are merged, so the token can be kept while changing the actor.
+ * Resolves to the updated settings.
+ */
+export async function updateShopSettings(shop, patch) {
+  const clean = validateSettingsPatch(patch);
+  const key = shopKey(shop);
+  await store.update((data) => {
+    const current = withDefaults(data.shops[key]);
+    data.shops[key] = {
+      ...current,
+      ...clean,
+      apify: { ...current.apify, ...(clean.apify || {}) },
+      updatedAt: new Date().toISOString()
+    };
+  });
+  return getShopSettings(shop);
+}
+
+/*
+ * Settings with the global fallbacks applied, ready for use by the
+ * exports and the Apify client: `pricingRules` is always a rule set and
+ * the Apify credentials fall back to the environment.  The mapping stays
+ * null when the shop has none, so the caller can load the global file.
+ */
+export async function resolveShopSettings(shop) {
+  const settings = await getShopSettings(shop);
+  return {
+    ...settings,
+    pricingRules: settings.pricing || await loadPricingRules(),
+    apify: {
+      token: settings.apify.token || process.env.APIFY_TOKEN || process.env.APIFY_API_TOKEN || '',
+      actorId: settings.apify.actorId || process.env.APIFY_ACTOR_ID || ''
+    }
+  };
+}
+
+/*
+ * Settings safe to send to the browser: the Apify token is masked.
+ */
+export function publicSettings(settings) {
+  const token = settings.apify.token;
+  return {
+    ...settings,
+    apify: {
+      actorId: settings.apify.actorId,
+      token: token ? `${'*'.repeat(8)}${token.slice(-4)}` : '',
+      hasToken: Boolean(token)
+    }
+  };
+}
+
+/*
+ * Remove a shop's settings.
+ */
+export async function deleteShopSettings(shop) {
+  await store.update((data) => {
+    delete data.shops[shopKey(shop)];
+  });
+}
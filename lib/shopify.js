@@ -0,0 +1,138 @@
+/*
+ * mobile-de-shopify-app/lib/shopify.js
+ *
+ * Minimal client for the Shopify Admin GraphQL API.  Queries are retried
+ * with exponential backoff on 429/5xx responses, network errors and
+ * THROTTLED GraphQL errors.  Mutations are retried only when throttled
+ * (429 or THROTTLED), which Shopify answers without running them: after
+ * a timeout or 5xx a mutation such as productSet may have been applied,
+ * and sending it again could create a duplicate product.  Other failures
+ * are raised as ShopifyError carrying the HTTP status and the response
+ * body.  The endpoint can be overridden with
+ * SHOPIFY_ADMIN_API_URL so the app can be exercised against the local
+ * mock in scripts/mock-shopify.js.
+ */
+
+import fetch from 'node-fetch';
+
+export const DEFAULT_API_VERSION = '2024-10';
+
+/*
+ * Error raised for failed Admin API calls.  `status` is the HTTP status
+ * to report to our own callers and `detail` the parsed response, if any.
+ */
+export class ShopifyError extends Error {
+  constructor(message, status = 502, detail) {
+    super(message);
+    this.name = 'ShopifyError';
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Longest Retry-After honoured; a longer wait fails the request instead.
+export const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+// Whether a GraphQL document is a mutation (leading comments allowed).
+function isMutation(query) {
+  return /^\s*(?:#[^\n]*\n\s*)*mutation\b/.test(String(query));
+}
+
+function isThrottled(body) {
+  return Boolean(body && Array.isArray(body.errors) &&
+    body.errors.some((e) => e && e.extensions && e.extensions.code === 'THROTTLED'));
+}
+
+/*
+ * Create a client.  Options:
+ *   shop        – the shop domain, e.g. my-store.myshopify.com.
+ *   accessToken – Admin API access token.
+ *   apiVersion  – Admin API version (default 2024-10).
+ *   endpoint    – full GraphQL URL; overrides shop/apiVersion.
+ *   maxRetries  – retries after the first attempt (default 4).
+ *   retryDelay  – initial backoff in ms, doubled per retry (default 500).
+ *                 A Retry-After header of up to MAX_RETRY_AFTER_MS takes
+ *                 precedence; a longer one is not waited for.
+ */
+export function createShopifyClient(options = {}) {
+  const apiVersion = options.apiVersion || DEFAULT_API_VERSION;
+  const endpoint = options.endpoint ||
+    (options.shop ? `https://${options.shop}/admin/api/${apiVersion}/graphql.json` : '');
+  const accessToken = options.accessToken;
+  const maxRetries = options.maxRetries ?? 4;
+  const retryDelay = options.retryDelay ?? 500;
+
+  /*
+   * Run a GraphQL operation and resolve to its `data`.  GraphQL errors
+   * (other than throttling, which is retried) are raised as ShopifyError.
+   */
+  async function graphql(query, variables = {}) {
+    if (!endpoint) throw new ShopifyError('SHOPIFY_SHOP or SHOPIFY_ADMIN_API_URL must be set', 500);
+    if (!accessToken) throw new ShopifyError('SHOPIFY_ADMIN_ACCESS_TOKEN must be set', 500);
+    const mutation = isMutation(query);
+    let attempt = 0;
+    for (;;) {
+      let resp;
+      try {
+        resp = await fetch(endpoint, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Shopify-Access-Token': accessToken
+          },
+          body: JSON.stringify({ query, variables })
+        });
+      } catch (err) {
+        if (mutation || attempt >= maxRetries) throw new ShopifyError(`Shopify request failed: ${err.message}`, 502);
+        await sleep(retryDelay * 2 ** attempt);
+        attempt += 1;
+        continue;
+      }
+      const text = await resp.text();
+      let body = null;
+      try {
+        body = text ? JSON.parse(text) : null;
+      } catch (err) {
+        body = null;
+      }
+      const throttled = resp.status === 429 || isThrottled(body);
+      const retryable = throttled || (!mutation && resp.status >= 500);
+      if (retryable && attempt < maxRetries) {
+        const retryAfter = parseFloat(resp.headers.get('retry-after'));
+        const delay = !Number.isNaN(retryAfter) ? retryAfter * 1000 : retryDelay * 2 ** attempt;
+        if (delay <= MAX_RETRY_AFTER_MS) {
+          await sleep(delay);
+          attempt += 1;
+          continue;
+        }
+      }
+      if (!resp.ok) {
+        const message = (body && (body.errors && (body.errors.message || body.errors))) || `Shopify responded with ${resp.status}`;
+        throw new ShopifyError(typeof message === 'string' ? message : JSON.stringify(message), resp.status, body);
+      }
+      if (body && Array.isArray(body.errors) && body.errors.length) {
+        throw new ShopifyError(body.errors.map((e) => e.message).join('; '), 502, body);
+      }
+      return body ? body.data : null;
+    }
+  }
+
+  return { endpoint, graphql };
+}
+
+/*
+ * Client configured from the environment: SHOPIFY_API_VERSION and
+ * SHOPIFY_ADMIN_API_URL.  `session` is the authenticated shop
+ * ({ shop, accessToken }, see lib/shopifyAuth.js); without one the
+ * single-store SHOPIFY_SHOP and SHOPIFY_ADMIN_ACCESS_TOKEN are used.
+ */
+export function getShopifyClient(session) {
+  return createShopifyClient({
+    shop: session ? session.shop : process.env.SHOPIFY_SHOP,
+    accessToken: session ? session.accessToken : process.env.SHOPIFY_ADMIN_ACCESS_TOKEN,
+    apiVersion: process.env.SHOPIFY_API_VERSION,
+    endpoint: process.env.SHOPIFY_ADMIN_API_URL
+  });
+}
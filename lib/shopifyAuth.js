@@ -0,0 +1,267 @@
+/*
+ * mobile-de-shopify-app/lib/shopifyAuth.js
+ *
+ * Shopify app authentication.  Covers the OAuth install flow (HMAC and
+ * state verification, authorization code exchange for an offline access
+ * token) and the App Bridge session tokens sent by the embedded UI: short
+ * lived HS256 JWTs signed with the app's API secret whose `dest` claim
+ * names the shop.  Signatures are checked with Node's crypto module, so
+ * no JWT library is needed.
+ *
+ * Configuration comes from SHOPIFY_API_KEY, SHOPIFY_API_SECRET,
+ * SHOPIFY_SCOPES and SHOPIFY_APP_URL.  SHOPIFY_AUTH_DISABLED=true turns
+ * the checks off for local development against the mock servers, and
+ * SHOPIFY_ADMIN_ORIGIN replaces https://{shop} for the OAuth endpoints
+ * (e.g. http://localhost:3002 for scripts/mock-shopify.js).
+ */
+
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+
+export const DEFAULT_SCOPES = 'read_products,write_products';
+
+// Seconds of clock skew tolerated when checking token exp/nbf.
+const CLOCK_LEEWAY = 5;
+
+const SHOP_DOMAIN = /^[a-zA-Z0-9][a-zA-Z0-9-]*\.myshopify\.com$/;
+
+export const OAUTH_STATE_COOKIE = 'shopify_oauth_state';
+
+/*
+ * Error raised when a request cannot be authenticated.  `status` is the
+ * HTTP status to answer with; `reauthorizeShop` is set for failures that
+ * a new OAuth install of that shop fixes (no stored token).
+ */
+export class AuthError extends Error {
+  constructor(message, status = 401, { reauthorizeShop = null } = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.reauthorizeShop = reauthorizeShop;
+  }
+}
+
+/*
+ * Read the authentication settings from the environment.
+ */
+export function getAuthConfig() {
+  return {
+    disabled: String(process.env.SHOPIFY_AUTH_DISABLED || 'false').toLowerCase() === 'true',
+    apiKey: process.env.SHOPIFY_API_KEY || '',
+    apiSecret: process.env.SHOPIFY_API_SECRET || '',
+    scopes: process.env.SHOPIFY_SCOPES || DEFAULT_SCOPES,
+    appUrl: String(process.env.SHOPIFY_APP_URL || '').replace(/\/+$/, ''),
+    adminOrigin: String(process.env.SHOPIFY_ADMIN_ORIGIN || '').replace(/\/+$/, '')
+  };
+}
+
+/*
+ * Throw unless the app credentials needed for authentication are set.
+ */
+export function assertAuthConfigured(config) {
+  if (!config.apiKey || !config.apiSecret) {
+    throw new AuthError('SHOPIFY_API_KEY and SHOPIFY_API_SECRET must be set (or SHOPIFY_AUTH_DISABLED=true for local development)', 500);
+  }
+}
+
+export function isValidShopDomain(shop) {
+  return typeof shop === 'string' && SHOP_DOMAIN.test(shop);
+}
+
+// Origin of a shop's admin: https://{shop}, or SHOPIFY_ADMIN_ORIGIN.
+function adminOrigin(shop, config) {
+  return config.adminOrigin || `https://${shop}`;
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/*
+ * Verify the `hmac` parameter Shopify adds to OAuth redirects and app
+ * loads: the hex HMAC-SHA256 (keyed with the API secret) of all other
+ * query parameters, sorted by name and joined as `key=value&...`.
+ * `params` is a URLSearchParams of the raw query string.
+ */
+export function verifyQueryHmac(params, apiSecret) {
+  const hmac = params.get('hmac');
+  if (!hmac || !apiSecret) return false;
+  const message = [...params.entries()]
+    .filter(([key]) => key !== 'hmac' && key !== 'signature')
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+  const digest = crypto.createHmac('sha256', apiSecret).update(message).digest('hex');
+  return safeEqual(digest, hmac);
+}
+
+/*
+ * Verify the X-Shopify-Hmac-Sha256 header of a webhook: the base64
+ * HMAC-SHA256 of the raw request body, keyed with the API secret.
+ */
+export function verifyWebhookHmac(rawBody, hmacHeader, apiSecret) {
+  if (!rawBody || !hmacHeader || !apiSecret) return false;
+  const digest = crypto.createHmac('sha256', apiSecret).update(rawBody).digest('base64');
+  return safeEqual(digest, hmacHeader);
+}
+
+/*
+ * Random nonce for the OAuth `state` parameter.
+ */
+export function createOAuthState() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/*
+ * URL of the shop's OAuth consent screen.  No `grant_options[]` is sent,
+ * so the code exchanges for an offline (non-expiring, per-shop) token.
+ */
+export function buildAuthorizeUrl(shop, state, config) {
+  const params = new URLSearchParams({
+    client_id: config.apiKey,
+    scope: config.scopes,
+    redirect_uri: `${config.appUrl}/auth/callback`,
+    state
+  });
+  return `${adminOrigin(shop, config)}/admin/oauth/authorize?${params}`;
+}
+
+/*
+ * Exchange an authorization code for the shop's offline access token.
+ * Resolves to { accessToken, scope }.
+ */
+export async function exchangeAccessToken(shop, code, config) {
+  const resp = await fetch(`${adminOrigin(shop, config)}/admin/oauth/access_token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+    body: JSON.stringify({ client_id: config.apiKey, client_secret: config.apiSecret, code })
+  });
+  const text = await resp.text();
+  let body = null;
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch (err) {
+    body = null;
+  }
+  if (!resp.ok || !body || !body.access_token) {
+    throw new AuthError(`Access token exchange failed with status ${resp.status}`, 502);
+  }
+  return { accessToken: body.access_token, scope: body.scope || '' };
+}
+
+/*
+ * URL of the app inside the shop's admin, where the merchant is sent
+ * after installing.
+ */
+export function embeddedAppUrl(shop, config) {
+  return `${adminOrigin(shop, config)}/admin/apps/${config.apiKey}`;
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new AuthError('Malformed session token');
+  }
+}
+
+/*
+ * Verify an App Bridge session token and return { shop, userId, payload }.
+ * Checks the HS256 signature against the API secret, the audience (the
+ * API key), expiry and not-before, and that `iss` and `dest` agree on a
+ * valid shop domain.
+ */
+export function verifySessionToken(token, config, now = Math.floor(Date.now() / 1000)) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) throw new AuthError('Malformed session token');
+  const [headerPart, payloadPart, signature] = parts;
+  const header = decodeSegment(headerPart);
+  if (header.alg !== 'HS256') throw new AuthError('Unsupported session token algorithm');
+  const expected = crypto.createHmac('sha256', config.apiSecret).update(`${headerPart}.${payloadPart}`).digest('base64url');
+  if (!safeEqual(expected, signature)) throw new AuthError('Invalid session token signature');
+  const payload = decodeSegment(payloadPart);
+  if (payload.aud !== config.apiKey) throw new AuthError('Session token was issued for another app');
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_LEEWAY < now) throw new AuthError('Session token expired');
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_LEEWAY > now) throw new AuthError('Session token not yet valid');
+  let shop;
+  try {
+    shop = new URL(payload.dest).hostname;
+  } catch (err) {
+    throw new AuthError('Session token has no valid destination');
+  }
+  if (!isValidShopDomain(shop)) throw new AuthError('Session token has no valid destination');
+  if (payload.iss && !String(payload.iss).startsWith(`https://${shop}/`)) {
+    throw new AuthError('Session token issuer does not match its destination');
+  }
+  return { shop, userId: payload.sub || null, payload };
+}
+
+/*
+ * Session token of a request: the `Authorization: Bearer` header App
+ * Bridge adds to fetch() calls, or an `id_token` query parameter for
+ * plain download links that cannot carry headers.
+ */
+export function sessionTokenFromRequest(req) {
+  const m = String(req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  if (m) return m[1];
+  return typeof req.query.id_token === 'string' ? req.query.id_token : null;
+}
+
+/*
+ * Read a cookie from the request headers.
+ */
+export function readCookie(req, name) {
+  for (const part of String(req.get('Cookie') || '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx > 0 && part.slice(0, idx).trim() === name) {
+      return decodeURIComponent(part.slice(idx + 1).trim());
+    }
+  }
+  return null;
+}
+
+/*
+ * Express middleware that rejects requests without a valid session token
+ * for an installed shop.  On success `req.shopSession` holds
+ * { shop, accessToken, scope, userId }; with SHOPIFY_AUTH_DISABLED it is
+ * null and the single-store SHOPIFY_* settings apply.  `loadShop(shop)`
+ * resolves to the stored install ({ accessToken, scope }) or null.
+ *
+ * Failures answer 401 with the headers App Bridge understands: a retry
+ * hint for invalid tokens and a reauthorize URL for shops without a
+ * stored token.  They are reported to `onDenied(req, status, message)`
+ * first, when given.
+ */
+export function requireShopSession({ loadShop, onDenied }) {
+  return async (req, res, next) => {
+    const config = getAuthConfig();
+    if (config.disabled) {
+      req.shopSession = null;
+      return next();
+    }
+    try {
+      assertAuthConfigured(config);
+      const token = sessionTokenFromRequest(req);
+      if (!token) throw new AuthError('Missing session token');
+      const { shop, userId } = verifySessionToken(token, config);
+      const install = await loadShop(shop);
+      if (!install || !install.accessToken) {
+        throw new AuthError(`App is not installed on ${shop}`, 401, { reauthorizeShop: shop });
+      }
+      req.shopSession = { shop, accessToken: install.accessToken, scope: install.scope || '', userId };
+      return next();
+    } catch (err) {
+      if (!(err instanceof AuthError)) return next(err);
+      if (onDenied) await onDenied(req, err.status, err.message);
+      if (err.reauthorizeShop) {
+        res.set('X-Shopify-API-Request-Failure-Reauthorize', '1');
+        res.set('X-Shopify-API-Request-Failure-Reauthorize-Url', `/auth?shop=${encodeURIComponent(err.reauthorizeShop)}`);
+      } else if (err.status === 401) {
+        res.set('X-Shopify-Retry-Invalid-Session-Request', '1');
+      }
+      return res.status(err.status).json({ error: err.message });
+    }
+  };
+}
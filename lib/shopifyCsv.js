@@ -0,0 +1,56 @@
+/*
+ * mobile-de-shopify-app/lib/shopifyCsv.js
+ *
+ * Shopify's native product CSV layout for galleries: the product row
+ * carries the first image, and every further image gets a row of its own
+ * with only Handle, Image Src, Image Position and Image Alt Text filled
+ * in.  Shopify attaches those rows to the product with the same Handle,
+ * so one import creates the product with its full gallery.
+ */
+
+// Insert Image Position right after Image Src so the columns read as in
+// Shopify's template.
+function withImageColumns(row, src, alt) {
+  const out = {};
+  for (const [key, value] of Object.entries(row)) {
+    if (key === 'Image Position') continue;
+    out[key] = key === 'Image Src' ? src : value;
+    if (key === 'Image Src') out['Image Position'] = src ? 1 : '';
+  }
+  if (!('Image Src' in out)) {
+    out['Image Src'] = src;
+    out['Image Position'] = src ? 1 : '';
+  }
+  out['Image Alt Text'] = src ? alt : '';
+  return out;
+}
+
+/*
+ * Expand product rows into the multi-row layout.  `imageLists[i]` holds
+ * the image URLs of `rows[i]`.  The alt text of each image is the row's
+ * Image Alt Text (or Title), numbered from the second image on.  Rows
+ * without a Handle cannot carry image rows and are passed through.
+ */
+export function expandImageRows(rows, imageLists) {
+  const out = [];
+  rows.forEach((row, idx) => {
+    const images = imageLists[idx] || [];
+    const handle = row['Handle'];
+    if (!handle) {
+      out.push(row);
+      return;
+    }
+    const alt = String(row['Image Alt Text'] || row['Title'] || '');
+    out.push(withImageColumns(row, images[0] || row['Image Src'] || '', alt));
+    images.slice(1).forEach((src, i) => {
+      const position = i + 2;
+      out.push({
+        'Handle': handle,
+        'Image Src': src,
+        'Image Position': position,
+        'Image Alt Text': alt ? `${alt} (${position})` : ''
+      });
+    });
+  });
+  return out;
+}
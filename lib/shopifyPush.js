@@ -0,0 +1,232 @@
+/*
+ * mobile-de-shopify-app/lib/shopifyPush.js
+ *
+ * Push Shopify rows (as produced by mapDatasetToMetafields()) straight
+ * into a store through the Admin GraphQL API instead of handing someone
+ * a CSV/XLSX to upload.  Each row is matched against existing products
+ * by Handle, then by Variant SKU, and created or updated with the
+ * productSet mutation, including its metafields and images.  The result
+ * reports success or failure per row.  setProductStatuses() archives or
+ * drafts products whose listing has disappeared.
+ */
+
+const FIND_PRODUCT_BY_HANDLE = `query FindProductByHandle($query: String!) {
+  products(first: 1, query: $query) {
+    nodes { id handle }
+  }
+}`;
+
+const FIND_VARIANT_BY_SKU = `query FindVariantBySku($query: String!) {
+  productVariants(first: 1, query: $query) {
+    nodes { id sku product { id handle } }
+  }
+}`;
+
+const PRODUCT_SET = `mutation ProductSet($input: ProductSetInput!, $synchronous: Boolean!) {
+  productSet(input: $input, synchronous: $synchronous) {
+    product { id handle }
+    userErrors { field message code }
+  }
+}`;
+
+const PRODUCT_UPDATE_STATUS = `mutation ProductUpdateStatus($input: ProductInput!) {
+  productUpdate(input: $input) {
+    product { id status }
+    userErrors { field message }
+  }
+}`;
+
+// Product statuses that take a product off the storefront.
+export const OFFLINE_STATUSES = ['ARCHIVED', 'DRAFT'];
+
+// Matches export columns such as "Metafield: custom.marca [single_line_text_field]".
+const METAFIELD_COLUMN = /^Metafield:\s*([\w-]+)\.([\w-]+)\s*\[([\w.]+)\]$/;
+
+// Escape a value for use inside a quoted Shopify search query term.
+function searchValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/*
+ * Convert the metafield columns of a row into productSet metafield
+ * inputs.  Blank values are skipped because Shopify rejects them; list
+ * types get a JSON array value.
+ */
+export function rowMetafields(row) {
+  const metafields = [];
+  for (const [column, value] of Object.entries(row)) {
+    const m = column.match(METAFIELD_COLUMN);
+    if (!m || value === undefined || value === null || String(value).trim() === '') continue;
+    const [, namespace, key, type] = m;
+    let str = String(value);
+    if (type.startsWith('list.') && !str.trim().startsWith('[')) {
+      str = JSON.stringify(str.split('\n').map((v) => v.trim()).filter(Boolean));
+    }
+    metafields.push({ namespace, key, type, value: str });
+  }
+  return metafields;
+}
+
+/*
+ * Build the ProductSetInput for a row.  `images` is the full list of
+ * image URLs of the listing; when omitted only the row's Image Src is
+ * used.  Pass `includeImages: false` to leave existing media untouched.
+ */
+export function rowToProductSetInput(row, { images, productId, includeImages = true } = {}) {
+  const input = {
+    title: row['Title'] || '',
+    handle: row['Handle'] || undefined,
+    descriptionHtml: row['Body HTML'] || '',
+    vendor: row['Vendor'] || undefined,
+    tags: String(row['Tags'] || '').split(',').map((t) => t.trim()).filter(Boolean),
+    templateSuffix: row['Template Suffix'] || undefined,
+    metafields: rowMetafields(row),
+    productOptions: [{ name: 'Title', values: [{ name: 'Default Title' }] }],
+    variants: [{
+      optionValues: [{ optionName: 'Title', name: 'Default Title' }],
+      price: row['Variant Price'] || undefined,
+      barcode: row['Variant Barcode'] || undefined,
+      inventoryItem: { sku: row['Variant SKU'] || undefined }
+    }]
+  };
+  if (row['Status']) input.status = String(row['Status']).toUpperCase();
+  if (productId) input.id = productId;
+  if (includeImages) {
+    const urls = images && images.length ? images : [row['Image Src']].filter(Boolean);
+    input.files = urls.map((url) => ({
+      originalSource: url,
+      alt: row['Image Alt Text'] || row['Title'] || '',
+      contentType: 'IMAGE'
+    }));
+  }
+  return input;
+}
+
+/*
+ * Look up an existing product for a row, by Handle first and then by
+ * Variant SKU.  Resolves to the product ID or null.
+ */
+export async function findExistingProduct(client, row) {
+  if (row['Handle']) {
+    const data = await client.graphql(FIND_PRODUCT_BY_HANDLE, { query: `handle:${searchValue(row['Handle'])}` });
+    const node = data && data.products && data.products.nodes[0];
+    if (node && node.handle === row['Handle']) return node.id;
+  }
+  if (row['Variant SKU']) {
+    const data = await client.graphql(FIND_VARIANT_BY_SKU, { query: `sku:${searchValue(row['Variant SKU'])}` });
+    const node = data && data.productVariants && data.productVariants.nodes[0];
+    if (node && node.sku === row['Variant SKU']) return node.product.id;
+  }
+  return null;
+}
+
+/*
+ * Create or update one product.  Resolves to a per-item result:
+ * { sku, handle, action: 'created' | 'updated' | 'failed', productId,
+ *   errors }.  Errors never escape; they are reported in the result.
+ */
+export async function pushRow(client, row, { images, updateImages = false } = {}) {
+  const result = {
+    sku: row['Variant SKU'] || '',
+    handle: row['Handle'] || '',
+    action: 'failed',
+    productId: null,
+    errors: []
+  };
+  try {
+    const productId = await findExistingProduct(client, row);
+    const input = rowToProductSetInput(row, {
+      images,
+      productId,
+      includeImages: !productId || updateImages
+    });
+    const data = await client.graphql(PRODUCT_SET, { input, synchronous: true });
+    const payload = data && data.productSet;
+    const userErrors = (payload && payload.userErrors) || [];
+    if (userErrors.length || !payload || !payload.product) {
+      result.errors = userErrors.length
+        ? userErrors.map((e) => (e.field ? `${[].concat(e.field).join('.')}: ${e.message}` : e.message))
+        : ['productSet returned no product'];
+      return result;
+    }
+    result.action = productId ? 'updated' : 'created';
+    result.productId = payload.product.id;
+    return result;
+  } catch (err) {
+    result.errors = [err.message];
+    return result;
+  }
+}
+
+/*
+ * Push a list of { row, images, skipReason } entries one at a time (the
+ * Admin API rate limit makes parallel pushes pointless).  Entries with a
+ * `skipReason` are not sent and reported as 'skipped'.
+ * `onProgress(done, total)` is called after each item.  Resolves to
+ * { summary, results }.
+ */
+export async function pushRows(client, entries, { updateImages = false, onProgress } = {}) {
+  const results = [];
+  for (const entry of entries) {
+    if (entry.skipReason) {
+      results.push({
+        sku: entry.row['Variant SKU'] || '',
+        handle: entry.row['Handle'] || '',
+        action: 'skipped',
+        productId: null,
+        errors: [entry.skipReason]
+      });
+    } else {
+      results.push(await pushRow(client, entry.row, { images: entry.images, updateImages }));
+    }
+    if (onProgress) onProgress(results.length, entries.length);
+  }
+  const summary = { total: results.length, created: 0, updated: 0, failed: 0, skipped: 0 };
+  results.forEach((r) => {
+    summary[r.action] += 1;
+  });
+  return { summary, results };
+}
+
+/*
+ * Set the status (ARCHIVED, DRAFT or ACTIVE) of the products behind a
+ * list of { row, productId } entries.  `row` needs Handle and/or Variant
+ * SKU; when `productId` is unknown the product is looked up like a push
+ * does.  Resolves to { summary, results } with one result per entry:
+ * { sku, handle, action: 'updated' | 'not-found' | 'failed', productId,
+ *   errors }.
+ */
+export async function setProductStatuses(client, entries, status) {
+  const results = [];
+  for (const entry of entries) {
+    const result = {
+      sku: entry.row['Variant SKU'] || '',
+      handle: entry.row['Handle'] || '',
+      action: 'failed',
+      productId: entry.productId || null,
+      errors: []
+    };
+    try {
+      if (!result.productId) result.productId = await findExistingProduct(client, entry.row);
+      if (!result.productId) {
+        result.action = 'not-found';
+      } else {
+        const data = await client.graphql(PRODUCT_UPDATE_STATUS, { input: { id: result.productId, status } });
+        const userErrors = (data && data.productUpdate && data.productUpdate.userErrors) || [];
+        if (userErrors.length) {
+          result.errors = userErrors.map((e) => e.message);
+        } else {
+          result.action = 'updated';
+        }
+      }
+    } catch (err) {
+      result.errors = [err.message];
+    }
+    results.push(result);
+  }
+  const summary = { total: results.length, updated: 0, 'not-found': 0, failed: 0 };
+  results.forEach((r) => {
+    summary[r.action] += 1;
+  });
+  return { summary, results };
+}
@@ -0,0 +1,48 @@
+/*
+ * mobile-de-shopify-app/lib/shops.js
+ *
+ * Installed shops.  The offline Admin API access token obtained through
+ * the OAuth install flow is stored per shop domain, together with the
+ * granted scopes and the install date, in `shops.json` in the data
+ * directory.  Keep that directory private: the tokens grant full access
+ * to the scopes the merchant approved.
+ */
+
+import { createJsonStore } from './jsonStore.js';
+
+const store = createJsonStore('shops.json', { shops: {} });
+
+/*
+ * Store (or replace) the access token of a shop after an install.
+ */
+export async function saveShopInstall(shop, { accessToken, scope = '' }) {
+  const now = new Date().toISOString();
+  await store.update((data) => {
+    const existing = data.shops[shop];
+    data.shops[shop] = {
+      shop,
+      accessToken,
+      scope,
+      installedAt: existing ? existing.installedAt : now,
+      updatedAt: now
+    };
+  });
+}
+
+/*
+ * Return { shop, accessToken, scope, installedAt, updatedAt } for an
+ * installed shop, or null.
+ */
+export async function getShopInstall(shop) {
+  const data = await store.read();
+  return data.shops[shop] || null;
+}
+
+/*
+ * Forget a shop's access token (after the app was uninstalled).
+ */
+export async function removeShopInstall(shop) {
+  await store.update((data) => {
+    delete data.shops[shop];
+  });
+}
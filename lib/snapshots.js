@@ -0,0 +1,77 @@
+/*
+ * mobile-de-shopify-app/lib/snapshots.js
+ *
+ * Local snapshots of Apify datasets.  Once a run has succeeded its items
+ * are written to `snapshots/<runId>-<datasetId>.json` in the data
+ * directory and every export is served from that file instead of pulling
+ * the dataset from Apify again.  This keeps downloads fast, survives
+ * Apify's dataset retention and saves API usage.  An index
+ * (`snapshots.json`) maps each runId to its snapshot file.
+ */
+
+import fs from 'fs';
+import { createJsonStore, dataPath, writeFileAtomic } from './jsonStore.js';
+
+const index = createJsonStore('snapshots.json', { snapshots: {} });
+
+function snapshotFile(runId, datasetId) {
+  const safe = (v) => String(v).replace(/[^A-Za-z0-9_-]/g, '_');
+  return dataPath('snapshots', `${safe(runId)}-${safe(datasetId)}.json`);
+}
+
+/*
+ * Return the index entry for a run ({ runId, datasetId, file, itemCount,
+ * createdAt }) or null when no snapshot exists.
+ */
+export async function getSnapshotInfo(runId) {
+  const data = await index.read();
+  return data.snapshots[runId] || null;
+}
+
+/*
+ * Read the snapshotted items of a run.  Returns null when there is no
+ * snapshot or its file has gone missing.
+ */
+export async function readSnapshot(runId) {
+  const info = await getSnapshotInfo(runId);
+  if (!info || !fs.existsSync(info.file)) return null;
+  const text = await fs.promises.readFile(info.file, 'utf8');
+  return { ...info, items: JSON.parse(text) };
+}
+
+/*
+ * Write (or overwrite) the snapshot for a run and update the index.
+ * Resolves to the new index entry.
+ */
+export async function writeSnapshot(runId, datasetId, items) {
+  const file = snapshotFile(runId, datasetId);
+  await writeFileAtomic(file, JSON.stringify(items));
+  const entry = {
+    runId,
+    datasetId,
+    file,
+    itemCount: items.length,
+    createdAt: new Date().toISOString()
+  };
+  await index.update((data) => {
+    const previous = data.snapshots[runId];
+    // A refresh may see a different dataset; drop the stale file.
+    if (previous && previous.file !== file && fs.existsSync(previous.file)) {
+      fs.unlinkSync(previous.file);
+    }
+    data.snapshots[runId] = entry;
+  });
+  return entry;
+}
+
+/*
+ * Delete the snapshot of a run (file and index entry), if any.
+ */
+export async function deleteSnapshot(runId) {
+  await index.update((data) => {
+    const info = data.snapshots[runId];
+    if (!info) return;
+    if (fs.existsSync(info.file)) fs.unlinkSync(info.file);
+    delete data.snapshots[runId];
+  });
+}
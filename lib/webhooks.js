@@ -0,0 +1,115 @@
+/*
+ * mobile-de-shopify-app/lib/webhooks.js
+ *
+ * Shopify webhook handling.  The receiver in server.js verifies the
+ * X-Shopify-Hmac-Sha256 signature and passes the topic, shop and payload
+ * to handleWebhook():
+ *   app/uninstalled    – forget the shop's token and delete its runs,
+ *                        snapshots, mirrored images, price history,
+ *                        product links, tracked listing statuses,
+ *                        exported handles and vehicles, search
+ *                        automations, export jobs, staff accounts, API
+ *                        keys and settings.
+ *   shop/redact        – same, 48 hours after uninstall (idempotent).
+ *   customers/data_request, customers/redact
+ *                      – mandatory privacy topics.  The app stores no
+ *                        customer data, so they are only acknowledged.
+ *   products/delete    – mark the listing behind the product as unlinked
+ *                        so the next push does not recreate it.
+ *
+ * app/uninstalled and products/delete are subscribed through the Admin
+ * API after each install; the privacy topics are configured in the
+ * Partner Dashboard and point at the same /webhooks URL.
+ */
+
+import { removeShopInstall } from './shops.js';
+import { deleteShopRuns } from './runs.js';
+import { deleteSnapshot } from './snapshots.js';
+import { deleteShopObservations } from './priceHistory.js';
+import { markProductDeleted, deleteShopLinks } from './productLinks.js';
+import { deleteShopListingStatus } from './listingStatus.js';
+import { deleteShopSettings } from './settings.js';
+import { deleteRunImages } from './imageMirror.js';
+import { deleteShopHandles } from './handles.js';
+import { deleteShopVehicles } from './duplicates.js';
+import { deleteShopAutomations, deleteRunImportFiles } from './automations.js';
+import { deleteShopExportJobs } from './exportJobs.js';
+import { deleteShopAccess } from './access.js';
+
+const WEBHOOK_SUBSCRIPTION_CREATE = `mutation WebhookSubscriptionCreate($topic: WebhookSubscriptionTopic!, $webhookSubscription: WebhookSubscriptionInput!) {
+  webhookSubscriptionCreate(topic: $topic, webhookSubscription: $webhookSubscription) {
+    webhookSubscription { id }
+    userErrors { field message }
+  }
+}`;
+
+// Topics subscribed through the Admin API after install.
+export const SUBSCRIBED_TOPICS = ['APP_UNINSTALLED', 'PRODUCTS_DELETE'];
+
+/*
+ * Subscribe the shop to SUBSCRIBED_TOPICS, delivered to `callbackUrl`.
+ * Resolves to a list of { topic, id, errors }; an already existing
+ * subscription shows up as an error and is harmless.
+ */
+export async function registerWebhooks(client, callbackUrl) {
+  const results = [];
+  for (const topic of SUBSCRIBED_TOPICS) {
+    const data = await client.graphql(WEBHOOK_SUBSCRIPTION_CREATE, {
+      topic,
+      webhookSubscription: { callbackUrl, format: 'JSON' }
+    });
+    const payload = data && data.webhookSubscriptionCreate;
+    results.push({
+      topic,
+      id: payload && payload.webhookSubscription ? payload.webhookSubscription.id : null,
+      errors: ((payload && payload.userErrors) || []).map((e) => e.message)
+    });
+  }
+  return results;
+}
+
+/*
+ * Delete everything stored for a shop: its token, runs (with their
+ * snapshots, mirrored images and import files), price history
+ * observations, product links, tracked listing statuses, exported
+ * handles and vehicles, search automations and settings.
+ */
+export async function wipeShopData(shop) {
+  await removeShopInstall(shop);
+  const runIds = await deleteShopRuns(shop);
+  for (const runId of runIds) {
+    await deleteSnapshot(runId);
+    await deleteRunImages(runId);
+    await deleteRunImportFiles(runId);
+  }
+  await deleteShopObservations(shop);
+  await deleteShopLinks(shop);
+  await deleteShopListingStatus(shop);
+  await deleteShopSettings(shop);
+  await deleteShopHandles(shop);
+  await deleteShopVehicles(shop);
+  await deleteShopAutomations(shop);
+  await deleteShopExportJobs(shop);
+  await deleteShopAccess(shop);
+  return { runsDeleted: runIds.length };
+}
+
+const handlers = {
+  'app/uninstalled': (shop) => wipeShopData(shop),
+  'shop/redact': (shop) => wipeShopData(shop),
+  'customers/data_request': async () => ({ customerData: 'none stored' }),
+  'customers/redact': async () => ({ customerData: 'none stored' }),
+  'products/delete': async (shop, payload) => ({
+    unlinkedListing: await markProductDeleted(shop, payload && payload.id)
+  })
+};
+
+/*
+ * Handle a verified webhook.  Resolves to a short description of what was
+ * done, or null for topics the app does not handle (which are still
+ * acknowledged so Shopify stops retrying).
+ */
+export async function handleWebhook(topic, shop, payload) {
+  const handler = handlers[topic];
+  return handler ? handler(shop, payload) : null;
+}
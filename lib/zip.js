@@ -0,0 +1,160 @@
+/*
+ * mobile-de-shopify-app/lib/zip.js
+ *
+ * Minimal ZIP writer for download bundles.  Entries are stored without
+ * compression: the bundles hold JPEGs, which do not compress further,
+ * and this keeps the app free of an archive dependency.  The archive is
+ * written to a stream one entry at a time, so only the entry being
+ * written is held in memory.  Without ZIP64 the archive must stay below
+ * 4 GB and 65,535 entries; zipSize() tells in advance whether it does.
+ */
+
+export const MAX_ZIP_SIZE = 0xffffffff;
+export const MAX_ZIP_ENTRIES = 0xffff;
+
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_RECORD_SIZE = 22;
+
+/*
+ * Error raised for archives beyond the limits of the format; `status` is
+ * 413 for the HTTP response.
+ */
+export class ZipError extends Error {
+  constructor(message, status = 413) {
+    super(message);
+    this.name = 'ZipError';
+    this.status = status;
+  }
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time of a Date, as stored in ZIP headers.
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+function checkLimits(count, size) {
+  if (count > MAX_ZIP_ENTRIES) {
+    throw new ZipError(`A ZIP holds at most ${MAX_ZIP_ENTRIES} files (got ${count})`);
+  }
+  if (size > MAX_ZIP_SIZE) {
+    throw new ZipError(`The ZIP would be ${size} bytes; at most ${MAX_ZIP_SIZE} are supported`);
+  }
+}
+
+/*
+ * Size in bytes of the archive of a list of { name, size }.  Throws a
+ * ZipError when it exceeds MAX_ZIP_SIZE or MAX_ZIP_ENTRIES.
+ */
+export function zipSize(entries) {
+  let size = END_RECORD_SIZE;
+  for (const { name, size: dataSize } of entries) {
+    const nameLength = Buffer.byteLength(name, 'utf8');
+    size += LOCAL_HEADER_SIZE + CENTRAL_HEADER_SIZE + 2 * nameLength + dataSize;
+  }
+  checkLimits(entries.length, size);
+  return size;
+}
+
+// Write a buffer, waiting for `out` to drain when its buffer is full.
+async function send(out, buffer) {
+  if (out.destroyed) throw new Error('The output was closed before the ZIP was written');
+  if (out.write(buffer)) return;
+  await new Promise((resolve, reject) => {
+    const cleanup = () => {
+      out.off('drain', onDrain);
+      out.off('close', onClose);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('The output was closed before the ZIP was written'));
+    };
+    out.on('drain', onDrain);
+    out.on('close', onClose);
+  });
+}
+
+/*
+ * Write a ZIP archive to the writable stream `out` (e.g. an HTTP
+ * response) without ending it.  `entries` is an iterable or async
+ * iterable of { name, data } (data a Buffer), consumed one at a time;
+ * names are stored as UTF-8.  Throws a ZipError, with part of the
+ * archive written, when an entry would take it past the limits of the
+ * format; check with zipSize() first.
+ */
+export async function writeZip(out, entries, date = new Date()) {
+  const { time, day } = dosDateTime(date);
+  const centrals = [];
+  let count = 0;
+  let offset = 0;
+  for await (const { name, data } of entries) {
+    const nameBuf = Buffer.from(name, 'utf8');
+    checkLimits(count + 1, offset + LOCAL_HEADER_SIZE + nameBuf.length + data.length);
+    const crc = crc32(data);
+    const local = Buffer.alloc(LOCAL_HEADER_SIZE);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(0, 8); // stored
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    local.writeUInt16LE(0, 28);
+    const central = Buffer.alloc(CENTRAL_HEADER_SIZE);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(0, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    await send(out, Buffer.concat([local, nameBuf]));
+    await send(out, data);
+    centrals.push(central, nameBuf);
+    count += 1;
+    offset += local.length + nameBuf.length + data.length;
+  }
+  const central = Buffer.concat(centrals);
+  checkLimits(count, offset + central.length + END_RECORD_SIZE);
+  const end = Buffer.alloc(END_RECORD_SIZE);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(central.length, 12);
+  end.writeUInt32LE(offset, 16);
+  await send(out, Buffer.concat([central, end]));
+}
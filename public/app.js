@@ -0,0 +1,72 @@
+/*
+ * mobile-de-shopify-app/public/app.js
+ *
+ * Shared by the app's pages.  Inside the Shopify admin, App Bridge adds a
+ * session token to every fetch() call, but plain download links to /api/
+ * cannot carry that header.  Clicks on such links are intercepted and the
+ * link is opened with a fresh token in the `id_token` query parameter.
+ * Outside the admin (authentication disabled) links work unchanged.
+ *
+ * watchRunEvents() follows a run through its Server-Sent Events stream
+ * (GET /api/runs/:runId/events), which has the same problem: EventSource
+ * cannot send headers either.
+ *
+ * Outside the admin, staff log in with an account (see lib/access.js); an
+ * API answer of 401 sends them to the login page and back afterwards.
+ */
+document.addEventListener('click', async function (e) {
+  const link = e.target.closest && e.target.closest('a[href^="/api/"]');
+  if (!link || !window.shopify || typeof window.shopify.idToken !== 'function') return;
+  e.preventDefault();
+  const href = link.getAttribute('href');
+  const token = await window.shopify.idToken();
+  const url = href + (href.includes('?') ? '&' : '?') + 'id_token=' + encodeURIComponent(token);
+  window.open(url, link.target || '_self');
+});
+
+const appFetch = window.fetch.bind(window);
+window.fetch = async function (...args) {
+  const resp = await appFetch(...args);
+  const url = String(args[0] && args[0].url ? args[0].url : args[0]);
+  if (resp.status === 401 && !window.shopify && url.startsWith('/api/')) {
+    window.location.href = '/login.html?next=' + encodeURIComponent(window.location.pathname + window.location.search);
+  }
+  return resp;
+};
+
+/*
+ * Open the event stream of a run and call handlers.status(data),
+ * handlers.log(data), handlers.warning(data) and handlers.end(data) for
+ * its events.  A dropped connection is reopened after 3 seconds (with a
+ * fresh session token; the previous one may have expired) until `end`
+ * arrives or the returned stop() is called.
+ */
+function watchRunEvents(runId, handlers) {
+  let source = null;
+  let stopped = false;
+  async function open() {
+    let url = '/api/runs/' + encodeURIComponent(runId) + '/events';
+    if (window.shopify && typeof window.shopify.idToken === 'function') {
+      url += '?id_token=' + encodeURIComponent(await window.shopify.idToken());
+    }
+    if (stopped) return;
+    source = new EventSource(url);
+    ['status', 'log', 'warning'].forEach((name) => {
+      source.addEventListener(name, (e) => handlers[name] && handlers[name](JSON.parse(e.data)));
+    });
+    source.addEventListener('end', (e) => {
+      stop();
+      if (handlers.end) handlers.end(JSON.parse(e.data));
+    });
+    source.onerror = () => {
+      source.close();
+      if (!stopped) setTimeout(open, 3000);
+    };
+  }
+  function stop() {
+    stopped = true;
+    if (source) source.close();
+  }
+  open();
+  return stop;
+}
@@ -0,0 +1,204 @@
+/*
+ * mobile-de-shopify-app/scripts/mock-apify.js
+ *
+ * Local stand-in for the subset of the Apify API used by the app, for
+ * development and automated testing without network access.  Point the
+ * app at it with APIFY_BASE_URL=http://localhost:3001/v2 (any non-empty
+ * token is accepted).
+ *
+ * Datasets are replayed from fixtures/datasets/<name>.json.  Starting an
+ * actor run creates a run that reports RUNNING for MOCK_APIFY_RUN_MS
+ * (default 3000) and then SUCCEEDED, backed by a copy of the fixture named
+ * by MOCK_APIFY_FIXTURE (default "sample"), truncated to the input's
+ * maxItems.  A comma-separated list of fixtures is used in turn, one per
+ * started run, to simulate a search changing between runs.  Every fixture is also exposed as an already finished run
+ * with ID `fixture-<name>`.  Set MOCK_APIFY_FAIL_EVERY=n to answer every
+ * n-th request with 503 and exercise the client's retries.  Ad-hoc
+ * webhooks passed when starting a run (`webhooks` query parameter) are
+ * delivered with Apify's default payload when the run succeeds, retried
+ * a few times on failure.  While a run is RUNNING its dataset item count
+ * and log grow with the elapsed time.
+ *
+ *   node scripts/mock-apify.js     (or: npm run mock:apify)
+ */
+
+import express from 'express';
+import fetch from 'node-fetch';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'datasets');
+const port = process.env.MOCK_APIFY_PORT || 3001;
+const runMs = parseInt(process.env.MOCK_APIFY_RUN_MS || '3000');
+const runFixtures = String(process.env.MOCK_APIFY_FIXTURE || 'sample').split(',').map((f) => f.trim()).filter(Boolean);
+const failEvery = parseInt(process.env.MOCK_APIFY_FAIL_EVERY || '0');
+
+const datasets = new Map();
+const runs = new Map();
+let requestCount = 0;
+let nextId = 1;
+
+function loadFixture(name) {
+  const file = path.join(fixturesDir, `${name}.json`);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function notFound(res, message) {
+  return res.status(404).json({ error: { type: 'record-not-found', message } });
+}
+
+/*
+ * Run objects are computed on read so RUNNING turns into SUCCEEDED once
+ * the configured duration has passed.
+ */
+function runView(run) {
+  const done = Date.now() - run.createdMs >= run.durationMs;
+  const itemCount = datasets.get(run.defaultDatasetId).length;
+  return {
+    id: run.id,
+    actId: run.actId,
+    status: done ? 'SUCCEEDED' : 'RUNNING',
+    startedAt: new Date(run.createdMs).toISOString(),
+    finishedAt: done ? new Date(run.createdMs + run.durationMs).toISOString() : null,
+    defaultDatasetId: run.defaultDatasetId,
+    stats: { itemsOutput: done ? itemCount : 0 },
+    options: {},
+    meta: { origin: 'API' }
+  };
+}
+
+// Seed one finished run per fixture file.
+for (const file of fs.existsSync(fixturesDir) ? fs.readdirSync(fixturesDir) : []) {
+  if (!file.endsWith('.json')) continue;
+  const name = path.basename(file, '.json');
+  const datasetId = `dataset-${name}`;
+  datasets.set(datasetId, loadFixture(name));
+  runs.set(`fixture-${name}`, {
+    id: `fixture-${name}`,
+    actId: 'fixture',
+    createdMs: Date.now(),
+    durationMs: 0,
+    defaultDatasetId: datasetId,
+    input: {}
+  });
+}
+
+const app = express();
+app.use(express.json({ limit: '10mb' }));
+
+app.use((req, res, next) => {
+  requestCount += 1;
+  if (failEvery > 0 && requestCount % failEvery === 0) {
+    return res.status(503).json({ error: { type: 'service-unavailable', message: 'Injected failure' } });
+  }
+  if (!/^Bearer \S+/.test(req.get('Authorization') || '')) {
+    return res.status(401).json({ error: { type: 'token-not-provided', message: 'Authentication token was not provided' } });
+  }
+  return next();
+});
+
+/*
+ * Deliver the run's ad-hoc webhooks subscribed to ACTOR.RUN.SUCCEEDED,
+ * retrying each up to three times one second apart.
+ */
+async function deliverWebhooks(run) {
+  for (const webhook of run.webhooks) {
+    if (!(webhook.eventTypes || []).includes('ACTOR.RUN.SUCCEEDED')) continue;
+    const payload = {
+      userId: 'mock-user',
+      createdAt: new Date().toISOString(),
+      eventType: 'ACTOR.RUN.SUCCEEDED',
+      eventData: { actorId: run.actId, actorRunId: run.id },
+      resource: runView(run)
+    };
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      try {
+        const resp = await fetch(webhook.requestUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        });
+        console.log(`Webhook for ${run.id} to ${webhook.requestUrl.replace(/token=[^&]+/, 'token=…')}: ${resp.status}`);
+        if (resp.ok) break;
+      } catch (err) {
+        console.log(`Webhook for ${run.id} failed: ${err.message}`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+  }
+}
+
+app.post('/v2/acts/:actorId/runs', (req, res) => {
+  const fixtureName = runFixtures[(nextId - 1) % runFixtures.length];
+  const fixture = loadFixture(fixtureName);
+  if (!fixture) return notFound(res, `Fixture ${fixtureName} not found`);
+  const input = req.body || {};
+  const max = parseInt(input.maxItems);
+  const id = `mockrun${nextId}`;
+  const datasetId = `mockdataset${nextId}`;
+  nextId += 1;
+  datasets.set(datasetId, !Number.isNaN(max) && max > 0 ? fixture.slice(0, max) : fixture);
+  const run = {
+    id,
+    actId: req.params.actorId,
+    createdMs: Date.now(),
+    durationMs: runMs,
+    defaultDatasetId: datasetId,
+    input,
+    webhooks: req.query.webhooks ? JSON.parse(Buffer.from(String(req.query.webhooks), 'base64').toString('utf8')) : []
+  };
+  runs.set(id, run);
+  if (run.webhooks.length) setTimeout(() => deliverWebhooks(run), runMs + 50);
+  return res.status(201).json({ data: runView(run) });
+});
+
+app.get('/v2/actor-runs/:runId', (req, res) => {
+  const run = runs.get(req.params.runId);
+  if (!run) return notFound(res, 'Actor run was not found');
+  return res.json({ data: runView(run) });
+});
+
+/*
+ * Share of the run's duration that has passed, 0 to 1.
+ */
+function runShare(run) {
+  return run.durationMs > 0 ? Math.min(1, (Date.now() - run.createdMs) / run.durationMs) : 1;
+}
+
+app.get('/v2/logs/:runId', (req, res) => {
+  const run = runs.get(req.params.runId);
+  if (!run) return notFound(res, 'Actor run was not found');
+  const total = datasets.get(run.defaultDatasetId).length;
+  const scraped = Math.floor(total * runShare(run));
+  const lines = [`${new Date(run.createdMs).toISOString()} ACTOR: Run ${run.id} started.`];
+  for (let i = 1; i <= scraped; i++) lines.push(`INFO  Scraped listing ${i}/${total}`);
+  if (runShare(run) >= 1) lines.push(`INFO  Finished: ${total} listings saved.`);
+  res.set('Content-Type', 'text/plain');
+  return res.send(lines.join('\n') + '\n');
+});
+
+app.get('/v2/datasets/:datasetId', (req, res) => {
+  const items = datasets.get(req.params.datasetId);
+  if (!items) return notFound(res, 'Dataset was not found');
+  const run = [...runs.values()].find((r) => r.defaultDatasetId === req.params.datasetId);
+  const itemCount = run ? Math.floor(items.length * runShare(run)) : items.length;
+  return res.json({ data: { id: req.params.datasetId, itemCount } });
+});
+
+app.get('/v2/datasets/:datasetId/items', (req, res) => {
+  const items = datasets.get(req.params.datasetId);
+  if (!items) return notFound(res, 'Dataset was not found');
+  const offset = parseInt(req.query.offset || '0');
+  const limit = parseInt(req.query.limit || String(items.length));
+  res.set('X-Apify-Pagination-Total', String(items.length));
+  const page = items.slice(offset, offset + limit);
+  // Like Apify, the clean view leaves empty items out of the page.
+  const clean = req.query.clean === 'true' || req.query.clean === '1';
+  return res.json(clean ? page.filter((item) => item && Object.keys(item).length > 0) : page);
+});
+
+app.listen(port, () => {
+  console.log(`Mock Apify API listening on http://localhost:${port}/v2`);
+});
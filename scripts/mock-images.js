@@ -0,0 +1,49 @@
+/*
+ * mobile-de-shopify-app/scripts/mock-images.js
+ *
+ * Local stand-in for the mobile.de image CDN, for testing the image
+ * mirror (lib/imageMirror.js) without network access.  Point the app at
+ * it with IMAGE_MIRROR_ORIGIN=http://localhost:3003: every image URL is
+ * then fetched from here with its original path.
+ *
+ * Any path answers with a small JPEG whose content depends on the file
+ * name, so URLs that differ only in their directory or query string
+ * return identical images (exercising de-duplication).  Paths containing
+ * `/missing/` answer 404.
+ *
+ *   node scripts/mock-images.js     (or: npm run mock:images)
+ */
+
+import express from 'express';
+import path from 'path';
+
+const port = process.env.MOCK_IMAGES_PORT || 3003;
+
+// A 1×1 pixel JPEG; a comment segment with the file name is inserted
+// after the start-of-image marker to vary the content.
+const PIXEL = Buffer.from(
+  '/9j/4AAQSkZJRgABAQEASABIAAD/2wBDAP//////////////////////////////////////////////////////////////////////////////////////wgALCAABAAEBAREA/8QAFBABAAAAAAAAAAAAAAAAAAAAAP/aAAgBAQABPxA=',
+  'base64'
+);
+
+function jpegFor(name) {
+  const text = Buffer.from(name, 'utf8');
+  const comment = Buffer.alloc(4);
+  comment.writeUInt16BE(0xfffe, 0);
+  comment.writeUInt16BE(text.length + 2, 2);
+  return Buffer.concat([PIXEL.subarray(0, 2), comment, text, PIXEL.subarray(2)]);
+}
+
+const app = express();
+
+app.get('*', (req, res) => {
+  if (req.path.includes('/missing/')) {
+    return res.status(404).send('Not found');
+  }
+  res.set('Content-Type', 'image/jpeg');
+  return res.send(jpegFor(path.basename(req.path)));
+});
+
+app.listen(port, () => {
+  console.log(`Mock image CDN listening on http://localhost:${port}`);
+});
@@ -0,0 +1,212 @@
+/*
+ * mobile-de-shopify-app/scripts/mock-shopify.js
+ *
+ * Local stand-in for the subset of the Shopify Admin GraphQL API used by
+ * the store push, for development and automated testing without a real
+ * store.  Point the app at it with
+ *   SHOPIFY_ADMIN_API_URL=http://localhost:3002/admin/api/2024-10/graphql.json
+ * and any non-empty SHOPIFY_ADMIN_ACCESS_TOKEN.
+ *
+ * Products are kept in memory.  GET /products lists them for inspection.
+ * SKUs listed in MOCK_SHOPIFY_REJECT_SKUS (comma-separated) are rejected
+ * with a userError so failure reporting can be exercised.
+ *
+ * The OAuth install flow is mocked too: with SHOPIFY_ADMIN_ORIGIN pointing
+ * here, /admin/oauth/authorize approves immediately and redirects back to
+ * the app with a signed code for MOCK_SHOPIFY_SHOP.  The app credentials
+ * (MOCK_SHOPIFY_API_KEY / MOCK_SHOPIFY_API_SECRET) must match the app's
+ * SHOPIFY_API_KEY / SHOPIFY_API_SECRET.  GET /session-token returns a
+ * session token for calling the app's /api routes, e.g.
+ *   curl -H "Authorization: Bearer $(curl -s localhost:3002/session-token)" ...
+ *
+ * Webhook subscriptions are recorded (GET /webhooks lists them) and
+ * DELETE /products/:id delivers a signed products/delete webhook to the
+ * subscribed callback, like a merchant deleting the product would.
+ *
+ *   node scripts/mock-shopify.js     (or: npm run mock:shopify)
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+
+const port = process.env.MOCK_SHOPIFY_PORT || 3002;
+const rejectSkus = new Set(String(process.env.MOCK_SHOPIFY_REJECT_SKUS || '').split(',').filter(Boolean));
+const apiKey = process.env.MOCK_SHOPIFY_API_KEY || 'mock-api-key';
+const apiSecret = process.env.MOCK_SHOPIFY_API_SECRET || 'mock-api-secret';
+const mockShop = process.env.MOCK_SHOPIFY_SHOP || 'mock-store.myshopify.com';
+
+const products = new Map();
+const subscriptions = [];
+let nextId = 1;
+
+// Extract the value of a `field:"value"` search query.
+function queryValue(query, field) {
+  const m = String(query || '').match(new RegExp(`${field}:"((?:[^"\\\\]|\\\\.)*)"`));
+  return m ? m[1].replace(/\\(.)/g, '$1') : null;
+}
+
+function skuOf(product) {
+  const variant = product.variants && product.variants[0];
+  return variant && variant.inventoryItem ? variant.inventoryItem.sku : undefined;
+}
+
+const handlers = {
+  FindProductByHandle({ query }) {
+    const handle = queryValue(query, 'handle');
+    const nodes = [...products.values()].filter((p) => p.handle === handle).slice(0, 1);
+    return { products: { nodes: nodes.map((p) => ({ id: p.id, handle: p.handle })) } };
+  },
+  FindVariantBySku({ query }) {
+    const sku = queryValue(query, 'sku');
+    const nodes = [...products.values()].filter((p) => skuOf(p) === sku).slice(0, 1);
+    return {
+      productVariants: {
+        nodes: nodes.map((p) => ({ id: `${p.id}/variant`, sku, product: { id: p.id, handle: p.handle } }))
+      }
+    };
+  },
+  ProductSet({ input }) {
+    const sku = input.variants && input.variants[0] && input.variants[0].inventoryItem
+      ? input.variants[0].inventoryItem.sku
+      : undefined;
+    if (rejectSkus.has(String(sku))) {
+      return { productSet: { product: null, userErrors: [{ field: ['input', 'variants', '0'], message: 'SKU rejected by mock', code: 'INVALID' }] } };
+    }
+    if (input.id && !products.has(input.id)) {
+      return { productSet: { product: null, userErrors: [{ field: ['input', 'id'], message: 'Product does not exist', code: 'NOT_FOUND' }] } };
+    }
+    const existing = input.id ? products.get(input.id) : null;
+    const id = existing ? existing.id : `gid://shopify/Product/${nextId++}`;
+    const product = {
+      ...(existing || { status: 'ACTIVE', files: [] }),
+      ...input,
+      id,
+      updatedAt: new Date().toISOString()
+    };
+    products.set(id, product);
+    return { productSet: { product: { id, handle: product.handle }, userErrors: [] } };
+  },
+  ProductUpdateStatus({ input }) {
+    const product = products.get(input.id);
+    if (!product) {
+      return { productUpdate: { product: null, userErrors: [{ field: ['id'], message: 'Product does not exist' }] } };
+    }
+    product.status = input.status;
+    product.updatedAt = new Date().toISOString();
+    return { productUpdate: { product: { id: product.id, status: product.status }, userErrors: [] } };
+  },
+  WebhookSubscriptionCreate({ topic, webhookSubscription }) {
+    const callbackUrl = webhookSubscription && webhookSubscription.callbackUrl;
+    if (subscriptions.some((sub) => sub.topic === topic && sub.callbackUrl === callbackUrl)) {
+      return { webhookSubscriptionCreate: { webhookSubscription: null, userErrors: [{ field: ['callbackUrl'], message: 'Address for this topic has already been taken' }] } };
+    }
+    const sub = { id: `gid://shopify/WebhookSubscription/${subscriptions.length + 1}`, topic, callbackUrl };
+    subscriptions.push(sub);
+    return { webhookSubscriptionCreate: { webhookSubscription: { id: sub.id }, userErrors: [] } };
+  }
+};
+
+const app = express();
+app.use(express.json({ limit: '10mb' }));
+
+app.post('/admin/api/:version/graphql.json', (req, res) => {
+  if (!req.get('X-Shopify-Access-Token')) {
+    return res.status(401).json({ errors: '[API] Invalid API key or access token (unrecognized login or wrong password)' });
+  }
+  const { query = '', variables = {} } = req.body || {};
+  const m = query.match(/^\s*(?:query|mutation)\s+(\w+)/);
+  const handler = m && handlers[m[1]];
+  if (!handler) {
+    return res.json({ errors: [{ message: `Mock does not implement operation ${m ? m[1] : '(anonymous)'}` }] });
+  }
+  return res.json({ data: handler(variables) });
+});
+
+app.get('/products', (req, res) => {
+  res.json([...products.values()]);
+});
+
+app.get('/webhooks', (req, res) => {
+  res.json(subscriptions);
+});
+
+// Delete a product (numeric ID) and notify products/delete subscribers.
+app.delete('/products/:id', async (req, res) => {
+  const gid = `gid://shopify/Product/${req.params.id}`;
+  if (!products.delete(gid)) return res.status(404).json({ error: 'Not found' });
+  const body = JSON.stringify({ id: Number(req.params.id) });
+  const hmac = crypto.createHmac('sha256', apiSecret).update(body).digest('base64');
+  const deliveries = [];
+  for (const sub of subscriptions.filter((s) => s.topic === 'PRODUCTS_DELETE')) {
+    const resp = await fetch(sub.callbackUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Topic': 'products/delete',
+        'X-Shopify-Shop-Domain': mockShop,
+        'X-Shopify-Hmac-Sha256': hmac
+      },
+      body
+    }).catch((err) => ({ status: err.message }));
+    deliveries.push({ callbackUrl: sub.callbackUrl, status: resp.status });
+  }
+  return res.json({ deleted: gid, deliveries });
+});
+
+// Authorization codes issued by the consent screen, redeemable once.
+const codes = new Set();
+
+app.get('/admin/oauth/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, state, scope } = req.query;
+  if (clientId !== apiKey || !redirectUri) {
+    return res.status(400).send('Unknown client_id or missing redirect_uri');
+  }
+  const code = crypto.randomBytes(8).toString('hex');
+  codes.add(code);
+  const params = new URLSearchParams({
+    code,
+    shop: mockShop,
+    state: state || '',
+    timestamp: String(Math.floor(Date.now() / 1000))
+  });
+  const message = [...params.entries()].sort(([a], [b]) => (a < b ? -1 : 1)).map(([k, v]) => `${k}=${v}`).join('&');
+  params.set('hmac', crypto.createHmac('sha256', apiSecret).update(message).digest('hex'));
+  console.log(`Mock consent granted for scopes ${scope || '(none)'}`);
+  return res.redirect(`${redirectUri}?${params}`);
+});
+
+app.post('/admin/oauth/access_token', (req, res) => {
+  const { client_id: clientId, client_secret: clientSecret, code } = req.body || {};
+  if (clientId !== apiKey || clientSecret !== apiSecret || !codes.delete(code)) {
+    return res.status(400).json({ error: 'invalid_request' });
+  }
+  return res.json({ access_token: `shpat_mock_${crypto.randomBytes(8).toString('hex')}`, scope: 'read_products,write_products' });
+});
+
+app.get('/admin/apps/:apiKey', (req, res) => {
+  res.send(`App ${req.params.apiKey} is installed on ${mockShop}.`);
+});
+
+// Mint an App Bridge style session token (HS256, valid for one minute).
+app.get('/session-token', (req, res) => {
+  const shop = req.query.shop || mockShop;
+  const now = Math.floor(Date.now() / 1000);
+  const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  const header = encode({ alg: 'HS256', typ: 'JWT' });
+  const payload = encode({
+    iss: `https://${shop}/admin`,
+    dest: `https://${shop}`,
+    aud: apiKey,
+    sub: '1',
+    exp: now + 60,
+    nbf: now,
+    iat: now,
+    jti: crypto.randomUUID()
+  });
+  const signature = crypto.createHmac('sha256', apiSecret).update(`${header}.${payload}`).digest('base64url');
+  res.type('text/plain').send(`${header}.${payload}.${signature}`);
+});
+
+app.listen(port, () => {
+  console.log(`Mock Shopify Admin API listening on http://localhost:${port}/admin/api/2024-10/graphql.json`);
+});
@@ -13,10 +13,114 @@
 
 import express from 'express';
 import dotenv from 'dotenv';
-import fetch from 'node-fetch';
 import ExcelJS from 'exceljs';
 import fs from 'fs';
 import path from 'path';
+import { computeVariantPrice, extractPriceCurrency, DEFAULT_PRICING_RULES } from './lib/pricing.js';
+import { recordRunStart, syncRunFromApify, recordRunExport, updateRun, getRun, listRuns } from './lib/runs.js';
+import { readSnapshot, writeSnapshot, getSnapshotInfo } from './lib/snapshots.js';
+import { getApifyClient } from './lib/apify.js';
+import { diffRuns, diffRows, DIFF_CATEGORIES, extractImageUrls } from './lib/diff.js';
+import { expandImageRows } from './lib/shopifyCsv.js';
+import { mirrorImages, findMirroredImage, hostedImageLists, buildRunImageZip } from './lib/imageMirror.js';
+import { recordObservations, getListingHistory, getHistories, findPriceDrops, formatPriceHistory } from './lib/priceHistory.js';
+import { getShopifyClient } from './lib/shopify.js';
+import { pushRows, rowToProductSetInput, setProductStatuses, OFFLINE_STATUSES } from './lib/shopifyPush.js';
+import {
+  getAuthConfig,
+  assertAuthConfigured,
+  isValidShopDomain,
+  verifyQueryHmac,
+  createOAuthState,
+  buildAuthorizeUrl,
+  exchangeAccessToken,
+  embeddedAppUrl,
+  readCookie,
+  requireShopSession,
+  verifyWebhookHmac,
+  OAUTH_STATE_COOKIE
+} from './lib/shopifyAuth.js';
+import { saveShopInstall, getShopInstall } from './lib/shops.js';
+import {
+  DEFAULT_SETTINGS,
+  getShopSettings,
+  updateShopSettings,
+  resolveShopSettings,
+  publicSettings
+} from './lib/settings.js';
+import { registerWebhooks, handleWebhook } from './lib/webhooks.js';
+import { recordPushedProducts, getProductLinks } from './lib/productLinks.js';
+import {
+  trackExportedListings,
+  recordRunListings,
+  listStaleListings,
+  markListingsArchived,
+  defaultGraceRuns
+} from './lib/listingStatus.js';
+import {
+  MAX_MAPPING_DESTINATIONS,
+  readMappingFile,
+  readMappingBuffer,
+  writeMappingWorkbook,
+  collectSourceFields
+} from './lib/mapping.js';
+import { resolvePath, resolvePathAll, resolveSource, pathValueToText } from './lib/fieldPath.js';
+import {
+  DEFAULT_EXPORT_PROFILE,
+  listExportProfiles,
+  findExportProfile,
+  selectColumns
+} from './lib/exportProfiles.js';
+import { checkShopifyRows, reportToRows, DEFAULT_MAX_TITLE_LENGTH } from './lib/qualityReport.js';
+import { generateHandle, resolveHandleCollisions, recordExportedHandles } from './lib/handles.js';
+import { normalizeSearchUrls, searchKey, buildSearchUrl, MAKES, FUELS, MAX_SEARCH_URLS } from './lib/searches.js';
+import { ACTOR_ADAPTERS, getActorAdapter, listActorPresets, findActorPreset } from './lib/actorAdapters.js';
+import {
+  DUPLICATE_MODES,
+  vehicleSignature,
+  decideDuplicates,
+  getExportedVehicles,
+  recordExportedVehicles
+} from './lib/duplicates.js';
+import {
+  getAutomation,
+  listAutomations,
+  setAutomation,
+  createWebhookToken,
+  verifyWebhookToken,
+  runWebhooks,
+  importFilePath
+} from './lib/automations.js';
+import { writeFileAtomic } from './lib/jsonStore.js';
+import { subscribeRunEvents } from './lib/runEvents.js';
+import {
+  authenticate,
+  requireRole,
+  recordDenied,
+  login,
+  logout,
+  ensureBootstrapAdmin,
+  accessControlDisabled,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  listApiKeys,
+  createApiKey,
+  deleteApiKey,
+  listDenied,
+  ROLES,
+  LOGIN_COOKIE
+} from './lib/access.js';
+import {
+  registerExportJobType,
+  enqueueExportJob,
+  getExportJob,
+  listExportJobs,
+  deleteExportJob,
+  exportJobFilePath,
+  startExportJobs
+} from './lib/exportJobs.js';
 
 // Translation dictionaries for attribute names and feature strings into Romanian.
 // Only a subset of common keys are included; any missing keys or features
@@ -178,6 +282,28 @@ const VALUE_TRANSLATIONS = {
   'Camera': 'Cameră'
 };
 
+// Section labels of the generated Body HTML per translation locale.
+const BODY_HTML_LABELS = {
+  ro: { attributes: 'Date tehnice', features: 'Dotari' },
+  en: { attributes: 'Technical data', features: 'Equipment' }
+};
+
+/*
+ * Dictionaries for a translation locale (see lib/settings.js).  'ro'
+ * uses the Romanian tables above; 'en' keeps mobile.de's English text.
+ */
+function translationsFor(locale = 'ro') {
+  if (locale === 'en') {
+    return { attrs: {}, values: {}, features: {}, labels: BODY_HTML_LABELS.en };
+  }
+  return {
+    attrs: ATTR_TRANSLATIONS,
+    values: VALUE_TRANSLATIONS,
+    features: FEATURE_TRANSLATIONS,
+    labels: BODY_HTML_LABELS.ro
+  };
+}
+
 // Define a mapping from current output field names to new metafield names.  This
 // mapping is used to build the final Shopify export in a two‑step flow
 // (Step 1 raw data, Step 2 normalized/mapped data).  Only keys present
@@ -239,6 +365,9 @@ const ALWAYS_KEEP_FIELDS = new Set([
   ,
   // Keep the template suffix column used for Shopify theme selection
   'Template Suffix'
+  ,
+  // Price history across runs, filled by mapDatasetToMetafields()
+  'Metafield: custom.istoric_pret [multi_line_text_field]'
 ]);
 
 /**
@@ -266,6 +395,38 @@ function mapToNewMetafields(row) {
   return newRow;
 }
 
+/*
+ * Check a metafields mapping list against mapToNewMetafields(): a
+ * destination that is neither in ALWAYS_KEEP_FIELDS nor a key of
+ * NEW_METAFIELD_MAPPINGS never reaches the Shopify export, and one that
+ * is a key of NEW_METAFIELD_MAPPINGS ends up under its new name.
+ * Returns a list of { source, dest, type: 'dropped' | 'renamed',
+ * renamedTo, message }.
+ */
+function mappingDestinationWarnings(mappingList) {
+  const warnings = [];
+  for (const { source, dests } of mappingList) {
+    for (const dest of dests) {
+      if (ALWAYS_KEEP_FIELDS.has(dest)) continue;
+      if (NEW_METAFIELD_MAPPINGS[dest]) {
+        const renamedTo = NEW_METAFIELD_MAPPINGS[dest];
+        warnings.push({ source, dest, type: 'renamed', renamedTo, message: `"${dest}" is exported as "${renamedTo}"` });
+      } else {
+        warnings.push({ source, dest, type: 'dropped', message: `"${dest}" is not an exported column and will be dropped` });
+      }
+    }
+  }
+  return warnings;
+}
+
+/*
+ * Destination columns that survive mapToNewMetafields(), for the mapping
+ * editor's suggestions.
+ */
+function exportedDestinations() {
+  return [...new Set([...ALWAYS_KEEP_FIELDS, ...Object.keys(NEW_METAFIELD_MAPPINGS)])];
+}
+
 
 // Load environment variables from .env if present.
 dotenv.config();
@@ -273,16 +434,269 @@ dotenv.config();
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Enable JSON and URL-encoded body parsing for incoming requests.
-app.use(express.json());
+// Enable JSON and URL-encoded body parsing for incoming requests.  The raw
+// body of webhook deliveries is kept for their HMAC check.
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhooks')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
-// Serve static assets from the `public` directory.  This allows us to place
-// a custom index.html with a richer user interface (progress bar, status
-// polling and download links) into the public folder.  If the file is
-// missing the route defined below will still serve a basic HTML form.
+/*
+ * Serve the HTML pages of the `public` directory.  The
+ * `<!-- shopify-app-bridge -->` placeholder is replaced with the App
+ * Bridge script and the app's API key, which make the page work inside
+ * the Shopify admin and attach a session token to its fetch() calls.
+ * With authentication disabled the placeholder is simply removed.  A
+ * shop opening the app before it has been installed is sent through the
+ * OAuth install flow first.
+ */
+app.get(/^\/(?:[\w-]+\.html)?$/, async (req, res, next) => {
+  try {
+    const file = path.join('public', req.path === '/' ? 'index.html' : req.path.slice(1));
+    let html;
+    try {
+      html = await fs.promises.readFile(file, 'utf8');
+    } catch (err) {
+      return next();
+    }
+    const config = getAuthConfig();
+    let bridge = null;
+    if (!config.disabled) {
+      const { shop } = req.query;
+      if (isValidShopDomain(shop) && !(await getShopInstall(shop))) {
+        const authUrl = `/auth?shop=${encodeURIComponent(shop)}`;
+        if (req.query.embedded !== '1') return res.redirect(authUrl);
+        // OAuth cannot run inside the admin iframe; leave it first.
+        return res.send(`<!DOCTYPE html><script>window.top.location.href = ${JSON.stringify(authUrl)};</script>`);
+      }
+      const apiKey = config.apiKey.replace(/[^\w-]/g, '');
+      bridge = [
+        `<meta name="shopify-api-key" content="${apiKey}" />`,
+        '<script src="https://cdn.shopify.com/shopifycloud/app-bridge.js"></script>'
+      ];
+    }
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    return res.send(html.replace(/([ \t]*)<!-- shopify-app-bridge -->\n/, (m, indent) =>
+      (bridge ? bridge.map((line) => `${indent}${line}\n`).join('') : '')));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// Serve the remaining static assets of the `public` directory (scripts,
+// styles); its HTML pages are answered by the route above.
 app.use(express.static('public'));
 
+/*
+ * GET /auth?shop=my-store.myshopify.com
+ *
+ * Start the OAuth install flow: remember a random state in a short-lived
+ * cookie and redirect to the shop's consent screen.
+ */
+app.get('/auth', (req, res) => {
+  try {
+    const { shop } = req.query;
+    if (!isValidShopDomain(shop)) {
+      return res.status(400).json({ error: 'shop must be a *.myshopify.com domain' });
+    }
+    const config = getAuthConfig();
+    assertAuthConfigured(config);
+    if (!config.appUrl) {
+      return res.status(500).json({ error: 'SHOPIFY_APP_URL must be set' });
+    }
+    const state = createOAuthState();
+    const secure = config.appUrl.startsWith('https:') ? '; Secure' : '';
+    res.set('Set-Cookie', `${OAUTH_STATE_COOKIE}=${state}; Path=/auth; Max-Age=600; HttpOnly; SameSite=Lax${secure}`);
+    return res.redirect(buildAuthorizeUrl(shop, state, config));
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/*
+ * GET /auth/callback
+ *
+ * Finish the install: verify the HMAC of the query string and the state
+ * against the cookie set by /auth, exchange the code for the shop's
+ * offline access token, store it and open the app in the shop's admin.
+ */
+app.get('/auth/callback', async (req, res) => {
+  try {
+    const config = getAuthConfig();
+    assertAuthConfigured(config);
+    const params = new URL(req.originalUrl, 'http://localhost').searchParams;
+    const shop = params.get('shop');
+    const code = params.get('code');
+    if (!isValidShopDomain(shop) || !code) {
+      return res.status(400).json({ error: 'shop and code query parameters are required' });
+    }
+    if (!verifyQueryHmac(params, config.apiSecret)) {
+      return res.status(400).json({ error: 'HMAC validation failed' });
+    }
+    const expectedState = readCookie(req, OAUTH_STATE_COOKIE);
+    if (!expectedState || params.get('state') !== expectedState) {
+      return res.status(403).json({ error: 'OAuth state does not match. Start the install again.' });
+    }
+    const { accessToken, scope } = await exchangeAccessToken(shop, code, config);
+    await saveShopInstall(shop, { accessToken, scope });
+    // Subscribe to uninstall and product deletion; the install itself
+    // succeeded, so a failure here is only logged.
+    try {
+      const results = await registerWebhooks(getShopifyClient({ shop, accessToken }), `${config.appUrl}/webhooks`);
+      results.filter((r) => r.errors.length).forEach((r) => {
+        console.error(`Webhook ${r.topic} for ${shop}: ${r.errors.join('; ')}`);
+      });
+    } catch (err) {
+      console.error(`Failed to register webhooks for ${shop}: ${err.message}`);
+    }
+    res.set('Set-Cookie', `${OAUTH_STATE_COOKIE}=; Path=/auth; Max-Age=0; HttpOnly; SameSite=Lax`);
+    return res.redirect(embeddedAppUrl(shop, config));
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/*
+ * POST /auth/login
+ *
+ * Log a staff account in (see lib/access.js).  Body (JSON or form):
+ * username and password.  Sets the HttpOnly session cookie and responds
+ * with { user, expiresAt }; wrong credentials answer 401, and repeated
+ * failures for a username or from an address 429 for a while (see
+ * lib/access.js).  Both are logged as denied.
+ */
+app.post('/auth/login', async (req, res) => {
+  const { username, password } = req.body || {};
+  try {
+    const session = await login(username, password, req.ip);
+    const secure = getAuthConfig().appUrl.startsWith('https:') ? '; Secure' : '';
+    const maxAge = Math.floor((new Date(session.expiresAt) - Date.now()) / 1000);
+    res.set('Set-Cookie', `${LOGIN_COOKIE}=${session.token}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=Lax${secure}`);
+    return res.json({ user: session.user, expiresAt: session.expiresAt });
+  } catch (err) {
+    if (err.status === 401) await recordDenied(req, 401, `Failed login as "${String(username || '')}"`);
+    if (err.status === 429) {
+      await recordDenied(req, 429, `Login as "${String(username || '')}" refused after too many failures`);
+      res.set('Retry-After', String(err.retryAfter));
+    }
+    return sendError(res, err);
+  }
+});
+
+/*
+ * POST /auth/logout
+ *
+ * End the staff login session of the request and clear its cookie.
+ */
+app.post('/auth/logout', async (req, res) => {
+  try {
+    await logout(readCookie(req, LOGIN_COOKIE));
+    res.set('Set-Cookie', `${LOGIN_COOKIE}=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax`);
+    return res.json({ ok: true });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * POST /webhooks
+ *
+ * Receiver for all Shopify webhooks (see lib/webhooks.js).  Deliveries
+ * whose X-Shopify-Hmac-Sha256 does not match the raw body are rejected
+ * with 401; verified deliveries are acknowledged with 200, including
+ * topics the app does not act on.
+ */
+app.post('/webhooks', async (req, res) => {
+  const config = getAuthConfig();
+  if (!verifyWebhookHmac(req.rawBody, req.get('X-Shopify-Hmac-Sha256'), config.apiSecret)) {
+    return res.status(401).json({ error: 'Webhook HMAC validation failed' });
+  }
+  const topic = req.get('X-Shopify-Topic');
+  const shop = req.get('X-Shopify-Shop-Domain');
+  if (!topic || !isValidShopDomain(shop)) {
+    return res.status(400).json({ error: 'X-Shopify-Topic and X-Shopify-Shop-Domain headers are required' });
+  }
+  try {
+    await handleWebhook(topic, shop, req.body);
+    return res.status(200).json({ ok: true });
+  } catch (err) {
+    // A 500 makes Shopify retry the delivery later.
+    console.error(`Webhook ${topic} from ${shop} failed: ${err.message}`);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/*
+ * POST /webhooks/apify?token=...
+ *
+ * Receiver of the webhooks /api/start-crawl registers on every run (see
+ * lib/automations.js).  The token must match the one issued for the run
+ * named in the payload; the run is then read back from Apify rather than
+ * trusting the payload, its final status recorded and, when it
+ * succeeded, its dataset snapshotted and the post-processing of its
+ * search started in the background.  Runs not (yet) recorded answer 404
+ * so that Apify retries the delivery.
+ */
+app.post('/webhooks/apify', async (req, res) => {
+  const body = req.body || {};
+  const runId = (body.resource && body.resource.id) || (body.eventData && body.eventData.actorRunId);
+  if (!runId) {
+    return res.status(400).json({ error: 'The payload does not name a run' });
+  }
+  try {
+    const record = await getRun(runId);
+    if (!record) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    if (!verifyWebhookToken(req.query.token, record.webhookTokenHash)) {
+      return res.status(401).json({ error: 'Webhook token validation failed' });
+    }
+    const settings = await resolveShopSettings(record.shop || '');
+    const run = await getApifyClient(settings.apify).getRun(runId);
+    await syncRunFromApify(runId, run);
+    if (run.status === 'SUCCEEDED') {
+      // Unlike status polling, a failed snapshot fails the delivery so
+      // that Apify retries it.
+      await captureRunItems(runId);
+      startPostProcessing(runId);
+    }
+    return res.status(200).json({ ok: true, status: run.status });
+  } catch (err) {
+    console.error(`Apify webhook for run ${runId} failed: ${err.message}`);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/*
+ * GET /media/:hash/:name
+ *
+ * Serve a mirrored listing image by content hash (see
+ * lib/imageMirror.js); the name sets the file name Shopify sees.
+ * Public, so Shopify can fetch the images of exports that point here.
+ */
+app.get('/media/:hash/:name', async (req, res, next) => {
+  try {
+    const image = await findMirroredImage(req.params.hash, req.params.name);
+    if (!image) return res.status(404).json({ error: 'Image not found' });
+    res.set('Content-Type', image.contentType);
+    res.set('Cache-Control', 'public, max-age=86400');
+    return res.sendFile(path.resolve(image.file));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// Every API route runs on behalf of an installed shop: requests must carry
+// a valid App Bridge session token (see lib/shopifyAuth.js), an API key
+// or a staff login (see lib/access.js), which set req.shopSession and
+// req.principal.  Each route then requires a role with requireRole().
+app.use('/api', authenticate({
+  loadShop: getShopInstall,
+  shopSession: requireShopSession({ loadShop: getShopInstall, onDenied: recordDenied })
+}));
+
 /*
  * Helpers to safely parse arrays or JSON strings. The Apify actor returns
  * some properties either as arrays, objects or strings with delimiters. To
@@ -419,9 +833,11 @@ function normalizeItem(item = {}) {
  * the attribute's name, containing the corresponding value.  This
  * allows the final export to include each attribute as its own column,
  * rather than generic attribute_1_name/value pairs.  Only attributes
- * that have a defined name are included.
+ * that have a defined name are included.  Column names always use the
+ * Romanian attribute names (NEW_METAFIELD_MAPPINGS relies on them);
+ * values are translated with `valueTranslations`.
  */
-function expandAttributesToColumns(item) {
+function expandAttributesToColumns(item, valueTranslations = VALUE_TRANSLATIONS) {
   const cols = {};
   // Attempt to parse the raw attributes from the item.  Attributes may be
   // provided as a plain object, a JSON string representing an object or
@@ -541,8 +957,8 @@ function expandAttributesToColumns(item) {
     const rawKey = rawName;
     const skipValueTranslation =
       rawKey === 'Colour' || rawKey === 'Colour (Manufacturer)';
-    if (!skipValueTranslation && VALUE_TRANSLATIONS.hasOwnProperty(shortVal)) {
-      translatedVal = VALUE_TRANSLATIONS[shortVal];
+    if (!skipValueTranslation && Object.prototype.hasOwnProperty.call(valueTranslations, shortVal)) {
+      translatedVal = valueTranslations[shortVal];
     }
     // Assign the translated (or original) short value to the column if not already set.
     if (!Object.prototype.hasOwnProperty.call(cols, name)) {
@@ -576,19 +992,41 @@ function toCsv(rows) {
   return lines.join('\n');
 }
 
+/*
+ * Flatten a nested dataset item into slash-separated keys the way
+ * Apify's CSV export does, e.g. { price: { total: { amount: 1 } } } →
+ * { 'price/total/amount': 1 } and { images: ['a'] } → { 'images/0': 'a' }.
+ */
+function flattenItem(value, prefix = '', out = {}) {
+  if (value && typeof value === 'object') {
+    const entries = Array.isArray(value) ? value.map((v, i) => [i, v]) : Object.entries(value);
+    if (entries.length === 0 && prefix) {
+      out[prefix] = '';
+    }
+    for (const [key, child] of entries) {
+      flattenItem(child, prefix ? `${prefix}/${key}` : String(key), out);
+    }
+    return out;
+  }
+  if (prefix) out[prefix] = value;
+  return out;
+}
+
 /*
  * Load a Shopify mapping file from Excel.  The mapping file should
  * contain two columns: "Shopify" and "Source".  Each row maps a
  * Shopify column name to a source field name.  Empty or missing
  * entries are ignored.  The returned object includes both a
  * dictionary (mapping) and an ordered array of Shopify column names
- * preserving the order they appear in the file.  If the file is not
- * found or cannot be parsed, an error is thrown.
+ * preserving the order they appear in the file.  A missing file is an
+ * HttpError(409) telling how to provide one; a file that cannot be
+ * parsed throws as well.
  */
 async function loadMapping() {
   const mappingPath = process.env.SHOPIFY_MAPPING_FILE || 'mapping.xlsx';
   if (!fs.existsSync(mappingPath)) {
-    throw new Error(`Mapping file not found at ${mappingPath}`);
+    throw new HttpError(409, `The template profile needs a mapping file, and none was found at ${mappingPath}. ` +
+      'Set SHOPIFY_MAPPING_FILE, or save an export profile with its own template columns (PUT /api/export-profiles/<name>).');
   }
   const workbook = new ExcelJS.Workbook();
   await workbook.xlsx.readFile(mappingPath);
@@ -646,12 +1084,11 @@ function extractKwHp(value, mode = 'kw') {
 }
 
 /*
- * Load the metafields mapping from an Excel file.  The mapping file should
- * contain a sheet named 'Metafields_Mapping' where each row has
- * 'Molbile.de' (the source field from the Apify dataset) and up to two
- * Shopify metafield columns (destinations).  This function returns an
- * array of mapping objects, each with a source and an array of dests.
- * If the file or sheet does not exist, an empty array is returned.
+ * Load the global metafields mapping from an Excel file (see
+ * lib/mapping.js for the layout), used by shops without a mapping of
+ * their own.  Returns an empty list when the file does not exist; a file
+ * without the Metafields_Mapping sheet or source column is reported as
+ * an error instead of silently mapping nothing.
  */
 async function loadMetafieldsMappingFile() {
   const fileName =
@@ -661,44 +1098,13 @@ async function loadMetafieldsMappingFile() {
   if (!fs.existsSync(fileName)) {
     return [];
   }
-  const workbook = new ExcelJS.Workbook();
-  await workbook.xlsx.readFile(fileName);
-  const sheet = workbook.getWorksheet('Metafields_Mapping');
-  if (!sheet) {
-    return [];
+  try {
+    return await readMappingFile(fileName);
+  } catch (err) {
+    const wrapped = new Error(`Metafields mapping file ${fileName}: ${err.message}`);
+    wrapped.status = 500;
+    throw wrapped;
   }
-  // Determine column indexes for source and two dest columns.
-  let sourceCol = -1;
-  let dest1Col = -1;
-  let dest2Col = -1;
-  sheet.getRow(1).eachCell((cell, colNumber) => {
-    const val = String(cell.value || '').trim().toLowerCase();
-    if (val.startsWith('molbile')) sourceCol = colNumber;
-    if (val.includes('shopify metafields 1')) dest1Col = colNumber;
-    if (val.includes('shopify metafields 2')) dest2Col = colNumber;
-  });
-  if (sourceCol === -1) return [];
-  const mappings = [];
-  sheet.eachRow((row, rowNumber) => {
-    if (rowNumber === 1) return;
-    const src = row.getCell(sourceCol).value
-      ? String(row.getCell(sourceCol).value).trim()
-      : '';
-    if (!src) return;
-    const dest1 = dest1Col > -1 && row.getCell(dest1Col).value
-      ? String(row.getCell(dest1Col).value).trim()
-      : '';
-    const dest2 = dest2Col > -1 && row.getCell(dest2Col).value
-      ? String(row.getCell(dest2Col).value).trim()
-      : '';
-    const dests = [];
-    if (dest1) dests.push(dest1);
-    if (dest2) dests.push(dest2);
-    if (dests.length) {
-      mappings.push({ source: src, dests });
-    }
-  });
-  return mappings;
 }
 
 /*
@@ -707,22 +1113,39 @@ async function loadMetafieldsMappingFile() {
  * metafield names, accumulates tags, generates default columns such as
  * Title, Variant SKU/ID, Image Src and Variant Price, and adds brand and
  * model to both metafields and tags.  It also handles special parsing
- * for power values (kW and hp).  The returned object represents a single
- * row for the final Shopify import.
+ * for power values (kW and hp).  `settings` are the requesting shop's
+ * settings (see lib/settings.js, resolveShopSettings()): Variant Price is
+ * derived with its pricing rules (see lib/pricing.js), descriptions and
+ * attribute values are translated for its locale, and the TVA metafield
+ * and Template Suffix take its defaults.  The returned object represents
+ * a single row for the final Shopify import.
  */
-function buildMetafieldsRow(item, mappingList) {
+function buildMetafieldsRow(item, mappingList, settings = DEFAULT_SETTINGS) {
   const row = {};
+  const pricingRules = settings.pricingRules || DEFAULT_PRICING_RULES;
+  const tr = translationsFor(settings.locale);
   const tagsSet = new Set();
-  // Apply mappings
+  // Apply mappings.  Sources are resolved on nested and flattened items
+  // alike (see lib/fieldPath.js); wildcard sources such as images/* yield
+  // all matches, joined into one cell or added as separate tags.
   mappingList.forEach(({ source, dests }) => {
-    const value = item ? item[source] : undefined;
-    if (value === undefined || value === null || value === '') return;
+    const resolved = resolveSource(item, source);
+    const value = pathValueToText(resolved);
+    if (value === '') return;
     dests.forEach((dest) => {
       if (!dest) return;
       const destTrim = dest.trim();
       // Tags accumulation
       if (destTrim === 'Tags') {
-        tagsSet.add(String(value));
+        (Array.isArray(resolved) ? resolved : [resolved])
+          .map((v) => pathValueToText(v))
+          .filter((v) => v !== '')
+          .forEach((v) => tagsSet.add(String(v)));
+        return;
+      }
+      // Multi-line metafields get one matched value per line.
+      if (destTrim.includes('[multi_line_text_field]') && Array.isArray(resolved)) {
+        row[destTrim] = pathValueToText(resolved, '\n');
         return;
       }
       // Image Alt Text
@@ -771,116 +1194,38 @@ function buildMetafieldsRow(item, mappingList) {
   }
   // Title
   row['Title'] = (item && item.title) ? String(item.title) : '';
-  // Handle: generate a slug from the title and ID.  The handle is
-  // lowercased, contains only alphanumerics and hyphens, and ends
-  // with the item ID to ensure uniqueness.  This mirrors Shopify’s
-  // handle generation logic used in mapItemToShopifyTemplate().
-  {
-    const rawTitle = (item && item.title ? String(item.title) : '').trim();
-    let slug = rawTitle
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-+|-+$/g, '');
-    const idStr = item && item.id !== undefined && item.id !== null ? String(item.id).trim() : '';
-    if (slug && idStr) slug = `${slug}-${idStr}`;
-    else if (idStr) slug = idStr;
-    row['Handle'] = slug;
-  }
+  // Handle: the shop's handle pattern, by default the transliterated
+  // title followed by the item ID (see lib/handles.js).
+  row['Handle'] = generateHandle(item, settings.handlePattern);
   // Variant SKU / ID
   const idVal = item && item.id !== undefined ? String(item.id) : '';
   row['Variant SKU'] = idVal;
   row['Variant ID'] = idVal;
-  // Variant Price: calculate from the price amount according to the business rule.
-  // The variant price should equal price.amount * 1.21 / 1.19.  We
-  // attempt to parse the numeric amount from the price object or
-  // related fields.  Commas are treated as decimal separators and
-  // spaces are removed.  If a valid number cannot be parsed, we
-  // leave the variant price untouched (either existing mapping or
+  // Variant Price: calculate from the price amount using the configured
+  // pricing rules (VAT conversion, commission band, fixed fee and
+  // rounding; see lib/pricing.js).  If a valid number cannot be parsed,
+  // we leave the variant price untouched (either existing mapping or
   // blank).
   {
-    // Determine the source amount string from the item.  Prefer
-    // item.price.amount, then item.price.total.amount, then
-    // item.price.value, then price/total/amount field.
-    let amountStr = '';
-    if (item && item.price && typeof item.price === 'object' && item.price !== null) {
-      if (item.price.amount) amountStr = String(item.price.amount);
-      else if (item.price.total && item.price.total.amount) amountStr = String(item.price.total.amount);
-      else if (item.price.value) amountStr = String(item.price.value);
-    }
-    if (!amountStr && item && item['price/total/amount']) {
-      amountStr = String(item['price/total/amount']);
-    }
-    // Clean the amount: remove currency symbols and spaces.
-    let numVal = NaN;
-    if (amountStr) {
-      // Replace comma with dot for decimal, remove thousands separators (dots or commas) and spaces.
-      // e.g. "15,873.11" -> "15873.11", "15873,11" -> "15873.11".
-      let cleaned = amountStr
-        .replace(/\s+/g, '')
-        .replace(/[€£$]/g, '')
-        .trim();
-      // If the string has both comma and dot, assume comma is thousands sep; remove commas.
-      if (cleaned.includes(',') && cleaned.includes('.')) {
-        cleaned = cleaned.replace(/,/g, '');
-      }
-      // If only comma exists, treat it as decimal separator.
-      if (!cleaned.includes('.') && cleaned.includes(',')) {
-        cleaned = cleaned.replace(/,/g, '.');
-      }
-      // Remove any non-digit/dot characters (e.g. "km", "ccm", etc.) at end
-      cleaned = cleaned.match(/[0-9.]+/)
-        ? cleaned.match(/[0-9.]+/)[0]
-        : cleaned;
-      numVal = parseFloat(cleaned);
-    }
-    if (!isNaN(numVal) && numVal > 0) {
-      // First compute price adjusted for VAT difference
-      let priceWithVatAdj = (numVal * 1.21) / 1.19;
-      // Determine extra commission based on original amount before VAT adjustment.
-      // Commission thresholds are applied on the raw amount (numVal) per the user specification.
-      let commissionRate = 0;
-      const amt = numVal;
-      if (amt < 25000) commissionRate = 0.095; // <25k → 9.50%
-      else if (amt < 40000) commissionRate = 0.075; // 25k–<40k → 7.50%
-      else if (amt < 60000) commissionRate = 0.065; // 40k–<60k → 6.50%
-      else if (amt < 90000) commissionRate = 0.055; // 60k–<90k → 5.50%
-      else if (amt < 250000) commissionRate = 0.045; // 90–<250k → 4.50%
-      else commissionRate = 0.035; // ≥250k → 3.50%
-      // Apply commission
-      priceWithVatAdj = priceWithVatAdj * (1 + commissionRate);
-      // Round to two decimals
-      const rounded = Math.round(priceWithVatAdj * 100) / 100;
-      row['Variant Price'] = rounded.toString();
-    } else {
+    const priced = computeVariantPrice(item, pricingRules);
+    if (priced) {
+      row['Variant Price'] = priced.price.toString();
+    } else if (!row['Variant Price']) {
       // If no number could be parsed and the row already has a Variant Price from mapping
       // or previous logic, leave it as-is. Otherwise leave blank.
-      if (!row['Variant Price']) {
-        row['Variant Price'] = '';
-      }
+      row['Variant Price'] = '';
     }
   }
   // Vendor: if not filled, set to sellerId if available.
   if (!row['Vendor'] && item && item.sellerId !== undefined) {
     row['Vendor'] = String(item.sellerId);
   }
-  // Image Src: pick the first available image field.
+  // Image Src: pick the first available image (images/0, images/1, …
+  // flattened or nested; entries may be { url } or { src } objects).
   let img = '';
-  if (item) {
-    for (let i = 0; i < 50; i++) {
-      const key = `images/${i}`;
-      if (item[key]) {
-        img = item[key];
-        break;
-      }
-    }
-    if (!img && Array.isArray(item.images) && item.images.length > 0) {
-      const firstImg = item.images[0];
-      if (typeof firstImg === 'object' && firstImg !== null) {
-        img = firstImg.url || firstImg.src || '';
-      } else {
-        img = String(firstImg);
-      }
-    }
+  for (const candidate of resolvePathAll(item, 'images/*')) {
+    img = candidate && typeof candidate === 'object' ? (candidate.url || candidate.src || '') : String(candidate || '');
+    if (img) break;
   }
   row['Image Src'] = img;
   // Image Alt Text: default to title if not explicitly set.
@@ -922,8 +1267,8 @@ function buildMetafieldsRow(item, mappingList) {
             .map((v) => {
               const sv = v === undefined || v === null ? '' : String(v).trim();
               if (!skipTranslationForValue) {
-                const tr = VALUE_TRANSLATIONS[sv];
-                if (tr) return tr;
+                const translated = tr.values[sv];
+                if (translated) return translated;
               }
               return sv;
             })
@@ -931,9 +1276,9 @@ function buildMetafieldsRow(item, mappingList) {
         } else {
           const sv = val === undefined || val === null ? '' : String(val).trim();
           // Only translate if not excluded and an exact translation exists
-          const tr = !skipTranslationForValue ? VALUE_TRANSLATIONS[sv] : undefined;
-          if (tr) {
-            text = tr;
+          const translated = !skipTranslationForValue ? tr.values[sv] : undefined;
+          if (translated) {
+            text = translated;
           } else {
             // If the value contains commas, attempt to translate each part separately.
             if (!skipTranslationForValue && sv.includes(',')) {
@@ -941,7 +1286,7 @@ function buildMetafieldsRow(item, mappingList) {
                 .split(',')
                 .map((p) => {
                   const part = p.trim();
-                  const trPart = VALUE_TRANSLATIONS[part];
+                  const trPart = tr.values[part];
                   return trPart || part;
                 })
                 .join(', ');
@@ -950,8 +1295,8 @@ function buildMetafieldsRow(item, mappingList) {
             }
           }
         }
-        // Translate attribute name to Romanian if available.
-        const roKey = ATTR_TRANSLATIONS[key] || key;
+        // Translate attribute name for the locale if available.
+        const roKey = tr.attrs[key] || key;
         attrEntries.push(`<li><strong>${roKey}:</strong> ${text}</li>`);
       }
     }
@@ -965,7 +1310,7 @@ function buildMetafieldsRow(item, mappingList) {
       return String(f);
     }).filter(Boolean);
     featEntries = feats.map((f) => {
-      const roFeat = FEATURE_TRANSLATIONS[f] || f;
+      const roFeat = tr.features[f] || f;
       return `<li>${roFeat}</li>`;
     });
   }
@@ -976,10 +1321,10 @@ function buildMetafieldsRow(item, mappingList) {
   // already been translated and wrapped in <li> tags.
   let bodyHtmlParts = [];
   if (attrEntries.length > 0) {
-    bodyHtmlParts.push(`<p><strong>Date tehnice:</strong></p><ul>${attrEntries.join('')}</ul>`);
+    bodyHtmlParts.push(`<p><strong>${tr.labels.attributes}:</strong></p><ul>${attrEntries.join('')}</ul>`);
   }
   if (featEntries.length > 0) {
-    bodyHtmlParts.push(`<p><strong>Dotari:</strong></p><ul>${featEntries.join('')}</ul>`);
+    bodyHtmlParts.push(`<p><strong>${tr.labels.features}:</strong></p><ul>${featEntries.join('')}</ul>`);
   }
   if (bodyHtmlParts.length === 2) {
     row['Body HTML'] = `${bodyHtmlParts[0]}<hr>${bodyHtmlParts[1]}`;
@@ -995,7 +1340,7 @@ function buildMetafieldsRow(item, mappingList) {
   // attribute data in a human-readable form alongside metafields.  The
   // mapping-based columns are left intact.  We merge after all
   // other fields to avoid overriding any explicitly mapped fields.
-  const attributeColumns = expandAttributesToColumns(item);
+  const attributeColumns = expandAttributesToColumns(item, tr.values);
   Object.keys(attributeColumns).forEach((key) => {
     // Only add if the key is not already used in the row.
     if (!Object.prototype.hasOwnProperty.call(row, key)) {
@@ -1031,22 +1376,8 @@ function buildMetafieldsRow(item, mappingList) {
   // from the nested price object if available, or use the dot-notated
   // property from the dataset.  This column preserves the original
   // amount before VAT and provides visibility into the net price.
-  let priceNoVat = '';
-  if (item) {
-    // Check nested object structure first
-    if (
-      typeof item.price === 'object' &&
-      item.price !== null &&
-      item.price.withoutVAT &&
-      typeof item.price.withoutVAT === 'object'
-    ) {
-      priceNoVat = item.price.withoutVAT.amount || '';
-    }
-    // Fallback to dot-notated property
-    if (!priceNoVat && Object.prototype.hasOwnProperty.call(item, 'price/withoutVAT/amount')) {
-      priceNoVat = item['price/withoutVAT/amount'];
-    }
-  }
+  // Nested (price.withoutVAT.amount) or flattened key.
+  const priceNoVat = resolvePath(item, 'price/withoutVAT/amount');
   row['price/withoutVAT/amount'] = priceNoVat || '';
 
   // Extract power values from attributes.  If the raw attributes
@@ -1124,15 +1455,12 @@ function buildMetafieldsRow(item, mappingList) {
         // ignore parse errors
       }
     }
-    // 2) Parse enumerated feature fields (features/0..features/99)
-    for (let i = 0; i < 100; i++) {
-      const key = `features/${i}`;
-      if (Object.prototype.hasOwnProperty.call(item, key)) {
-        const val = item[key];
-        if (val) {
-          allFeatures.push(String(val));
-        }
-      }
+    // 2) Without a `features` field, collect the flattened feature keys
+    // (features/0, features/1, …).
+    if (!item.features) {
+      resolvePathAll(item, 'features/*').forEach((val) => {
+        if (val) allFeatures.push(String(val));
+      });
     }
     // Normalize feature strings and search for drive patterns.
     for (const feat of allFeatures) {
@@ -1157,20 +1485,18 @@ function buildMetafieldsRow(item, mappingList) {
   // === VAT/TVA classification ===
   // The `Metafield: custom.tva [single_line_text_field]` represents the
   // tax status of the vehicle.  Shopify expects the value to be one of
-  // "Deductibile" or "Non Deductibile".  According to current
-  // business rules, all exported vehicles should be marked as
-  // "Deductibile" by default.  Set the field accordingly.  If
+  // "Deductibile" or "Non Deductibile".  Every exported vehicle gets the
+  // shop's default (tvaDefault, "Deductibile" unless configured).  If
   // future requirements call for conditional logic (e.g. based on
   // VAT presence), adjust this assignment here.
-  row['Metafield: custom.tva [single_line_text_field]'] = 'Deductibile';
+  row['Metafield: custom.tva [single_line_text_field]'] = settings.tvaDefault || DEFAULT_SETTINGS.tvaDefault;
 
   // === Template Suffix ===
-  // Add a default template suffix for Shopify product import.  This
-  // value determines which Liquid template (without the .liquid
-  // extension) is used to render the product page.  We default to
-  // "produs_servicii" per the user’s requirement.  Change this
-  // string if your theme uses a different suffix.
-  row['Template Suffix'] = 'produs_servicii';
+  // Add a template suffix for Shopify product import.  This value
+  // determines which Liquid template (without the .liquid extension)
+  // is used to render the product page.  It comes from the shop's
+  // settings and defaults to "produs_servicii".
+  row['Template Suffix'] = settings.templateSuffix ?? DEFAULT_SETTINGS.templateSuffix;
   return row;
 }
 
@@ -1189,11 +1515,19 @@ function buildMetafieldsRow(item, mappingList) {
  *
  * @param {Array} items The raw Apify dataset items.
  * @param {Array} mappingList The list of source→dest metafield mappings loaded from the Excel file.
+ * @param {Object} [settings] The shop's settings from resolveShopSettings()
+ *   (pricing rules, locale, TVA default and template suffix).
+ * @param {Map} [priceHistory] Listing ID → price observations from
+ *   getHistories(); when given, fills the custom.istoric_pret metafield.
  * @returns {Array} An array of rows ready for Shopify import.
  */
-function mapDatasetToMetafields(items, mappingList) {
+function mapDatasetToMetafields(items, mappingList, settings = DEFAULT_SETTINGS, priceHistory) {
   return items.map((item) => {
-    const row = buildMetafieldsRow(item, mappingList);
+    const row = buildMetafieldsRow(item, mappingList, settings);
+    if (priceHistory) {
+      const observations = priceHistory.get(String(item.id ?? '').trim());
+      row['Metafield: custom.istoric_pret [multi_line_text_field]'] = formatPriceHistory(observations);
+    }
     return mapToNewMetafields(row);
   });
 }
@@ -1204,18 +1538,13 @@ function mapDatasetToMetafields(items, mappingList) {
  * certain metafields are generated dynamically.  Any Shopify columns
  * not present in the mapping will be left empty.
  */
-function mapItemToShopifyTemplate(item, mapping) {
+function mapItemToShopifyTemplate(item, mapping, handlePattern = '') {
   const row = {};
-  // Precompute normalised base fields and slug for handle.
+  // Precompute normalised base fields and the handle.
   const base = normalizeItem(item);
   const rawTitle = (item.title || '').toString().trim();
-  let slug = rawTitle
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '');
+  const slug = generateHandle(item, handlePattern);
   const idStr = item.id !== undefined && item.id !== null ? String(item.id).trim() : '';
-  if (slug && idStr) slug = `${slug}-${idStr}`;
-  else if (idStr) slug = idStr;
   // Tags combine brand and model if available.
   const tags = [item.brand, item.model]
     .filter((v) => v && String(v).trim())
@@ -1275,24 +1604,21 @@ function mapItemToShopifyTemplate(item, mapping) {
       row[shopifyCol] = featuresHtml || '';
     } else if (shopifyCol === 'Metafield: custom.cilindree [single_line_text_field]') {
       // Try to extract cylinder volume from a field or attributes.
-      const fieldName = sourceField;
-      const val = item[fieldName] || '';
+      const val = resolvePath(item, sourceField) || '';
       row[shopifyCol] = extractNumber(val);
     } else if (shopifyCol === 'Metafield: custom.kilometraj [single_line_text_field]') {
-      const fieldName = sourceField;
-      const val = item[fieldName] || '';
+      const val = resolvePath(item, sourceField) || '';
       row[shopifyCol] = extractNumber(val);
     } else if (shopifyCol === 'Metafield: custom.putere_kw [single_line_text_field]') {
-      const fieldName = sourceField;
-      const val = item[fieldName] || '';
+      const val = resolvePath(item, sourceField) || '';
       row[shopifyCol] = extractKwHp(val, 'kw');
     } else if (shopifyCol === 'Metafield: custom.putere_cp [single_line_text_field]') {
-      const fieldName = sourceField;
-      const val = item[fieldName] || '';
+      const val = resolvePath(item, sourceField) || '';
       row[shopifyCol] = extractKwHp(val, 'cp');
     } else {
-      // Generic mapping: copy value from dataset if exists, otherwise empty.
-      row[shopifyCol] = item.hasOwnProperty(sourceField) ? item[sourceField] : '';
+      // Generic mapping: copy value from dataset if exists (nested or
+      // flattened path, see lib/fieldPath.js), otherwise empty.
+      row[shopifyCol] = pathValueToText(resolveSource(item, sourceField));
     }
   }
   return row;
@@ -1307,22 +1633,13 @@ function mapItemToShopifyTemplate(item, mapping) {
  * additional fields derived from the raw dataset (e.g. generating a
  * slugified handle and concatenating description with feature lists).
  */
-function mapToShopify(item) {
+function mapToShopify(item, handlePattern = '') {
   // Normalise to get clean arrays and price info.
   const base = normalizeItem(item);
-  // Generate a slug for the handle: lower-case, hyphenated title + id.
+  // Handle from the shop's pattern, by default title + id (lib/handles.js).
   const rawTitle = (item.title || '').toString().trim();
-  let slug = rawTitle
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '');
-  // Append the unique id to ensure uniqueness.
+  const slug = generateHandle(item, handlePattern);
   const idStr = item.id !== undefined && item.id !== null ? String(item.id).trim() : '';
-  if (slug && idStr) {
-    slug = `${slug}-${idStr}`;
-  } else if (idStr) {
-    slug = idStr;
-  }
   // Tags: combine segment and category when available.
   const tags = [item.segment, item.category]
     .filter((v) => v && String(v).trim())
@@ -1392,669 +1709,2350 @@ function mapToShopify(item) {
 }
 
 /*
- * GET /api/shopify-results
- *
- * Build a Shopify-importable dataset from a completed run.  This endpoint
- * accepts the runId and returns either JSON, CSV or Excel data.  Each
- * record is mapped to include the core Shopify columns (Handle, Title,
- * Body HTML, Tags, Image Src, Variant SKU, Variant Price) along with
- * the normalised images, features and attributes fields.
+ * Error carrying an HTTP status (and optional detail payload) so that
+ * helpers shared by several routes can report upstream failures with the
+ * right status code.
  */
-app.get('/api/shopify-results', async (req, res) => {
-  try {
-    const { runId, format = 'csv' } = req.query;
-    if (!runId) {
-      return res.status(400).json({ error: 'runId query parameter is required' });
-    }
-    const token = process.env.APIFY_TOKEN || process.env.APIFY_API_TOKEN;
-    if (!token) {
-      return res.status(500).json({ error: 'APIFY_TOKEN or APIFY_API_TOKEN must be set' });
-    }
-    // Fetch run details to get dataset ID.
-    const runResp = await fetch(`https://api.apify.com/v2/actor-runs/${runId}`, {
-      headers: { 'Authorization': `Bearer ${token}` }
-    });
-    const runData = await runResp.json();
-    if (!runResp.ok) {
-      return res.status(runResp.status).json({ error: runData.error || 'Failed to fetch run details', detail: runData });
-    }
-    const datasetId = runData.data?.defaultDatasetId || runData.defaultDatasetId;
-    if (!datasetId) {
-      return res.status(404).json({ error: 'Dataset ID not found for this run. Make sure the run has finished successfully.' });
-    }
-    // Fetch dataset items as JSON.
-    const itemsResp = await fetch(`https://api.apify.com/v2/datasets/${datasetId}/items?clean=true&format=json`, {
-      headers: { 'Authorization': `Bearer ${token}` }
-    });
-    const jsonItems = await itemsResp.json();
-    const items = Array.isArray(jsonItems) ? jsonItems : [];
-    // Load metafields mapping and map each item.
-    const mappingList = await loadMetafieldsMappingFile();
-    const mapped = mapDatasetToMetafields(items, mappingList);
-    const fmt = String(format).toLowerCase();
-    if (fmt === 'json') {
-      return res.json(mapped);
-    } else if (fmt === 'csv') {
-      const csv = toCsv(mapped);
-      res.set('Content-Type', 'text/csv');
-      res.set('Content-Disposition', `attachment; filename="${runId}-shopify.csv"`);
-      return res.send(csv);
-    } else if (fmt === 'xlsx') {
-      const workbook = new ExcelJS.Workbook();
-      const sheet = workbook.addWorksheet('Shopify');
-      // Determine headers
-      const headerSet = new Set();
-      mapped.forEach((row) => {
-        Object.keys(row).forEach((k) => headerSet.add(k));
-      });
-      const headers = Array.from(headerSet);
-      sheet.addRow(headers);
-      mapped.forEach((row) => {
-        const line = headers.map((h) => row[h] ?? '');
-        sheet.addRow(line);
-      });
-      const buffer = await workbook.xlsx.writeBuffer();
-      res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-      res.set('Content-Disposition', `attachment; filename="${runId}-shopify.xlsx"`);
-      return res.send(Buffer.from(buffer));
-    }
-    return res.status(400).json({ error: 'Unsupported format. Use json, csv or xlsx.' });
-  } catch (err) {
-    return res.status(500).json({ error: err.message });
+class HttpError extends Error {
+  constructor(status, message, detail) {
+    super(message);
+    this.status = status;
+    this.detail = detail;
   }
-});
+}
 
 /*
- * GET /api/normalize-results
- *
- * Normalize a dataset from a completed crawl.  This endpoint fetches
- * raw items from the dataset associated with the given runId, applies
- * the normalizeItem() helper to flatten arrays and objects into simple
- * fields (images, features, attributes), and returns the normalized
- * data in the requested format (json, csv or xlsx).  This allows
- * users to perform step‑by‑step processing: first crawl, then
- * normalize, then optionally map to Shopify.  The run must be
- * finished before calling this endpoint.
+ * Send an error as JSON, using the status of an HttpError or 500.
  */
-app.get('/api/normalize-results', async (req, res) => {
-  try {
-    const { runId, format = 'json' } = req.query;
-    if (!runId) {
-      return res.status(400).json({ error: 'runId query parameter is required' });
-    }
-    const token = process.env.APIFY_TOKEN || process.env.APIFY_API_TOKEN;
-    if (!token) {
-      return res.status(500).json({ error: 'APIFY_TOKEN or APIFY_API_TOKEN must be set' });
-    }
-    // Fetch run details to get the default dataset ID
-    const runResp = await fetch(`https://api.apify.com/v2/actor-runs/${runId}`, {
-      headers: { 'Authorization': `Bearer ${token}` }
-    });
-    const runData = await runResp.json();
-    if (!runResp.ok) {
-      return res.status(runResp.status).json({ error: runData.error || 'Failed to fetch run details', detail: runData });
-    }
-    const datasetId = runData.data?.defaultDatasetId || runData.defaultDatasetId;
-    if (!datasetId) {
-      return res.status(404).json({ error: 'Dataset ID not found for this run. Ensure the run has finished.' });
-    }
-    // Load raw items from the dataset.
-    const itemsResp = await fetch(`https://api.apify.com/v2/datasets/${datasetId}/items?clean=true&format=json`, {
-      headers: { 'Authorization': `Bearer ${token}` }
-    });
-    const rawItems = await itemsResp.json();
-    const items = Array.isArray(rawItems) ? rawItems : [];
-    // Normalize each item.
-    const normalized = items.map((itm) => normalizeItem(itm));
-    const fmt = String(format).toLowerCase();
-    if (fmt === 'json') {
-      return res.json(normalized);
-    }
-    if (fmt === 'csv') {
-      const csv = toCsv(normalized);
-      res.set('Content-Type', 'text/csv');
-      res.set('Content-Disposition', `attachment; filename="${runId}-normalized.csv"`);
-      return res.send(csv);
-    }
-    if (fmt === 'xlsx') {
-      const workbook = new ExcelJS.Workbook();
-      const worksheet = workbook.addWorksheet('Normalized');
-      // Determine headers from normalized objects
-      const headerSet = new Set();
-      normalized.forEach((row) => Object.keys(row).forEach((k) => headerSet.add(k)));
-      const headers = Array.from(headerSet);
-      worksheet.addRow(headers);
-      normalized.forEach((row) => {
-        const line = headers.map((h) => row[h] ?? '');
-        worksheet.addRow(line);
-      });
-      const buffer = await workbook.xlsx.writeBuffer();
-      res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-      res.set('Content-Disposition', `attachment; filename="${runId}-normalized.xlsx"`);
-      return res.send(Buffer.from(buffer));
-    }
-    return res.status(400).json({ error: 'Unsupported format. Use json, csv or xlsx.' });
-  } catch (err) {
-    return res.status(500).json({ error: err.message });
+function sendError(res, err) {
+  const body = { error: err.message };
+  if (err.detail !== undefined) body.detail = err.detail;
+  return res.status(err.status || 500).json(body);
+}
+
+/*
+ * Make sure the authenticated shop may see a run: it must have been
+ * started by that shop.  Runs of other shops are reported as missing.
+ * Without a session (authentication disabled) every run is accessible.
+ */
+async function ensureRunAccess(session, runId) {
+  if (!session) return;
+  const run = await getRun(runId);
+  if (!run || run.shop !== session.shop) {
+    throw new HttpError(404, 'Run not found');
   }
-});
+}
 
 /*
- * GET /api/images-exploded
- *
- * Produce a long-format list of images for each product variant.  Each
- * record includes the variant SKU, handle and image link.  The variant
- * SKU is derived from the dataset's "id" field, and the handle is
- * generated in the same way as mapToShopify().  A single product with
- * multiple images will produce multiple rows.  Supported formats are
- * json, csv and xlsx.
+ * Load the dataset items of a run.  Items are served from the local
+ * snapshot (lib/snapshots.js) when one exists; otherwise, or when
+ * `refresh` is set, the run and its dataset are fetched from Apify
+ * through lib/apify.js (retries and pagination are handled there).
+ * Datasets of succeeded runs are snapshotted so later exports do not
+ * hit Apify again, their prices are added to the per-listing price
+ * history and listings exported from earlier runs of the same search are
+ * checked for disappearance (lib/listingStatus.js).  When `session` is
+ * given the run must belong to its shop.
+ * Items are returned in the app's shape, converted by the adapter the
+ * run was started with (lib/actorAdapters.js); `raw` returns them as the
+ * actor delivered them.  Snapshots always hold the actor's items.
+ * Resolves to { items, datasetId, fromSnapshot }.
  */
-app.get('/api/images-exploded', async (req, res) => {
-  try {
-    const { runId, format = 'csv' } = req.query;
-    if (!runId) {
-      return res.status(400).json({ error: 'runId query parameter is required' });
-    }
-    const token = process.env.APIFY_TOKEN || process.env.APIFY_API_TOKEN;
-    if (!token) {
-      return res.status(500).json({ error: 'APIFY_TOKEN or APIFY_API_TOKEN must be set' });
+async function loadRunItems(runId, { refresh = false, session = null, raw = false } = {}) {
+  await ensureRunAccess(session, runId);
+  const record = await getRun(runId);
+  const adapt = (items) => (raw ? items : adaptRunItems(record, items));
+  if (!refresh) {
+    const snapshot = await readSnapshot(runId);
+    if (snapshot) {
+      return { items: adapt(snapshot.items), datasetId: snapshot.datasetId, fromSnapshot: true };
     }
-    // Fetch run details to get dataset ID.
-    const runResp = await fetch(`https://api.apify.com/v2/actor-runs/${runId}`, {
-      headers: { 'Authorization': `Bearer ${token}` }
-    });
-    const runData = await runResp.json();
-    if (!runResp.ok) {
-      return res.status(runResp.status).json({ error: runData.error || 'Failed to fetch run details', detail: runData });
-    }
-    const datasetId = runData.data?.defaultDatasetId || runData.defaultDatasetId;
-    if (!datasetId) {
-      return res.status(404).json({ error: 'Dataset ID not found for this run. Make sure the run has finished successfully.' });
+  }
+  // The run lives in the Apify account of the shop that started it.
+  const settings = await resolveShopSettings(record ? record.shop : (session ? session.shop : ''));
+  const apify = getApifyClient(settings.apify);
+  const run = await apify.getRun(runId);
+  const datasetId = run.defaultDatasetId;
+  if (!datasetId) {
+    throw new HttpError(404, 'Dataset ID not found for this run. Make sure the run has finished successfully.');
+  }
+  const items = await apify.getDatasetItems(datasetId);
+  // Only finished runs are snapshotted; a running crawl is still growing.
+  if (run.status === 'SUCCEEDED') {
+    const entry = await writeSnapshot(runId, datasetId, items);
+    await updateRun(runId, { itemCount: items.length, snapshotAt: entry.createdAt });
+    const adapted = adaptRunItems(record, items);
+    await recordObservations(runId, adapted, run.finishedAt || entry.createdAt, record ? record.shop : null);
+    if (record && record.searchUrl) {
+      await recordRunListings(record.shop, record.searchUrl, runId, adapted, record.startedAt);
     }
-    // Fetch dataset items as JSON.
-    const itemsResp = await fetch(`https://api.apify.com/v2/datasets/${datasetId}/items?clean=true&format=json`, {
-      headers: { 'Authorization': `Bearer ${token}` }
+  }
+  return { items: adapt(items), datasetId, fromSnapshot: false };
+}
+
+/*
+ * Convert a run's dataset items to the app's item shape with the adapter
+ * the run was started with.  Runs recorded before adapters existed (or
+ * not started through this app) use the default adapter.
+ */
+function adaptRunItems(record, items) {
+  const name = record && ACTOR_ADAPTERS[record.actorAdapter] ? record.actorAdapter : '';
+  return items.map(getActorAdapter(name).normalizeItem);
+}
+
+// Export formats supported by every download endpoint.
+const EXPORT_FORMATS = new Set(['json', 'csv', 'xlsx']);
+
+// Image layouts of the Shopify exports: the first image in the product
+// row only, or Shopify's native extra row per image (lib/shopifyCsv.js).
+const IMAGE_LAYOUTS = new Set(['first', 'rows']);
+
+/*
+ * Image URLs of an item in gallery order: normalizeItem()'s images_json,
+ * or the slash-flattened images/N keys.
+ */
+function itemImageUrls(item) {
+  const urls = JSON.parse(normalizeItem(item).images_json).filter(Boolean);
+  return urls.length ? urls : extractImageUrls(item);
+}
+
+/*
+ * Base URL of hosted (mirrored) images: IMAGE_PUBLIC_URL, else
+ * SHOPIFY_APP_URL, else the origin of the request.
+ */
+function imageBaseUrl(req) {
+  return process.env.IMAGE_PUBLIC_URL || process.env.SHOPIFY_APP_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+/*
+ * Apply the image options of the Shopify exports to product rows:
+ * `mirror` swaps mirrored images for their hosted URLs below `baseUrl`
+ * (see imageBaseUrl()) and `images` ('first' or 'rows') chooses the
+ * layout (see lib/shopifyCsv.js).
+ */
+async function layoutImages(products, items, { images = 'first', mirror = false, baseUrl }) {
+  const originals = items.map(itemImageUrls);
+  let imageLists = originals;
+  if (mirror) {
+    imageLists = await hostedImageLists(products.map((row) => row['Handle']), originals, baseUrl);
+    products.forEach((row, idx) => {
+      if (row['Image Src'] && row['Image Src'] === originals[idx][0]) row['Image Src'] = imageLists[idx][0];
     });
-    const jsonItems = await itemsResp.json();
-    const items = Array.isArray(jsonItems) ? jsonItems : [];
-    const records = [];
-    for (const item of items) {
-      const base = normalizeItem(item);
-      const rawTitle = (item.title || '').toString().trim();
-      let slug = rawTitle
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, '-')
-        .replace(/^-+|-+$/g, '');
-      const idStr = item.id !== undefined && item.id !== null ? String(item.id).trim() : '';
-      if (slug && idStr) slug = `${slug}-${idStr}`;
-      else if (idStr) slug = idStr;
-      // Collect image URLs.
-      let images = [];
-      try {
-        images = base.images_json ? JSON.parse(base.images_json) : [];
-      } catch {
-        images = [];
-      }
-      // If no images found in normalised structure, check raw images array.
-      if (images.length === 0 && Array.isArray(item.images)) {
-        images = item.images.map((img) => {
-          if (img && typeof img === 'object') return img.url || img.src || '';
-          return String(img);
-        });
-      }
-      images.forEach((link) => {
-        if (link) {
-          records.push({
-            'Variant SKU': idStr,
-            Handle: slug,
-            'Image Src': link
-          });
-        }
-      });
+  }
+  return images === 'rows' ? expandImageRows(products, imageLists) : products;
+}
+
+/*
+ * Record a downloaded export in the run history (see lib/runs.js).
+ * Failures are logged but never block the download itself.
+ */
+async function trackExport(runId, type, format, itemCount) {
+  try {
+    await recordRunExport(runId, type, format, itemCount);
+  } catch (err) {
+    console.error(`Failed to record ${type} export for run ${runId}: ${err.message}`);
+  }
+}
+
+/*
+ * Register the SKUs of Shopify rows exported or pushed from a run, so
+ * that they are checked against later runs of the same search, their
+ * handles for collision checks and, with the dataset `items` the rows
+ * were built from, their vehicles for duplicate detection.  Runs not
+ * started through this app have no search to attach to and only their
+ * handles and vehicles are recorded.  Failures are logged but never
+ * block the export itself.
+ */
+async function trackExportedRows(runId, rows, items) {
+  try {
+    const run = await getRun(runId);
+    await recordExportedHandles(run ? run.shop : '', runId, rows);
+    await recordExportedVehicles(run ? run.shop : '', runId, rows.map((row, idx) => ({
+      sku: row['Variant SKU'] ? String(row['Variant SKU']) : '',
+      handle: row['Handle'],
+      listingId: itemSku(items[idx]),
+      signature: itemVehicleSignature(items[idx])
+    })));
+    if (!run || !run.searchUrl) return;
+    await trackExportedListings(run.shop, run.searchUrl, runId, rows, run.startedAt, items.map(itemSku));
+  } catch (err) {
+    console.error(`Failed to track exported listings of run ${runId}: ${err.message}`);
+  }
+}
+
+/*
+ * Shop whose settings (lib/settings.js) apply to a request: the
+ * authenticated shop, or '' (the single local shop) when authentication
+ * is disabled.
+ */
+function requestShop(req) {
+  return req.shopSession ? req.shopSession.shop : '';
+}
+
+/*
+ * Shop whose product links (lib/productLinks.js) apply to a request: the
+ * authenticated shop, or SHOPIFY_SHOP when authentication is disabled.
+ */
+function productLinkShop(req) {
+  return req.shopSession ? req.shopSession.shop : (process.env.SHOPIFY_SHOP || '');
+}
+
+/*
+ * Row builders of the built-in export profiles (see
+ * lib/exportProfiles.js), keyed by profile name.  Each receives the
+ * dataset items and { settings, session, profile } and resolves to the
+ * Shopify rows.
+ */
+const EXPORT_PROFILE_BUILDERS = {
+  simple: async (items, { settings }) => items.map((item) => mapToShopify(item, settings.handlePattern)),
+  // Column → source pairs of the profile, else of SHOPIFY_MAPPING_FILE;
+  // the columns keep the order of the template.
+  template: async (items, { settings, profile }) => {
+    let mapping;
+    if (profile.template) {
+      mapping = {};
+      profile.template.forEach(({ column, source }) => { mapping[column] = source; });
+    } else {
+      ({ mapping } = await loadMapping());
+    }
+    return items.map((item) => mapItemToShopifyTemplate(item, mapping, settings.handlePattern));
+  },
+  // The shop's metafields mapping (global file as fallback), pricing
+  // rules, locale, TVA default, template suffix and price history.
+  metafields: async (items, { settings, session, profile }) => {
+    const mappingList = profile.mapping || settings.metafieldsMapping || await loadMetafieldsMappingFile();
+    const priceHistory = await getHistories(items.map((item) => item.id), { shop: session ? session.shop : undefined });
+    return mapDatasetToMetafields(items, mappingList, settings, priceHistory);
+  }
+};
+
+// Items mapped per step by buildShopifyRows() when it reports progress.
+const ROW_CHUNK_SIZE = 250;
+
+/*
+ * Map dataset items to Shopify rows with an export profile (the default
+ * profile when `profileName` is empty) and the shop's settings.  Unknown
+ * profiles are rejected with 400.  Handles that collide with another
+ * listing's (see lib/handles.js) are numbered; pass a `handleCollisions`
+ * array to collect the renames.  With `onProgress(done, total)` the items
+ * are mapped ROW_CHUNK_SIZE at a time, letting other requests through in
+ * between (background export jobs).  Shared by the Shopify exports and
+ * the direct store push.
+ */
+async function buildShopifyRows(items, session = null, profileName = DEFAULT_EXPORT_PROFILE, { handleCollisions, onProgress } = {}) {
+  const shop = session ? session.shop : '';
+  const settings = await resolveShopSettings(shop);
+  const profile = findExportProfile(profileName, settings.exportProfiles);
+  const build = EXPORT_PROFILE_BUILDERS[profile.base];
+  let rows;
+  if (onProgress) {
+    rows = [];
+    for (let start = 0; start < items.length; start += ROW_CHUNK_SIZE) {
+      rows.push(...await build(items.slice(start, start + ROW_CHUNK_SIZE), { settings, session, profile }));
+      onProgress(rows.length, items.length);
+      await new Promise((resolve) => setImmediate(resolve));
     }
-    const fmt = format.toLowerCase();
+  } else {
+    rows = await build(items, { settings, session, profile });
+  }
+  const collisions = await resolveHandleCollisions(shop, rows);
+  if (handleCollisions) handleCollisions.push(...collisions);
+  return profile.columns ? rows.map((row) => selectColumns(row, profile.columns)) : rows;
+}
+
+/*
+ * Options of the quality checks (lib/qualityReport.js) for a request:
+ * `maxTitleLength` from the query string, and the technical data
+ * headings of every export language.  Throws an HttpError(400) for an
+ * invalid length.
+ */
+function qualityOptions(params = {}) {
+  let maxTitleLength = DEFAULT_MAX_TITLE_LENGTH;
+  if (params.maxTitleLength !== undefined && params.maxTitleLength !== '') {
+    maxTitleLength = parseInt(params.maxTitleLength);
+    if (Number.isNaN(maxTitleLength) || maxTitleLength < 1) {
+      throw new HttpError(400, 'maxTitleLength must be a positive integer');
+    }
+  }
+  const technicalDataLabels = Object.values(BODY_HTML_LABELS).map((labels) => labels.attributes);
+  return { maxTitleLength, technicalDataLabels };
+}
+
+/*
+ * Drop the rows failing the quality checks (see GET /api/quality-report)
+ * from `products`, together with their dataset items so the two lists
+ * stay aligned.  Returns { products, items, excluded }.
+ */
+function excludeFailingRows(products, items, options) {
+  const { rows } = checkShopifyRows(products, options);
+  const keep = rows.map((r) => !r.failing);
+  return {
+    products: products.filter((_, idx) => keep[idx]),
+    items: items.filter((_, idx) => keep[idx]),
+    excluded: keep.filter((k) => !k).length
+  };
+}
+
+/*
+ * Signature of the vehicle behind a dataset item for duplicate detection
+ * (see lib/duplicates.js), from the attributes as parsed for the export
+ * columns.
+ */
+function itemVehicleSignature(item) {
+  const cols = expandAttributesToColumns(item, {});
+  const attr = (name) => cols[ATTR_TRANSLATIONS[name] || name];
+  return vehicleSignature({
+    brand: item.brand,
+    model: item.model,
+    sellerId: item.sellerId,
+    vehicleNumber: attr('Vehicle Number'),
+    firstRegistration: attr('First Registration'),
+    mileage: attr('Mileage'),
+    power: attr('Power'),
+    colour: attr('Colour')
+  });
+}
+
+function itemSku(item) {
+  return item && item.id !== undefined && item.id !== null ? String(item.id).trim() : '';
+}
+
+/*
+ * Duplicate decisions for the dataset items of an export, against each
+ * other and the vehicles the shop exported before.  Resolves to the Map
+ * of decideDuplicates().
+ */
+async function duplicateDecisions(items, shop) {
+  const current = items.map((item) => ({
+    sku: itemSku(item),
+    signature: itemVehicleSignature(item),
+    images: itemImageUrls(item).length
+  }));
+  return decideDuplicates(current, await getExportedVehicles(shop));
+}
+
+/*
+ * Apply the row filters shared by the Shopify exports and the push, from
+ * query or body parameters: `excludeFailing` drops rows failing the
+ * quality checks, then `duplicates` handles duplicated vehicles – 'keep'
+ * (default) exports every listing, 'skip' only the one chosen per
+ * vehicle, 'merge' also publishes a vehicle exported before under its
+ * earlier Handle and Variant SKU so the existing product is updated.
+ * Returns { products, items }.
+ */
+async function applyExportFilters(products, items, params, session) {
+  let out = { products, items };
+  if (String(params.excludeFailing).toLowerCase() === 'true') {
+    out = excludeFailingRows(out.products, out.items, qualityOptions(params));
+  }
+  const mode = params.duplicates || 'keep';
+  if (!DUPLICATE_MODES.includes(mode)) {
+    throw new HttpError(400, `duplicates must be one of ${DUPLICATE_MODES.join(', ')}`);
+  }
+  if (mode === 'keep') return out;
+  const decisions = await duplicateDecisions(out.items, session ? session.shop : '');
+  const kept = { products: [], items: [] };
+  out.products.forEach((row, idx) => {
+    const decision = decisions.get(itemSku(out.items[idx]));
+    if (decision && (decision.decision === 'skip' || (decision.decision === 'merge' && mode === 'skip'))) return;
+    if (decision && decision.decision === 'merge') {
+      row['Variant SKU'] = decision.mergeInto.sku;
+      if ('Variant ID' in row) row['Variant ID'] = decision.mergeInto.sku;
+      if (decision.mergeInto.handle) row['Handle'] = decision.mergeInto.handle;
+    }
+    kept.products.push(row);
+    kept.items.push(out.items[idx]);
+  });
+  return kept;
+}
+
+// Snapshots being captured, by runId.
+const capturingRuns = new Map();
+
+/*
+ * Snapshot the dataset of a succeeded run (which also records the price
+ * history) unless that already happened.  The webhook, status polling
+ * and the run event stream can all see a run finish at once; they share
+ * one capture per run.
+ */
+function captureRunItems(runId) {
+  if (!capturingRuns.has(runId)) {
+    capturingRuns.set(runId, (async () => {
+      if (!(await getSnapshotInfo(runId))) await loadRunItems(runId);
+    })().finally(() => capturingRuns.delete(runId)));
+  }
+  return capturingRuns.get(runId);
+}
+
+/*
+ * Capture a run that has just succeeded (see captureRunItems()).
+ * Failures are logged so that status polling keeps working.
+ */
+async function captureFinishedRun(runId) {
+  try {
+    await captureRunItems(runId);
+  } catch (err) {
+    console.error(`Failed to capture dataset of run ${runId}: ${err.message}`);
+  }
+}
+
+/*
+ * Callback URL of the Apify run webhooks: APIFY_WEBHOOK_URL, else
+ * SHOPIFY_APP_URL, followed by /webhooks/apify.  Null when neither is
+ * set (local development without a public URL); such runs are only
+ * finished by status polling.
+ */
+function apifyWebhookUrl() {
+  const base = String(process.env.APIFY_WEBHOOK_URL || process.env.SHOPIFY_APP_URL || '').replace(/\/+$/, '');
+  return base ? `${base}/webhooks/apify` : null;
+}
+
+/*
+ * Session of the shop that started a run, for work done without a
+ * request (post-processing): { shop, accessToken } of its install, or
+ * null when the run has no shop (authentication disabled).
+ */
+async function runOwnerSession(record) {
+  if (!record.shop) return null;
+  const install = await getShopInstall(record.shop);
+  if (!install || !install.accessToken) {
+    throw new HttpError(409, `App is not installed on ${record.shop}`);
+  }
+  return { shop: record.shop, accessToken: install.accessToken, scope: install.scope || '' };
+}
+
+// Post-processing in progress, by runId.
+const postProcessingRuns = new Map();
+
+/*
+ * Run the post-processing of a finished run in the background, at most
+ * once at a time per run (see runPostProcessing()).  Failures are logged.
+ */
+function startPostProcessing(runId) {
+  if (!postProcessingRuns.has(runId)) {
+    postProcessingRuns.set(runId, runPostProcessing(runId)
+      .catch((err) => console.error(`Post-processing of run ${runId} failed: ${err.message}`))
+      .finally(() => postProcessingRuns.delete(runId)));
+  }
+  return postProcessingRuns.get(runId);
+}
+
+/*
+ * Carry out the actions configured for the search of a succeeded run
+ * (lib/automations.js): write its Shopify import file and/or push it to
+ * the store.  The outcome is kept in the run's `postProcessing` field,
+ * which also keeps the actions from running twice, and saved after each
+ * action.  A run left `running` by a stopped server is resumed by
+ * resumePostProcessing() after the actions it finished; a push that was
+ * under way is reported as interrupted rather than repeated halfway.
+ */
+async function runPostProcessing(runId) {
+  const record = await getRun(runId);
+  if (!record || !record.searchUrl || record.status !== 'SUCCEEDED') return;
+  if (record.postProcessing && record.postProcessing.status !== 'running') return;
+  const automation = await getAutomation(record.shop, record.searchUrl);
+  if (!automation) return;
+  const outcome = record.postProcessing
+    ? { ...record.postProcessing }
+    : { status: 'running', startedAt: new Date().toISOString() };
+  await updateRun(runId, { postProcessing: outcome });
+  let session = null;
+  try {
+    session = await runOwnerSession(record);
+  } catch (err) {
+    await updateRun(runId, { postProcessing: { ...outcome, status: 'failed', error: err.message, finishedAt: new Date().toISOString() } });
+    return;
+  }
+  if (automation.import && !outcome.import) {
+    try {
+      outcome.import = await writeImportFile(runId, session, automation.import);
+    } catch (err) {
+      outcome.import = { error: err.message };
+    }
+    await updateRun(runId, { postProcessing: { ...outcome } });
+  }
+  if (automation.push && !outcome.push && outcome.pushStartedAt) {
+    outcome.push = { error: 'Interrupted by a server restart; push the run again to finish it' };
+  } else if (automation.push && !outcome.push) {
+    outcome.pushStartedAt = new Date().toISOString();
+    await updateRun(runId, { postProcessing: { ...outcome } });
+    try {
+      const linkShop = record.shop || process.env.SHOPIFY_SHOP || '';
+      const { summary } = await pushRun(runId, session, linkShop, automation.push);
+      outcome.push = summary;
+    } catch (err) {
+      outcome.push = { error: err.message };
+    }
+  }
+  const failed = [outcome.import, outcome.push].some((result) => result && result.error);
+  await updateRun(runId, {
+    postProcessing: { ...outcome, status: failed ? 'failed' : 'done', finishedAt: new Date().toISOString() }
+  });
+}
+
+/*
+ * Resume the post-processing of the runs a stopped server left
+ * `running`; called once when the server starts.
+ */
+async function resumePostProcessing() {
+  const runs = await listRuns();
+  for (const run of runs) {
+    if (run.postProcessing && run.postProcessing.status === 'running') startPostProcessing(run.runId);
+  }
+}
+
+/*
+ * Build a run's Shopify import with the options of an automation and
+ * keep it as a file for GET /api/runs/:runId/import-file.  Resolves to
+ * { format, rows }.
+ */
+async function writeImportFile(runId, session, options) {
+  let { items } = await loadRunItems(runId, { session });
+  let products = await buildShopifyRows(items, session, options.profile || undefined);
+  ({ products, items } = await applyExportFilters(products, items, options, session));
+  await trackExport(runId, 'shopify-import-auto', options.format, products.length);
+  await trackExportedRows(runId, products, items);
+  const rows = await layoutImages(products, items, { images: options.images });
+  await writeFileAtomic(importFilePath(runId, options.format), await rowsToBuffer(rows, options.format, 'ShopifyImport'));
+  return { format: options.format, rows: products.length };
+}
+
+/*
+ * Add rows to an exceljs worksheet, using the union of all row keys (in
+ * order of first appearance) as the header.
+ */
+function addRowsToSheet(sheet, rows) {
+  const headerSet = new Set();
+  rows.forEach((row) => Object.keys(row).forEach((key) => headerSet.add(key)));
+  const headers = Array.from(headerSet);
+  sheet.addRow(headers);
+  rows.forEach((row) => {
+    sheet.addRow(headers.map((h) => row[h] ?? ''));
+  });
+}
+
+/*
+ * Send an array of flat rows as JSON, CSV or XLSX.  `fileBase` is used
+ * for the download file name and `sheetName` for the worksheet.  Returns
+ * a 400 for unsupported formats.
+ */
+async function sendRows(res, rows, fmt, fileBase, sheetName = 'Sheet1') {
+  if (fmt === 'json') {
+    return res.json(rows);
+  } else if (fmt === 'csv' || fmt === 'xlsx') {
+    res.set('Content-Type', FILE_CONTENT_TYPES[fmt]);
+    res.set('Content-Disposition', `attachment; filename="${fileBase}.${fmt}"`);
+    return res.send(await rowsToBuffer(rows, fmt, sheetName));
+  }
+  return res.status(400).json({ error: 'Unsupported format. Use json, csv or xlsx.' });
+}
+
+const FILE_CONTENT_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/*
+ * Render flat rows as the contents of a CSV or XLSX file.
+ */
+async function rowsToBuffer(rows, fmt, sheetName = 'Sheet1') {
+  if (fmt === 'csv') return Buffer.from(toCsv(rows));
+  const workbook = new ExcelJS.Workbook();
+  addRowsToSheet(workbook.addWorksheet(sheetName), rows);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/*
+ * GET /api/shopify-results
+ *
+ * Build a Shopify-importable dataset from a completed run.  This endpoint
+ * accepts the runId and returns either JSON, CSV or Excel data (CSV by
+ * default).  Rows are built with the export profile named by `profile`
+ * (see GET /api/export-profiles), the metafields profile by default.
+ * With `images=rows` every product row is followed by one row per
+ * further image (Handle, Image Src, Image Position, Image Alt Text), as
+ * in Shopify's native product CSV.  With `mirror=true` mirrored images
+ * are referenced by their hosted URL (see POST /api/runs/:runId/images).
+ * With `excludeFailing=true` rows failing the quality checks are left
+ * out (see GET /api/quality-report), and `duplicates=skip|merge` handles
+ * duplicated vehicles (see GET /api/duplicates).
+ */
+app.get('/api/shopify-results', requireRole('viewer'), async (req, res) => {
+  try {
+    const { runId, format = 'csv', refresh, profile, images = 'first', mirror } = req.query;
+    if (!runId) {
+      return res.status(400).json({ error: 'runId query parameter is required' });
+    }
+    if (!IMAGE_LAYOUTS.has(images)) {
+      return res.status(400).json({ error: 'images must be first or rows' });
+    }
+    let { items } = await loadRunItems(runId, { refresh: String(refresh).toLowerCase() === 'true', session: req.shopSession });
+    let products = await buildShopifyRows(items, req.shopSession, profile);
+    ({ products, items } = await applyExportFilters(products, items, req.query, req.shopSession));
+    const fmt = String(format).toLowerCase();
+    if (EXPORT_FORMATS.has(fmt)) {
+      await trackExport(runId, 'shopify-results', fmt, products.length);
+    }
+    // CSV and Excel downloads are imported by hand; JSON only previews.
+    if (fmt === 'csv' || fmt === 'xlsx') await trackExportedRows(runId, products, items);
+    const mapped = await layoutImages(products, items, { images, mirror: String(mirror).toLowerCase() === 'true', baseUrl: imageBaseUrl(req) });
     if (fmt === 'json') {
-      return res.json(records);
+      return res.json(mapped);
     } else if (fmt === 'csv') {
-      const csv = toCsv(records);
+      const csv = toCsv(mapped);
       res.set('Content-Type', 'text/csv');
-      res.set('Content-Disposition', `attachment; filename="${runId}-images.csv"`);
+      res.set('Content-Disposition', `attachment; filename="${runId}-shopify.csv"`);
       return res.send(csv);
     } else if (fmt === 'xlsx') {
       const workbook = new ExcelJS.Workbook();
-      const sheet = workbook.addWorksheet('Images');
+      const sheet = workbook.addWorksheet('Shopify');
+      // Determine headers
       const headerSet = new Set();
-      records.forEach((rec) => Object.keys(rec).forEach((key) => headerSet.add(key)));
+      mapped.forEach((row) => {
+        Object.keys(row).forEach((k) => headerSet.add(k));
+      });
       const headers = Array.from(headerSet);
       sheet.addRow(headers);
-      records.forEach((rec) => {
-        const row = headers.map((h) => rec[h] ?? '');
-        sheet.addRow(row);
+      mapped.forEach((row) => {
+        const line = headers.map((h) => row[h] ?? '');
+        sheet.addRow(line);
       });
       const buffer = await workbook.xlsx.writeBuffer();
       res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-      res.set('Content-Disposition', `attachment; filename="${runId}-images.xlsx"`);
+      res.set('Content-Disposition', `attachment; filename="${runId}-shopify.xlsx"`);
       return res.send(Buffer.from(buffer));
     }
-    return res.status(400).json({ error: 'Unsupported format. Use json, csv or xlsx.' });
+    return res.status(400).json({ error: 'Unsupported format. Use json, csv or xlsx.' });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * GET /api/normalize-results
+ *
+ * Normalize a dataset from a completed crawl.  This endpoint fetches
+ * raw items from the dataset associated with the given runId, applies
+ * the normalizeItem() helper to flatten arrays and objects into simple
+ * fields (images, features, attributes), and returns the normalized
+ * data in the requested format (json, csv or xlsx).  This allows
+ * users to perform step‑by‑step processing: first crawl, then
+ * normalize, then optionally map to Shopify.  The run must be
+ * finished before calling this endpoint.
+ */
+app.get('/api/normalize-results', requireRole('viewer'), async (req, res) => {
+  try {
+    const { runId, format = 'json', refresh } = req.query;
+    if (!runId) {
+      return res.status(400).json({ error: 'runId query parameter is required' });
+    }
+    const { items } = await loadRunItems(runId, { refresh: String(refresh).toLowerCase() === 'true', session: req.shopSession });
+    // Normalize each item.
+    const normalized = items.map((itm) => normalizeItem(itm));
+    const fmt = String(format).toLowerCase();
+    if (EXPORT_FORMATS.has(fmt)) await trackExport(runId, 'normalize-results', fmt, normalized.length);
+    if (fmt === 'json') {
+      return res.json(normalized);
+    }
+    if (fmt === 'csv') {
+      const csv = toCsv(normalized);
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="${runId}-normalized.csv"`);
+      return res.send(csv);
+    }
+    if (fmt === 'xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet('Normalized');
+      // Determine headers from normalized objects
+      const headerSet = new Set();
+      normalized.forEach((row) => Object.keys(row).forEach((k) => headerSet.add(k)));
+      const headers = Array.from(headerSet);
+      worksheet.addRow(headers);
+      normalized.forEach((row) => {
+        const line = headers.map((h) => row[h] ?? '');
+        worksheet.addRow(line);
+      });
+      const buffer = await workbook.xlsx.writeBuffer();
+      res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.set('Content-Disposition', `attachment; filename="${runId}-normalized.xlsx"`);
+      return res.send(Buffer.from(buffer));
+    }
+    return res.status(400).json({ error: 'Unsupported format. Use json, csv or xlsx.' });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * GET /api/images-exploded
+ *
+ * Produce a long-format list of images for each product variant.  Each
+ * record includes the variant SKU, handle and image link.  The variant
+ * SKU is derived from the dataset's "id" field, and the handle is
+ * generated as in the Shopify exports (see lib/handles.js).  A single product with
+ * multiple images will produce multiple rows.  Supported formats are
+ * json, csv and xlsx.  For a single import file with the images, use
+ * the Shopify exports with `images=rows` instead.
+ */
+app.get('/api/images-exploded', requireRole('viewer'), async (req, res) => {
+  try {
+    const { runId, format = 'csv', refresh } = req.query;
+    if (!runId) {
+      return res.status(400).json({ error: 'runId query parameter is required' });
+    }
+    const { items } = await loadRunItems(runId, { refresh: String(refresh).toLowerCase() === 'true', session: req.shopSession });
+    // Handles as in the Shopify exports, collisions included.
+    const shop = requestShop(req);
+    const { handlePattern } = await getShopSettings(shop);
+    const handles = items.map((item) => ({
+      'Handle': generateHandle(item, handlePattern),
+      'Variant SKU': item.id !== undefined && item.id !== null ? String(item.id).trim() : ''
+    }));
+    await resolveHandleCollisions(shop, handles);
+    const records = [];
+    items.forEach((item, idx) => {
+      const base = normalizeItem(item);
+      const idStr = handles[idx]['Variant SKU'];
+      const slug = handles[idx]['Handle'];
+      // Collect image URLs.
+      let images = [];
+      try {
+        images = base.images_json ? JSON.parse(base.images_json) : [];
+      } catch {
+        images = [];
+      }
+      // If no images found in normalised structure, check raw images array.
+      if (images.length === 0 && Array.isArray(item.images)) {
+        images = item.images.map((img) => {
+          if (img && typeof img === 'object') return img.url || img.src || '';
+          return String(img);
+        });
+      }
+      images.forEach((link) => {
+        if (link) {
+          records.push({
+            'Variant SKU': idStr,
+            Handle: slug,
+            'Image Src': link
+          });
+        }
+      });
+    });
+    const fmt = format.toLowerCase();
+    if (EXPORT_FORMATS.has(fmt)) await trackExport(runId, 'images-exploded', fmt, items.length);
+    if (fmt === 'json') {
+      return res.json(records);
+    } else if (fmt === 'csv') {
+      const csv = toCsv(records);
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="${runId}-images.csv"`);
+      return res.send(csv);
+    } else if (fmt === 'xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Images');
+      const headerSet = new Set();
+      records.forEach((rec) => Object.keys(rec).forEach((key) => headerSet.add(key)));
+      const headers = Array.from(headerSet);
+      sheet.addRow(headers);
+      records.forEach((rec) => {
+        const row = headers.map((h) => rec[h] ?? '');
+        sheet.addRow(row);
+      });
+      const buffer = await workbook.xlsx.writeBuffer();
+      res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.set('Content-Disposition', `attachment; filename="${runId}-images.xlsx"`);
+      return res.send(Buffer.from(buffer));
+    }
+    return res.status(400).json({ error: 'Unsupported format. Use json, csv or xlsx.' });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * POST /api/start-crawl
+ *
+ * Kick off an Apify actor run asynchronously. Accepts JSON body with
+ * "searchUrl" and/or "searchUrls" (an array, or one URL per line; all are
+ * crawled in the same run), optional "maxItems" and optional "preset" (an
+ * actor input preset, default "default"; see lib/actorAdapters.js). The
+ * preset's adapter builds the actor input. Optional "onComplete" ({ import,
+ * push }, see lib/automations.js; null turns them off) stores what to do
+ * when a run of this search succeeds. A webhook is registered on the run
+ * so that happens even when nobody polls its status (see
+ * POST /webhooks/apify). Returns the ID of the run. If APIFY_USE_ACTOR is false, this endpoint is disabled to prevent
+ * accidental misuse.
+ */
+// Start a crawl run by launching the Apify actor with the provided search URL.
+// This endpoint initiates a crawl and returns a runId.  It does not
+// perform any normalization or Shopify mapping.
+app.post('/api/start-crawl', requireRole('operator'), async (req, res) => {
+  try {
+    const { maxItems, preset: presetName, onComplete } = req.body || {};
+    const searchUrls = normalizeSearchUrls(req.body || {});
+    const useActor = String(process.env.APIFY_USE_ACTOR || 'true').toLowerCase() !== 'false';
+    if (!useActor) {
+      return res.status(400).json({ error: 'APIFY_USE_ACTOR=false. Cannot start actor run.' });
+    }
+    const settings = await resolveShopSettings(requestShop(req));
+    const preset = findActorPreset(presetName, settings.actorPresets);
+    const adapter = getActorAdapter(preset.adapter);
+    const actorId = preset.actorId || settings.apify.actorId;
+    if (!actorId) {
+      return res.status(500).json({ error: 'APIFY_ACTOR_ID must be set (or an Apify actor in the shop settings)' });
+    }
+    // The adapter puts the search URLs and maxItems where the actor
+    // expects them, on top of the preset's input.
+    const max = parseInt(maxItems);
+    const input = adapter.buildInput(searchUrls, {
+      maxItems: !Number.isNaN(max) && max > 0 ? max : undefined,
+      input: preset.input
+    });
+    // Post-processing chosen with the crawl applies to later runs of the
+    // same search too.
+    if (onComplete !== undefined) {
+      await setAutomation(requestShop(req), searchKey(searchUrls), searchUrls, onComplete || {});
+    }
+    // Start the actor run asynchronously, with a completion webhook when
+    // the app has a public URL.
+    //
+    // NOTE: startRun() passes the input object directly as the request
+    // body rather than wrapping it under an "input" property.  Apify
+    // treats the POST payload itself as the Actor's input, so only the
+    // keys the adapter built are sent and no other default keys are
+    // injected into the run configuration.
+    const webhookUrl = apifyWebhookUrl();
+    const webhookToken = webhookUrl ? createWebhookToken() : null;
+    const started = await getApifyClient(settings.apify).startRun(actorId, input, {
+      webhooks: webhookToken ? runWebhooks(`${webhookUrl}?token=${webhookToken.token}`) : []
+    });
+    const runId = started.id;
+    if (!runId) {
+      return res.status(500).json({ error: 'Actor run did not return an ID', detail: started });
+    }
+    // Persist the run so it can be reopened from the history page later.
+    // The run is already paid for at this point, so a storage failure is
+    // logged rather than hiding the runId from the caller.
+    try {
+      await recordRunStart({
+        runId,
+        shop: req.shopSession ? req.shopSession.shop : null,
+        searchUrl: searchKey(searchUrls),
+        searchUrls,
+        maxItems: input.maxItems ?? null,
+        actorId,
+        actorPreset: preset.name,
+        actorAdapter: preset.adapter,
+        actorInput: input,
+        webhookTokenHash: webhookToken ? webhookToken.hash : '',
+        status: started.status,
+        datasetId: started.defaultDatasetId,
+        startedAt: started.startedAt
+      });
+    } catch (err) {
+      console.error(`Failed to record run ${runId} in history: ${err.message}`);
+    }
+    return res.json({ runId });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// Start a crawl run under the legacy path.  This route simply calls the
+// handler defined for /api/start-crawl.  Defining it explicitly avoids
+// reliance on internal router internals and ensures that both paths
+// are available regardless of load order.
+app.post('/api/start-run', requireRole('operator'), async (req, res) => {
+  // reuse the /api/start-crawl handler directly
+  const handler = app._router.stack.find(
+    (layer) => layer.route && layer.route.path === '/api/start-crawl'
+  )?.route.stack.at(-1).handle;
+  if (handler) {
+    return handler(req, res);
+  }
+  return res.status(404).json({ error: 'Start crawl handler not found' });
+});
+
+/*
+ * GET /api/search-builder
+ *
+ * Options of the structured search builder: the makes and fuels that
+ * POST /api/search-url understands and the number of URLs a run accepts.
+ */
+app.get('/api/search-builder', requireRole('viewer'), (req, res) => {
+  res.json({ makes: Object.keys(MAKES), fuels: Object.keys(FUELS), maxSearchUrls: MAX_SEARCH_URLS });
+});
+
+/*
+ * POST /api/search-url
+ *
+ * Build a mobile.de search URL from structured criteria (JSON body: make,
+ * model, priceMin, priceMax, yearMin, yearMax, mileageMax, fuel; see
+ * lib/searches.js).  Returns { url }, or 400 for invalid criteria.
+ */
+app.post('/api/search-url', requireRole('viewer'), (req, res) => {
+  try {
+    return res.json({ url: buildSearchUrl(req.body || {}) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * GET /api/automations
+ *
+ * List the post-processing configured for the shop's searches (see
+ * lib/automations.js).  With `searchUrl` or `searchUrls` (one per line)
+ * returns { searchUrl, automation } for that search only.
+ */
+app.get('/api/automations', requireRole('viewer'), async (req, res) => {
+  try {
+    const shop = requestShop(req);
+    if (req.query.searchUrl || req.query.searchUrls) {
+      const searchUrl = searchKey(normalizeSearchUrls(req.query));
+      return res.json({ searchUrl, automation: await getAutomation(shop, searchUrl) });
+    }
+    return res.json(await listAutomations(shop));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * PUT /api/automations
+ *
+ * Set the post-processing of a search.  JSON body: searchUrl and/or
+ * searchUrls, import and push (null turns an action off; see
+ * lib/automations.js).  Returns { searchUrl, automation }, the latter
+ * null when both actions are off.
+ */
+app.put('/api/automations', requireRole('operator'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const searchUrls = normalizeSearchUrls(body);
+    const searchUrl = searchKey(searchUrls);
+    const automation = await setAutomation(requestShop(req), searchUrl, searchUrls, body);
+    return res.json({ searchUrl, automation });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * GET /api/run-status
+ *
+ * Poll the status of a running actor. Requires "runId" as a query
+ * parameter. Returns the Apify run JSON as-is. If the run is not found or
+ * there is an API error, it will return the error from Apify.
+ */
+app.get('/api/run-status', requireRole('viewer'), async (req, res) => {
+  try {
+    const { runId } = req.query;
+    if (!runId) {
+      return res.status(400).json({ error: 'runId query parameter is required' });
+    }
+    await ensureRunAccess(req.shopSession, runId);
+    const settings = await resolveShopSettings(requestShop(req));
+    const run = await getApifyClient(settings.apify).getRun(runId);
+    // Keep the run history in sync with what Apify reports.
+    try {
+      await syncRunFromApify(runId, run);
+    } catch (err) {
+      console.error(`Failed to update run ${runId} in history: ${err.message}`);
+    }
+    // Snapshot the dataset and extend the price history as soon as the
+    // run finishes, without waiting for someone to download an export.
+    if (run.status === 'SUCCEEDED') {
+      await captureFinishedRun(runId);
+      startPostProcessing(runId);
+    }
+    return res.json(run);
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * GET /api/runs
+ *
+ * List the run history, newest first.  Accepts an optional "limit" query
+ * parameter.  Each record contains the search URL, maxItems, actor
+ * input, start/finish times, final status, item count and the exports
+ * downloaded so far.
+ */
+app.get('/api/runs', requireRole('viewer'), async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit);
+    const runs = await listRuns({
+      limit: !Number.isNaN(limit) && limit > 0 ? limit : undefined,
+      shop: req.shopSession ? req.shopSession.shop : undefined
+    });
+    return res.json(runs);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/*
+ * GET /api/runs/:runId
+ *
+ * Return a single run from the history, or 404 if the run was not started
+ * through this app.
+ */
+app.get('/api/runs/:runId', requireRole('viewer'), async (req, res) => {
+  try {
+    const run = await getRun(req.params.runId);
+    if (!run || (req.shopSession && run.shop !== req.shopSession.shop)) {
+      return res.status(404).json({ error: 'Run not found in history' });
+    }
+    return res.json(run);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/*
+ * GET /api/runs/:runId/events
+ *
+ * Server-Sent Events stream of a run's progress: `status` (status, item
+ * count so far, progress against maxItems), `log` (new log lines),
+ * `warning` and a final `end` (see lib/runEvents.js).  One server-side
+ * poller per run feeds every client watching it.  When the run finishes
+ * its status is recorded and, if it succeeded, its dataset is snapshotted
+ * and its post-processing started, as with GET /api/run-status.
+ */
+app.get('/api/runs/:runId/events', requireRole('viewer'), async (req, res) => {
+  try {
+    const { runId } = req.params;
+    await ensureRunAccess(req.shopSession, runId);
+    const record = await getRun(runId);
+    const settings = await resolveShopSettings(record ? record.shop || '' : requestShop(req));
+    const apify = getApifyClient(settings.apify);
+    const source = {
+      getRun: () => apify.getRun(runId),
+      getItemCount: async (run) => {
+        if (!run.defaultDatasetId) return 0;
+        const dataset = await apify.getDataset(run.defaultDatasetId);
+        return dataset.itemCount || 0;
+      },
+      getLog: () => apify.getRunLog(runId),
+      maxItems: record ? record.maxItems : null,
+      onStatus: async (run) => {
+        try {
+          await syncRunFromApify(runId, run);
+        } catch (err) {
+          console.error(`Failed to update run ${runId} in history: ${err.message}`);
+        }
+      },
+      onFinished: async (run) => {
+        if (run.status !== 'SUCCEEDED') return;
+        await captureFinishedRun(runId);
+        startPostProcessing(runId);
+      }
+    };
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    const unsubscribe = subscribeRunEvents(runId, source, (event, data) => {
+      if (!event) {
+        res.write(': ping\n\n');
+        return;
+      }
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      if (event === 'end') res.end();
+    });
+    req.on('close', unsubscribe);
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * POST /api/runs/:runId/snapshot
+ *
+ * Refetch a run's dataset from Apify and replace its local snapshot.
+ * Returns the snapshot metadata (datasetId, itemCount, createdAt).  All
+ * export endpoints also accept "refresh=true" to do the same inline.
+ */
+app.post('/api/runs/:runId/snapshot', requireRole('operator'), async (req, res) => {
+  try {
+    const { runId } = req.params;
+    const { datasetId, items } = await loadRunItems(runId, { refresh: true, session: req.shopSession });
+    const info = await getSnapshotInfo(runId);
+    return res.json({
+      runId,
+      datasetId,
+      itemCount: items.length,
+      createdAt: info ? info.createdAt : null,
+      snapshotted: Boolean(info)
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * Products of a run for the image mirror: the handle of each listing (as
+ * in the default Shopify export) with its image URLs.
+ */
+async function runImageEntries(runId, session) {
+  const { items } = await loadRunItems(runId, { session });
+  const rows = await buildShopifyRows(items, session);
+  return rows.map((row, idx) => ({ handle: row['Handle'], urls: itemImageUrls(items[idx]) }));
+}
+
+/*
+ * POST /api/runs/:runId/images
+ *
+ * Download every image of a run into the local image mirror (see
+ * lib/imageMirror.js).  Images mirrored before are skipped, so this can
+ * be repeated to retry failures.  Returns a summary with the errors.
+ */
+app.post('/api/runs/:runId/images', requireRole('operator'), async (req, res) => {
+  try {
+    const { runId } = req.params;
+    const summary = await mirrorImages(runId, await runImageEntries(runId, req.shopSession));
+    return res.json({ runId, ...summary });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * GET /api/runs/:runId/images.zip
+ *
+ * Download a run's images as a ZIP named `{handle}-{position}.jpg`.
+ * Images not mirrored yet are downloaded first, so this needs the
+ * operator role like POST /api/runs/:runId/images.
+ */
+app.get('/api/runs/:runId/images.zip', requireRole('operator'), async (req, res) => {
+  try {
+    const { runId } = req.params;
+    const summary = await mirrorImages(runId, await runImageEntries(runId, req.shopSession));
+    const zip = await buildRunImageZip(runId);
+    if (!zip) {
+      return res.status(404).json({ error: 'No images could be downloaded for this run', detail: summary.errors });
+    }
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Length', String(zip.size));
+    res.set('Content-Disposition', `attachment; filename="${runId}-images.zip"`);
+    await zip.write(res);
+    return res.end();
+  } catch (err) {
+    if (!res.headersSent) return sendError(res, err);
+    console.error(`Failed to send the images of run ${req.params.runId}: ${err.message}`);
+    return res.destroy(err);
+  }
+});
+
+/*
+ * GET /api/runs/:runId/import-file
+ *
+ * Download the Shopify import written by the post-processing of the run
+ * (see lib/automations.js), or 404 when none was written.
+ */
+app.get('/api/runs/:runId/import-file', requireRole('viewer'), async (req, res) => {
+  try {
+    const { runId } = req.params;
+    await ensureRunAccess(req.shopSession, runId);
+    const run = await getRun(runId);
+    const written = run && run.postProcessing && run.postProcessing.import;
+    if (!written || !written.format) {
+      return res.status(404).json({ error: 'No import file was written for this run' });
+    }
+    res.set('Content-Type', FILE_CONTENT_TYPES[written.format]);
+    res.set('Content-Disposition', `attachment; filename="${runId}-shopify-import.${written.format}"`);
+    return res.sendFile(path.resolve(importFilePath(runId, written.format)));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * GET /api/run-results
+ *
+ * Fetch items from a completed actor run's dataset. Accepts the following
+ * query parameters:
+ *   runId      – required. The ID of the Apify run.
+ *   format     – one of "json", "csv" or "xlsx". Defaults to "json".
+ *   normalized – if "true", convert the items with the run's actor
+ *                adapter and apply the normalizeItem() transformation to
+ *                each record. Defaults to false: items are returned as
+ *                the actor delivered them.
+ *   refresh    – if "true", refetch the dataset from Apify instead of
+ *                serving the local snapshot.
+ *
+ * The endpoint loads the run's items (from the local snapshot when one
+ * exists, see loadRunItems()), optionally normalises them and then
+ * returns either JSON, CSV or Excel content. Excel files are built
+ * on-the-fly using exceljs.
+ */
+app.get('/api/run-results', requireRole('viewer'), async (req, res) => {
+  try {
+    const { runId, format = 'json', normalized, refresh } = req.query;
+    if (!runId) {
+      return res.status(400).json({ error: 'runId query parameter is required' });
+    }
+    // Determine whether normalisation is requested.
+    const doNormalize = String(normalized || 'false').toLowerCase() === 'true';
+    let { items } = await loadRunItems(runId, {
+      refresh: String(refresh).toLowerCase() === 'true',
+      session: req.shopSession,
+      raw: !doNormalize
+    });
+    if (doNormalize) {
+      items = items.map(normalizeItem);
+    }
+    // Based on the requested format, return the data.
+    const fmt = format.toLowerCase();
+    if (EXPORT_FORMATS.has(fmt)) await trackExport(runId, doNormalize ? 'run-results-normalized' : 'run-results', fmt, items.length);
+    if (fmt === 'json') {
+      return res.json(items);
+    } else if (fmt === 'csv') {
+      // Raw items are flattened the same way Apify's CSV export does
+      // (nested keys joined with "/"), so the columns match the
+      // dataset's CSV view.
+      const csv = toCsv(doNormalize ? items : items.map((itm) => flattenItem(itm)));
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="${runId}-${doNormalize ? 'normalized' : 'items'}.csv"`);
+      return res.send(csv);
+    } else if (fmt === 'xlsx') {
+      // Build an Excel workbook from the items (either normalised or raw JSON).
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet('Sheet1');
+      // Determine all headers.
+      const headerSet = new Set();
+      items.forEach((row) => {
+        Object.keys(row).forEach((key) => headerSet.add(key));
+      });
+      const headers = Array.from(headerSet);
+      worksheet.addRow(headers);
+      items.forEach((row) => {
+        const line = headers.map((h) => row[h] ?? '');
+        worksheet.addRow(line);
+      });
+      const buffer = await workbook.xlsx.writeBuffer();
+      res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.set('Content-Disposition', `attachment; filename="${runId}-${doNormalize ? 'normalized' : 'items'}.xlsx"`);
+      return res.send(Buffer.from(buffer));
+    }
+    return res.status(400).json({ error: 'Unsupported format. Use json, csv or xlsx.' });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * GET /api/shopify-import
+ *
+ * Generate a Shopify import file based on the completed actor run's dataset
+ * and a metafields mapping sheet.  This endpoint accepts:
+ *   runId   – required. The ID of the Apify run.
+ *   format  – one of 'json', 'csv' or 'xlsx'. Defaults to 'json'.
+ *   refresh – if 'true', refetch the dataset from Apify instead of
+ *             serving the local snapshot.
+ *   profile – export profile (see GET /api/export-profiles). Defaults to
+ *             'metafields'.
+ *   images  – 'first' (default) puts the first image in the product row;
+ *             'rows' adds Shopify's extra row per further image so the
+ *             import brings the whole gallery.
+ *   mirror  – if 'true', point mirrored images at this app's /media URLs
+ *             instead of the mobile.de CDN.
+ *   excludeFailing – if 'true', leave out rows failing the quality checks
+ *             (see GET /api/quality-report).
+ *   duplicates – 'keep' (default), 'skip' or 'merge' duplicated vehicles
+ *             (see GET /api/duplicates).
+ *
+ * With the metafields profile it applies the shop's metafields mapping
+ * (or the mapping file, sheet 'Metafields_Mapping', from
+ * dataset_mobile-de-scraper_mapped_metafields.xlsx or the file specified
+ * via METAFIELDS_MAPPING_FILE) to each dataset item to produce a
+ * structured Shopify import row.  Additional columns such as Title,
+ * Variant SKU/ID, Vendor, Image Src, Tags, Body HTML and Features are
+ * generated automatically.  The resulting dataset can be downloaded in
+ * JSON, CSV or Excel formats.  Large runs can take longer than a proxy
+ * waits; POST /api/export-jobs builds the same file in the background.
+ */
+app.get('/api/shopify-import', requireRole('viewer'), async (req, res) => {
+  try {
+    const { runId, format = 'json', refresh, profile, images = 'first', mirror } = req.query;
+    if (!runId) {
+      return res.status(400).json({ error: 'runId query parameter is required' });
+    }
+    if (!IMAGE_LAYOUTS.has(images)) {
+      return res.status(400).json({ error: 'images must be first or rows' });
+    }
+    let { items } = await loadRunItems(runId, { refresh: String(refresh).toLowerCase() === 'true', session: req.shopSession });
+    // Map items to Shopify rows with the chosen profile
+    let products = await buildShopifyRows(items, req.shopSession, profile);
+    ({ products, items } = await applyExportFilters(products, items, req.query, req.shopSession));
+    const fmt = String(format).toLowerCase();
+    if (EXPORT_FORMATS.has(fmt)) {
+      await trackExport(runId, 'shopify-import', fmt, products.length);
+    }
+    // CSV and Excel downloads are imported by hand; JSON only previews.
+    if (fmt === 'csv' || fmt === 'xlsx') await trackExportedRows(runId, products, items);
+    const mapped = await layoutImages(products, items, { images, mirror: String(mirror).toLowerCase() === 'true', baseUrl: imageBaseUrl(req) });
+    if (fmt === 'json') {
+      return res.json(mapped);
+    } else if (fmt === 'csv') {
+      const csv = toCsv(mapped);
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="${runId}-shopify-import.csv"`);
+      return res.send(csv);
+    } else if (fmt === 'xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet('ShopifyImport');
+      // Determine all headers in order of appearance from mapping list
+      const headerSet = new Set();
+      mapped.forEach((row) => {
+        Object.keys(row).forEach((key) => headerSet.add(key));
+      });
+      const headers = Array.from(headerSet);
+      worksheet.addRow(headers);
+      mapped.forEach((row) => {
+        const line = headers.map((h) => row[h] ?? '');
+        worksheet.addRow(line);
+      });
+      const buffer = await workbook.xlsx.writeBuffer();
+      res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.set('Content-Disposition', `attachment; filename="${runId}-shopify-import.xlsx"`);
+      return res.send(Buffer.from(buffer));
+    }
+    return res.status(400).json({ error: 'Unsupported format. Use json, csv or xlsx.' });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * Background job building a run's Shopify import with the options of
+ * GET /api/shopify-import (checked by exportJobParams()), for runs too
+ * large to export within a request.  The job runs without a request, so
+ * the session is the job's shop and mirrored images use the base URL
+ * stored with the job.
+ */
+registerExportJobType('shopify-import', async (job, progress) => {
+  const params = job.params;
+  const session = job.shop ? { shop: job.shop } : null;
+  progress({ phase: 'loading' });
+  let { items } = await loadRunItems(params.runId, { refresh: params.refresh, session });
+  let products = await buildShopifyRows(items, session, params.profile || undefined, {
+    onProgress: (done, total) => progress({ phase: 'building', done, total })
+  });
+  progress({ phase: 'filtering', done: items.length, total: items.length });
+  ({ products, items } = await applyExportFilters(products, items, params, session));
+  await trackExport(params.runId, 'shopify-import', params.format, products.length);
+  await trackExportedRows(params.runId, products, items);
+  const rows = await layoutImages(products, items, { images: params.images, mirror: params.mirror, baseUrl: params.imageBaseUrl });
+  progress({ phase: 'writing', done: products.length, total: products.length });
+  const contents = params.format === 'json' ? JSON.stringify(rows) : await rowsToBuffer(rows, params.format, 'ShopifyImport');
+  return { contents, format: params.format, fileName: `${params.runId}-shopify-import.${params.format}`, rows: products.length };
+});
+
+/*
+ * Check the body of POST /api/export-jobs and return the job parameters;
+ * the checks GET /api/shopify-import makes are done before queueing so
+ * that a job does not fail on them later.
+ */
+async function exportJobParams(req) {
+  const body = req.body || {};
+  const { runId, format = 'xlsx', images = 'first', profile = '', duplicates = 'keep' } = body;
+  if (!runId) throw new HttpError(400, 'runId is required');
+  await ensureRunAccess(req.shopSession, runId);
+  const fmt = String(format).toLowerCase();
+  if (!EXPORT_FORMATS.has(fmt)) throw new HttpError(400, 'Unsupported format. Use json, csv or xlsx.');
+  if (!IMAGE_LAYOUTS.has(images)) throw new HttpError(400, 'images must be first or rows');
+  if (!DUPLICATE_MODES.includes(duplicates)) {
+    throw new HttpError(400, `duplicates must be one of ${DUPLICATE_MODES.join(', ')}`);
+  }
+  const settings = await resolveShopSettings(requestShop(req));
+  findExportProfile(profile, settings.exportProfiles);
+  const { maxTitleLength } = qualityOptions(body);
+  const mirror = String(body.mirror).toLowerCase() === 'true';
+  return {
+    runId: String(runId),
+    format: fmt,
+    refresh: String(body.refresh).toLowerCase() === 'true',
+    profile,
+    images,
+    mirror,
+    imageBaseUrl: mirror ? imageBaseUrl(req) : null,
+    excludeFailing: String(body.excludeFailing).toLowerCase() === 'true',
+    duplicates,
+    maxTitleLength
+  };
+}
+
+/*
+ * A job as the API returns it: with the `downloadUrl` of its file once
+ * it is done, else null.
+ */
+function exportJobView(job) {
+  return { ...job, downloadUrl: job.status === 'done' ? `/api/export-jobs/${job.id}/file` : null };
+}
+
+/*
+ * POST /api/export-jobs
+ *
+ * Queue a background export (lib/exportJobs.js) and return 202 with the
+ * job.  JSON body: `type` ('shopify-import', the default) and the
+ * parameters of GET /api/shopify-import (runId, format – 'xlsx' by
+ * default –, refresh, profile, images, mirror, excludeFailing,
+ * duplicates, maxTitleLength).  The same export still queued or running
+ * is returned instead of being queued twice.  Follow the job with
+ * GET /api/export-jobs/:jobId and download it from its `downloadUrl`.
+ */
+app.post('/api/export-jobs', requireRole('viewer'), async (req, res) => {
+  try {
+    const type = (req.body && req.body.type) || 'shopify-import';
+    if (type !== 'shopify-import') {
+      return res.status(400).json({ error: 'Unknown export job type. Use shopify-import.' });
+    }
+    const job = await enqueueExportJob(requestShop(req), type, await exportJobParams(req));
+    return res.status(202).json(exportJobView(job));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * GET /api/export-jobs
+ *
+ * List the shop's export jobs, newest first.
+ */
+app.get('/api/export-jobs', requireRole('viewer'), async (req, res) => {
+  try {
+    const jobs = await listExportJobs(requestShop(req));
+    return res.json(jobs.map(exportJobView));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * GET /api/export-jobs/:jobId
+ *
+ * Status of an export job: `status` (queued, running, done or failed),
+ * `progress` ({ phase, done, total, percent }), `error` and, once done,
+ * `file` and `downloadUrl`.
+ */
+app.get('/api/export-jobs/:jobId', requireRole('viewer'), async (req, res) => {
+  try {
+    const job = await getExportJob(requestShop(req), req.params.jobId);
+    if (!job) return res.status(404).json({ error: 'Export job not found' });
+    return res.json(exportJobView(job));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * GET /api/export-jobs/:jobId/file
+ *
+ * Download the file of a finished export job; 409 while it is queued or
+ * running, or when it failed.
+ */
+app.get('/api/export-jobs/:jobId/file', requireRole('viewer'), async (req, res) => {
+  try {
+    const job = await getExportJob(requestShop(req), req.params.jobId);
+    if (!job) return res.status(404).json({ error: 'Export job not found' });
+    if (job.status !== 'done') {
+      return res.status(409).json({ error: job.status === 'failed' ? `Export job failed: ${job.error}` : `Export job is ${job.status}` });
+    }
+    res.set('Content-Type', FILE_CONTENT_TYPES[job.file.format] || 'application/json');
+    res.set('Content-Disposition', `attachment; filename="${job.file.fileName}"`);
+    return res.sendFile(path.resolve(exportJobFilePath(job)));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * DELETE /api/export-jobs/:jobId
+ *
+ * Cancel a queued export job or delete a finished one with its file; 409
+ * while it is running.
+ */
+app.delete('/api/export-jobs/:jobId', requireRole('operator'), async (req, res) => {
+  try {
+    if (!(await deleteExportJob(requestShop(req), req.params.jobId))) {
+      return res.status(404).json({ error: 'Export job not found' });
+    }
+    return res.json({ deleted: req.params.jobId });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * POST /api/shopify-push
+ *
+ * Create or update products in the store directly through the Admin
+ * GraphQL API, using the same rows as /api/shopify-import.  JSON body:
+ *   runId        – required. The ID of the Apify run.
+ *   skus         – optional array of Variant SKUs to push; defaults to all.
+ *   updateImages – if true, replace the images of existing products too
+ *                  (new products always get the full gallery).
+ *   dryRun       – if true, return the productSet inputs without calling
+ *                  Shopify.
+ *   relink       – if true, also push listings whose product was deleted
+ *                  in Shopify (normally skipped, see lib/productLinks.js).
+ *   profile      – export profile of the rows. Defaults to 'metafields'.
+ *   excludeFailing – if true, skip rows failing the quality checks (see
+ *                  GET /api/quality-report).
+ *   duplicates   – 'keep' (default), 'skip' or 'merge' duplicated vehicles
+ *                  (see GET /api/duplicates).
+ *
+ * Existing products are matched by Handle, then by Variant SKU.  The
+ * response holds a summary and a per-item result with the action taken
+ * (created, updated, failed or skipped), the product ID and any errors.
+ */
+app.post('/api/shopify-push', requireRole('operator'), async (req, res) => {
+  try {
+    const { runId } = req.body || {};
+    if (!runId) {
+      return res.status(400).json({ error: 'runId is required' });
+    }
+    const pushed = await pushRun(runId, req.shopSession, productLinkShop(req), req.body);
+    return res.json(Array.isArray(pushed) ? pushed : { runId, ...pushed });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * Push the Shopify rows of a run to the store of `session` with the
+ * options of POST /api/shopify-push; `linkShop` is the shop of the
+ * product links.  Shared by the endpoint and the post-processing of
+ * finished runs.  Resolves to { summary, results }, or to the productSet
+ * inputs with `dryRun`.
+ */
+async function pushRun(runId, session, linkShop, params = {}) {
+  const { skus, updateImages = false, dryRun = false, relink = false, profile } = params;
+  let { items } = await loadRunItems(runId, { session });
+  let rows = await buildShopifyRows(items, session, profile || undefined);
+  ({ products: rows, items } = await applyExportFilters(rows, items, params, session));
+  const wanted = Array.isArray(skus) && skus.length ? new Set(skus.map(String)) : null;
+  // Products deleted in Shopify since their last push are not recreated.
+  const links = await getProductLinks(linkShop);
+  const entries = rows
+    .map((row, idx) => {
+      const link = links.get(String(row['Variant SKU']));
+      const skipReason = link && link.unlinkedAt && !relink
+        ? `Product was deleted in Shopify on ${link.unlinkedAt.slice(0, 10)}; push with relink to recreate it`
+        : undefined;
+      return { row, item: items[idx], images: extractImageUrls(items[idx]), skipReason };
+    })
+    .filter((entry) => !wanted || wanted.has(String(entry.row['Variant SKU'])));
+  if (dryRun) {
+    return entries
+      .filter((entry) => !entry.skipReason)
+      .map((entry) => rowToProductSetInput(entry.row, { images: entry.images }));
+  }
+  const { summary, results } = await pushRows(getShopifyClient(session), entries, { updateImages: Boolean(updateImages) });
+  try {
+    await recordPushedProducts(linkShop, results);
+    const pushed = new Set(results.filter((r) => r.action === 'created' || r.action === 'updated').map((r) => r.sku));
+    const pushedEntries = entries.filter((entry) => pushed.has(entry.row['Variant SKU']));
+    await trackExportedRows(runId, pushedEntries.map((entry) => entry.row), pushedEntries.map((entry) => entry.item));
+    await updateRun(runId, { lastPush: { at: new Date().toISOString(), ...summary } });
+  } catch (err) {
+    console.error(`Failed to record push for run ${runId}: ${err.message}`);
+  }
+  return { summary, results };
+}
+
+/*
+ * GET /api/quality-report
+ *
+ * Check the Shopify rows of a run before importing them (see
+ * lib/qualityReport.js).  Query parameters:
+ *   runId          – required. The ID of the Apify run.
+ *   profile        – export profile of the rows. Defaults to 'metafields'.
+ *   maxTitleLength – titles longer than this are flagged (default 100).
+ *   format         – 'json' (default) returns { runId, profile, summary,
+ *                    rows } with every row and its issues; 'csv' and
+ *                    'xlsx' download one line per issue.
+ *
+ * Errors (empty or unparseable Variant Price, empty Image Src, duplicate
+ * Handle or Variant SKU) make a row fail; the exports and the push can
+ * leave failing rows out with excludeFailing.  Missing brand/model
+ * metafields, Body HTML without technical data, long titles and handles
+ * renamed to avoid a collision with another listing are warnings.
+ */
+app.get('/api/quality-report', requireRole('viewer'), async (req, res) => {
+  try {
+    const { runId, profile, format = 'json' } = req.query;
+    if (!runId) {
+      return res.status(400).json({ error: 'runId query parameter is required' });
+    }
+    const options = qualityOptions(req.query);
+    const { items } = await loadRunItems(runId, { session: req.shopSession });
+    const handleCollisions = [];
+    const rows = await buildShopifyRows(items, req.shopSession, profile, { handleCollisions });
+    const report = checkShopifyRows(rows, { ...options, handleCollisions });
+    const fmt = String(format).toLowerCase();
+    if (fmt === 'json') {
+      return res.json({ runId, profile: profile || DEFAULT_EXPORT_PROFILE, ...report });
+    }
+    return sendRows(res, reportToRows(report), fmt, `${runId}-quality`, 'Quality');
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * GET /api/duplicates
+ *
+ * List the probable duplicate vehicles of a run (see lib/duplicates.js):
+ * listings of the run that describe the same car as another listing of
+ * the run or as a vehicle the shop exported before, from any search.
+ * Query parameters: runId (required) and format ('json' by default, or
+ * 'csv' / 'xlsx').  Each listing carries its cluster, the reason it
+ * matched ('vehicle-number' or 'fingerprint'), its signature and the
+ * decision the exports apply with `duplicates=skip|merge`: keep, skip or
+ * merge (into mergeSku / mergeHandle).
+ */
+app.get('/api/duplicates', requireRole('viewer'), async (req, res) => {
+  try {
+    const { runId, format = 'json' } = req.query;
+    if (!runId) {
+      return res.status(400).json({ error: 'runId query parameter is required' });
+    }
+    const { items } = await loadRunItems(runId, { session: req.shopSession });
+    const decisions = await duplicateDecisions(items, req.shopSession ? req.shopSession.shop : '');
+    const listings = [];
+    for (const item of items) {
+      const decision = decisions.get(itemSku(item));
+      if (!decision) continue;
+      const signature = itemVehicleSignature(item);
+      listings.push({
+        cluster: decision.cluster,
+        sku: itemSku(item),
+        title: item.title || '',
+        decision: decision.decision,
+        reason: decision.reason || '',
+        keptSku: decision.keptSku,
+        mergeSku: decision.mergeInto ? decision.mergeInto.sku : '',
+        mergeHandle: decision.mergeInto ? decision.mergeInto.handle : '',
+        brand: signature.brand,
+        model: signature.model,
+        firstRegistration: signature.firstRegistration,
+        mileage: signature.mileage ?? '',
+        power: signature.power ?? '',
+        colour: signature.colour,
+        sellerId: signature.sellerId,
+        vehicleNumber: signature.vehicleNumber
+      });
+    }
+    listings.sort((a, b) => a.cluster - b.cluster);
+    const fmt = String(format).toLowerCase();
+    if (fmt === 'json') {
+      const count = (d) => listings.filter((l) => l.decision === d).length;
+      const summary = {
+        listings: items.length,
+        clusters: new Set(listings.map((l) => l.cluster)).size,
+        keep: count('keep'),
+        skip: count('skip'),
+        merge: count('merge')
+      };
+      return res.json({ runId, summary, listings });
+    }
+    return sendRows(res, listings, fmt, `${runId}-duplicates`, 'Duplicates');
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * Resolve the common parameters of the stale-listing endpoints (query
+ * string or JSON body): the search (from "searchUrl", or the search of
+ * "runId"), "graceRuns" and the target "status" (archived or draft).
+ * Throws an HttpError(400) for invalid values.
+ */
+async function staleListingOptions(req, params) {
+  let searchUrl = params.searchUrl || undefined;
+  if (params.runId) {
+    await ensureRunAccess(req.shopSession, params.runId);
+    const run = await getRun(params.runId);
+    if (!run || !run.searchUrl) {
+      throw new HttpError(404, 'Run not found in history');
+    }
+    searchUrl = run.searchUrl;
+  }
+  const graceRuns = params.graceRuns !== undefined && params.graceRuns !== ''
+    ? parseInt(params.graceRuns)
+    : defaultGraceRuns();
+  if (Number.isNaN(graceRuns) || graceRuns < 1) {
+    throw new HttpError(400, 'graceRuns must be a positive integer');
+  }
+  const status = String(params.status || 'archived').toUpperCase();
+  if (!OFFLINE_STATUSES.includes(status)) {
+    throw new HttpError(400, 'status must be archived or draft');
+  }
+  return {
+    shop: req.shopSession ? req.shopSession.shop : undefined,
+    searchUrl,
+    graceRuns,
+    status
+  };
+}
+
+/*
+ * GET /api/stale-listings
+ *
+ * List exported listings that have disappeared from their search: missing
+ * in at least "graceRuns" consecutive successful runs (default
+ * ARCHIVE_AFTER_MISSING_RUNS, 2).  Accepts:
+ *   runId or searchUrl – optional. Limit to one saved search.
+ *   graceRuns          – optional. Override the grace period.
+ *   status             – 'archived' (default) or 'draft'; the Status
+ *                        written to the CSV/XLSX rows.
+ *   includeArchived    – if 'true', also list listings already archived.
+ *   format             – one of 'json', 'csv' or 'xlsx'. Defaults to 'json'.
+ *
+ * CSV and XLSX contain Handle, Title, Variant SKU and Status, ready to be
+ * imported into Shopify to take the products offline.
+ */
+app.get('/api/stale-listings', requireRole('viewer'), async (req, res) => {
+  try {
+    const { format = 'json', includeArchived } = req.query;
+    const options = await staleListingOptions(req, req.query);
+    const stale = await listStaleListings({
+      ...options,
+      includeArchived: String(includeArchived).toLowerCase() === 'true'
+    });
+    const fmt = String(format).toLowerCase();
+    if (fmt === 'json') {
+      return res.json(stale);
+    }
+    const rows = stale.map((entry) => ({
+      Handle: entry.handle,
+      Title: entry.title,
+      'Variant SKU': entry.sku,
+      Status: options.status.toLowerCase()
+    }));
+    return sendRows(res, rows, fmt, `stale-listings-${options.status.toLowerCase()}`, 'StaleListings');
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * POST /api/stale-listings/archive
+ *
+ * Set the products of stale listings (see GET /api/stale-listings) to
+ * ARCHIVED or DRAFT through the Admin API.  JSON body:
+ *   runId or searchUrl – optional. Limit to one saved search.
+ *   graceRuns          – optional. Override the grace period.
+ *   status             – 'archived' (default) or 'draft'.
+ *   skus               – optional array of SKUs to limit the update to.
+ *   dryRun             – if true, only list what would be updated.
+ *
+ * Products are found through the links recorded by the store push, or by
+ * Handle/SKU lookup.  Listings that are updated are not offered again
+ * unless they reappear in a later run.
+ */
+app.post('/api/stale-listings/archive', requireRole('operator'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const options = await staleListingOptions(req, body);
+    const wanted = Array.isArray(body.skus) && body.skus.length ? new Set(body.skus.map(String)) : null;
+    const stale = (await listStaleListings(options)).filter((entry) => !wanted || wanted.has(entry.sku));
+    if (body.dryRun) {
+      return res.json({ status: options.status, listings: stale });
+    }
+    const links = await getProductLinks(productLinkShop(req));
+    const entries = stale.map((entry) => {
+      const link = links.get(entry.sku);
+      return {
+        row: { Handle: entry.handle, 'Variant SKU': entry.sku },
+        productId: link && !link.unlinkedAt ? link.productId : null
+      };
+    });
+    const { summary, results } = await setProductStatuses(getShopifyClient(req.shopSession), entries, options.status);
+    const updated = new Set(results.filter((r) => r.action === 'updated').map((r) => r.sku));
+    const searches = new Map();
+    stale.filter((entry) => updated.has(entry.sku)).forEach((entry) => {
+      const key = `${entry.shop || ''} ${entry.searchUrl}`;
+      if (!searches.has(key)) searches.set(key, { shop: entry.shop, searchUrl: entry.searchUrl, skus: [] });
+      searches.get(key).skus.push(entry.sku);
+    });
+    for (const search of searches.values()) {
+      await markListingsArchived(search.shop, search.searchUrl, search.skus, options.status);
+    }
+    return res.json({ status: options.status, summary, results });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * GET /api/pricing-preview
+ *
+ * Show how the pricing rules price every listing of a completed run, so
+ * margins can be checked before import.  Accepts:
+ *   runId  – required. The ID of the Apify run.
+ *   format – one of 'json', 'csv' or 'xlsx'. Defaults to 'json'.
+ *
+ * Each record lists the listing ID, title, brand and category, the raw
+ * amount parsed from the dataset, the rule that was applied (default or a
+ * brand/category override), the commission rate and fixed fee, and the
+ * resulting Variant Price.  Listings without a usable amount are included
+ * with an empty price so they stand out.
+ */
+app.get('/api/pricing-preview', requireRole('viewer'), async (req, res) => {
+  try {
+    const { runId, format = 'json', refresh } = req.query;
+    if (!runId) {
+      return res.status(400).json({ error: 'runId query parameter is required' });
+    }
+    const { items } = await loadRunItems(runId, { refresh: String(refresh).toLowerCase() === 'true', session: req.shopSession });
+    const { pricingRules } = await resolveShopSettings(requestShop(req));
+    const records = items.map((item) => {
+      const priced = computeVariantPrice(item, pricingRules);
+      return {
+        id: item.id !== undefined && item.id !== null ? String(item.id) : '',
+        title: item.title || '',
+        brand: item.brand || '',
+        category: item.category || '',
+        rawAmount: priced ? priced.rawAmount : '',
+        currency: extractPriceCurrency(item),
+        rule: priced ? priced.rule.name : '',
+        commissionRate: priced ? priced.rule.commissionRate : '',
+        fixedFee: priced ? priced.rule.fixedFee : '',
+        rounding: priced ? priced.rule.rounding : '',
+        price: priced ? priced.price : ''
+      };
+    });
+    const fmt = String(format).toLowerCase();
+    if (EXPORT_FORMATS.has(fmt)) await trackExport(runId, 'pricing-preview', fmt, records.length);
+    return sendRows(res, records, fmt, `${runId}-pricing-preview`, 'PricingPreview');
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * GET /api/run-diff
+ *
+ * Compare two runs of the same search by listing id.  Accepts:
+ *   from     – required. The older run's ID.
+ *   to       – required. The newer run's ID.
+ *   category – optional. One of 'new', 'removed' or 'changed'.
+ *   format   – one of 'json', 'csv' or 'xlsx'. Defaults to 'json'.
+ *
+ * Without a category, JSON returns a summary plus all three lists and
+ * XLSX returns one worksheet per category; CSV needs a category.  Changed
+ * listings show old and new price, mileage and images side by side.
+ */
+app.get('/api/run-diff', requireRole('viewer'), async (req, res) => {
+  try {
+    const { from, to, category, format = 'json' } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({ error: 'from and to query parameters are required' });
+    }
+    if (category && !DIFF_CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: `category must be one of ${DIFF_CATEGORIES.join(', ')}` });
+    }
+    const fmt = String(format).toLowerCase();
+    const [{ items: oldItems }, { items: newItems }] = await Promise.all([
+      loadRunItems(from, { session: req.shopSession }),
+      loadRunItems(to, { session: req.shopSession })
+    ]);
+    const diff = diffRuns(oldItems, newItems);
+    const fileBase = `${from}-vs-${to}`;
+    if (category) {
+      return sendRows(res, diffRows(diff, category), fmt, `${fileBase}-${category}`, category);
+    }
+    if (fmt === 'json') {
+      return res.json({
+        from,
+        to,
+        summary: {
+          new: diff.new.length,
+          removed: diff.removed.length,
+          changed: diff.changed.length
+        },
+        ...diff
+      });
+    } else if (fmt === 'xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      DIFF_CATEGORIES.forEach((cat) => addRowsToSheet(workbook.addWorksheet(cat), diffRows(diff, cat)));
+      const buffer = await workbook.xlsx.writeBuffer();
+      res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.set('Content-Disposition', `attachment; filename="${fileBase}.xlsx"`);
+      return res.send(Buffer.from(buffer));
+    } else if (fmt === 'csv') {
+      return res.status(400).json({ error: 'category is required for CSV downloads' });
+    }
+    return res.status(400).json({ error: 'Unsupported format. Use json, csv or xlsx.' });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * GET /api/listings/:id/history
+ *
+ * Return the price history of a listing: every observed price, currency
+ * and mileage with the run and date it came from, oldest first.
+ */
+app.get('/api/listings/:id/history', requireRole('viewer'), async (req, res) => {
+  try {
+    const history = await getListingHistory(req.params.id, { shop: req.shopSession ? req.shopSession.shop : undefined });
+    if (!history) {
+      return res.status(404).json({ error: 'No price history for this listing' });
+    }
+    return res.json(history);
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * GET /api/price-drops
+ *
+ * List listings whose latest price dropped by at least a given
+ * percentage within a time window.  Accepts:
+ *   minDropPercent – minimum drop in percent. Defaults to 5.
+ *   days           – length of the window in days. Defaults to 30.
+ *   format         – one of 'json', 'csv' or 'xlsx'. Defaults to 'json'.
+ */
+app.get('/api/price-drops', requireRole('viewer'), async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+    const minDropPercent = parseFloat(req.query.minDropPercent ?? '5');
+    const days = parseFloat(req.query.days ?? '30');
+    if (Number.isNaN(minDropPercent) || Number.isNaN(days) || days <= 0) {
+      return res.status(400).json({ error: 'minDropPercent and days must be numbers (days > 0)' });
+    }
+    const drops = await findPriceDrops({ minDropPercent, days, shop: req.shopSession ? req.shopSession.shop : undefined });
+    return sendRows(res, drops, String(format).toLowerCase(), `price-drops-${minDropPercent}pct-${days}d`, 'PriceDrops');
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * GET /api/settings
+ *
+ * Return the settings of the requesting shop (see lib/settings.js), with
+ * the defaults filled in.  The Apify token is masked; `apify.hasToken`
+ * tells whether one is stored.
+ */
+app.get('/api/settings', requireRole('viewer'), async (req, res) => {
+  try {
+    return res.json(publicSettings(await getShopSettings(requestShop(req))));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * PUT /api/settings
+ *
+ * Update the settings of the requesting shop.  The JSON body may contain
+ * any of metafieldsMapping, templateSuffix, tvaDefault, pricing, apify
+ * ({ token, actorId }) and locale; omitted keys keep their value and null
+ * resets metafieldsMapping and pricing to the global files.  Invalid
+ * values are rejected with 400.  Responds with the updated settings.
+ */
+app.put('/api/settings', requireRole('admin'), async (req, res) => {
+  try {
+    const settings = await updateShopSettings(requestShop(req), req.body);
+    return res.json(publicSettings(settings));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * The metafields mapping in effect for a shop with what the editor needs
+ * around it: whether it is the shop's own (`custom`) or the global file,
+ * the destination limit, the exported destination columns and warnings
+ * for destinations that are renamed or dropped by mapToNewMetafields().
+ */
+async function mappingState(shop) {
+  const settings = await getShopSettings(shop);
+  const mapping = settings.metafieldsMapping || await loadMetafieldsMappingFile();
+  return {
+    mapping,
+    custom: Boolean(settings.metafieldsMapping),
+    maxDestinations: MAX_MAPPING_DESTINATIONS,
+    destinations: exportedDestinations(),
+    warnings: mappingDestinationWarnings(mapping)
+  };
+}
+
+/*
+ * GET /api/mapping
+ *
+ * Return the metafields mapping used for the requesting shop's exports
+ * (see mappingState()).
+ */
+app.get('/api/mapping', requireRole('viewer'), async (req, res) => {
+  try {
+    return res.json(await mappingState(requestShop(req)));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * PUT /api/mapping
+ *
+ * Store the shop's metafields mapping.  JSON body: { mapping: [{ source,
+ * dests }] }, or { mapping: null } to go back to the global mapping file.
+ * Responds like GET /api/mapping, including the warnings.
+ */
+app.put('/api/mapping', requireRole('admin'), async (req, res) => {
+  try {
+    const { mapping } = req.body || {};
+    if (mapping === undefined) {
+      return res.status(400).json({ error: 'mapping is required (an array, or null to use the global file)' });
+    }
+    const shop = requestShop(req);
+    await updateShopSettings(shop, { metafieldsMapping: mapping });
+    return res.json(await mappingState(shop));
   } catch (err) {
-    return res.status(500).json({ error: err.message });
+    return sendError(res, err);
   }
 });
 
 /*
- * Serve a simple HTML page that lets the user enter a mobile.de search
- * URL and optional maximum item count. It includes a bit of client-side
- * JavaScript to start the actor run and poll for status updates.
- */
-app.get('/', (req, res) => {
-  res.send(`<!DOCTYPE html>
-<html lang="en">
-  <head>
-    <meta charset="UTF-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-    <title>Mobile.de Data Crawler</title>
-    <style>
-      body { font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto; padding: 0 20px; }
-      h1 { font-size: 24px; margin-bottom: 20px; }
-      label { font-weight: bold; display: block; margin-top: 12px; }
-      input[type=text], input[type=number] { width: 100%; padding: 8px; box-sizing: border-box; margin-top: 4px; }
-      button { margin-top: 16px; padding: 10px 20px; font-size: 16px; }
-      #progress { margin-top: 20px; font-weight: bold; }
-      #links a { display: inline-block; margin-right: 12px; }
-    </style>
-  </head>
-  <body>
-    <h1>Mobile.de Data Crawler</h1>
-    <form id="crawlForm">
-      <label for="searchUrl">Search URL</label>
-      <input type="text" id="searchUrl" name="searchUrl" placeholder="https://suchen.mobile.de/fahrzeuge/search.html?..." required />
-      <label for="maxItems">Maximum items (optional)</label>
-      <input type="number" id="maxItems" name="maxItems" min="1" placeholder="e.g. 50" />
-      <button type="submit">Start crawl</button>
-    </form>
-    <div id="progress"></div>
-    <div id="links"></div>
-    <script>
-      document.getElementById('crawlForm').addEventListener('submit', async function (e) {
-        e.preventDefault();
-        const searchUrl = document.getElementById('searchUrl').value.trim();
-        const maxItems = document.getElementById('maxItems').value;
-        document.getElementById('progress').textContent = '';
-        document.getElementById('links').innerHTML = '';
-        if (!searchUrl) {
-          alert('Please provide a search URL');
-          return;
-        }
-        try {
-          const resp = await fetch('/api/start-run', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ searchUrl, maxItems })
-          });
-          const json = await resp.json();
-          if (json.error) {
-            alert(json.error);
-            return;
-          }
-          const runId = json.runId;
-          document.getElementById('progress').textContent = 'Run started. ID: ' + runId;
-          // Poll for status every 3 seconds.
-          const poll = setInterval(async () => {
-            try {
-              const statusResp = await fetch('/api/run-status?runId=' + encodeURIComponent(runId));
-              const status = await statusResp.json();
-              const succeededCount = status.stats && (status.stats.succeeded || status.stats.itemsOutput) || 0;
-              document.getElementById('progress').textContent = 'Status: ' + status.status + ' | Succeeded: ' + succeededCount;
-              if (status.status === 'SUCCEEDED') {
-                clearInterval(poll);
-                document.getElementById('progress').textContent = 'Run succeeded. ' + succeededCount + ' items.';
-                document.getElementById('links').innerHTML =
-                  '<p>Downloads:</p>' +
-                  '<a href="/api/run-results?runId=' + runId + '&format=json">Raw JSON</a> | ' +
-                  '<a href="/api/run-results?runId=' + runId + '&format=csv">Raw CSV</a> | ' +
-                  '<a href="/api/run-results?runId=' + runId + '&format=xlsx">Raw Excel</a> | ' +
-                  '<a href="/api/run-results?runId=' + runId + '&format=json&normalized=true">Normalized JSON</a> | ' +
-                  '<a href="/api/run-results?runId=' + runId + '&format=csv&normalized=true">Normalized CSV</a> | ' +
-                  '<a href="/api/run-results?runId=' + runId + '&format=xlsx&normalized=true">Normalized Excel</a>';
-              } else if (status.status === 'FAILED' || status.status === 'ABORTED') {
-                clearInterval(poll);
-                document.getElementById('progress').textContent = 'Run ended with status: ' + status.status;
-              }
-            } catch (err) {
-              clearInterval(poll);
-              document.getElementById('progress').textContent = 'Error while polling run status';
-            }
-          }, 3000);
-        } catch (err) {
-          alert('Failed to start run: ' + err.message);
-        }
-      });
-    </script>
-  </body>
-</html>`);
+ * GET /api/mapping/sources
+ *
+ * List the source fields found in the datasets of the shop's recent
+ * succeeded runs, with how many items had a value and an example.
+ * Accepts `runs` (number of recent runs to scan, default 5).  Only runs
+ * with a dataset snapshot are scanned, so no Apify calls are made.
+ */
+app.get('/api/mapping/sources', requireRole('viewer'), async (req, res) => {
+  try {
+    const limit = parseInt(req.query.runs ?? '5');
+    if (Number.isNaN(limit) || limit <= 0) {
+      return res.status(400).json({ error: 'runs must be a positive number' });
+    }
+    const runs = await listRuns({ shop: req.shopSession ? req.shopSession.shop : undefined });
+    const scanned = [];
+    const items = [];
+    for (const run of runs) {
+      if (scanned.length >= limit) break;
+      const snapshot = await readSnapshot(run.runId);
+      if (!snapshot) continue;
+      scanned.push(run.runId);
+      items.push(...adaptRunItems(run, snapshot.items));
+    }
+    return res.json({ runs: scanned, itemCount: items.length, fields: collectSourceFields(items) });
+  } catch (err) {
+    return sendError(res, err);
+  }
 });
 
 /*
- * POST /api/start-crawl
+ * GET /api/mapping/export
  *
- * Kick off an Apify actor run asynchronously. Accepts JSON body with
- * "searchUrl" and optional "maxItems". Returns the ID of the run. If
- * APIFY_USE_ACTOR is false, this endpoint is disabled to prevent
- * accidental misuse.
+ * Download the mapping in effect as an xlsx file in the Metafields_Mapping
+ * layout, e.g. to edit it in Excel and import it again.
  */
-// Start a crawl run by launching the Apify actor with the provided search URL.
-// This endpoint initiates a crawl and returns a runId.  It does not
-// perform any normalization or Shopify mapping.
-app.post('/api/start-crawl', async (req, res) => {
+app.get('/api/mapping/export', requireRole('viewer'), async (req, res) => {
   try {
-    const { searchUrl, maxItems } = req.body || {};
-    if (!searchUrl) {
-      return res.status(400).json({ error: 'searchUrl is required' });
-    }
-    // Determine which token to use. Prefer APIFY_TOKEN, fallback to APIFY_API_TOKEN.
-    const token = process.env.APIFY_TOKEN || process.env.APIFY_API_TOKEN;
-    if (!token) {
-      return res.status(500).json({ error: 'APIFY_TOKEN or APIFY_API_TOKEN must be set' });
-    }
-    const useActor = String(process.env.APIFY_USE_ACTOR || 'true').toLowerCase() !== 'false';
-    if (!useActor) {
-      return res.status(400).json({ error: 'APIFY_USE_ACTOR=false. Cannot start actor run.' });
-    }
-    const actorId = process.env.APIFY_ACTOR_ID;
-    if (!actorId) {
-      return res.status(500).json({ error: 'APIFY_ACTOR_ID must be set' });
-    }
-    // Build actor input using the new Mobile.de scraper schema.
-    // The actor expects searchPageURLs at the top level of the input,
-    // along with additional parameters for pagination, reviews and
-    // category.  We map the user-provided search URL into the
-    // searchPageURLs array and set sensible defaults for other
-    // properties.  maxItems controls the maximum number of results
-    // to retrieve.
-    const max = parseInt(maxItems);
-    const input = {
-      searchPageURLs: [searchUrl],
-      // Increase the default page limit to ensure all results from the
-      // provided search URL are captured.  The user can adjust this via
-      // environment variables if needed.
-      searchPageURLMaxItems: 5000,
-      // Disable reviews extraction by default (0 = no reviews).
-      reviewLimit: 0,
-      // Enable automatic paging through search results.
-      automaticPaging: true,
-      // Default category to Car to match typical mobile.de searches.
-      searchCategory: 'Car',
-      // Empty arrays indicate no additional search terms or model filters.
-      searchTerms: [],
-      models: [],
-      // Use the default sort order; can be changed via other inputs
-      sort: 'Standard'
-    };
-    if (!Number.isNaN(max) && max > 0) input.maxItems = max;
-    // Start the actor run asynchronously.
-    //
-    // NOTE: Pass the input object directly as the request body rather than
-    // wrapping it under an "input" property. According to Apify's API
-    // documentation, the POST payload itself is treated as the Actor's
-    // input【673632852931336†L0-L0】. This ensures that only the keys defined in
-    // our input object are sent to the Actor and avoids injecting
-    // deprecated `start_urls` or other default keys into the run
-    // configuration. This also aligns with the working example provided by
-    // the user, where the JSON payload defines `searchPageURLs`,
-    // `searchPageURLMaxItems`, `reviewLimit`, `automaticPaging`,
-    // `searchCategory`, `searchTerms`, `models`, `sort` and `maxItems`
-    // directly at the top level.
-    const runResp = await fetch(`https://api.apify.com/v2/acts/${actorId}/runs`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
-      },
-      body: JSON.stringify(input)
-    });
-    const runData = await runResp.json();
-    if (!runResp.ok) {
-      return res.status(runResp.status).json({ error: runData.error || 'Failed to start actor run', detail: runData });
-    }
-    const runId = runData.data?.id || runData.id;
-    if (!runId) {
-      return res.status(500).json({ error: 'Actor run did not return an ID', detail: runData });
+    const { mapping } = await mappingState(requestShop(req));
+    const buffer = await writeMappingWorkbook(mapping);
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.set('Content-Disposition', 'attachment; filename="metafields-mapping.xlsx"');
+    return res.send(buffer);
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * POST /api/mapping/import
+ *
+ * Replace the shop's mapping with the one in an uploaded xlsx file (the
+ * raw file as request body).  A file without the Metafields_Mapping sheet
+ * or source column is rejected with 400.  Responds like GET /api/mapping.
+ */
+app.post('/api/mapping/import', requireRole('admin'), express.raw({ type: () => true, limit: '5mb' }), async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Upload the xlsx file as the request body (Content-Type application/octet-stream or the xlsx type)' });
     }
-    return res.json({ runId });
+    const mapping = await readMappingBuffer(req.body);
+    const shop = requestShop(req);
+    await updateShopSettings(shop, { metafieldsMapping: mapping });
+    return res.json(await mappingState(shop));
   } catch (err) {
-    return res.status(500).json({ error: err.message });
+    return sendError(res, err);
   }
 });
 
-// Start a crawl run under the legacy path.  This route simply calls the
-// handler defined for /api/start-crawl.  Defining it explicitly avoids
-// reliance on internal router internals and ensures that both paths
-// are available regardless of load order.
-app.post('/api/start-run', async (req, res) => {
-  // reuse the /api/start-crawl handler directly
-  const handler = app._router.stack.find(
-    (layer) => layer.route && layer.route.path === '/api/start-crawl'
-  )?.route.stack[0].handle;
-  if (handler) {
-    return handler(req, res);
+/*
+ * GET /api/export-profiles
+ *
+ * List the export profiles available to the requesting shop: the
+ * built-in ones followed by its own.
+ */
+app.get('/api/export-profiles', requireRole('viewer'), async (req, res) => {
+  try {
+    const settings = await getShopSettings(requestShop(req));
+    return res.json(listExportProfiles(settings.exportProfiles));
+  } catch (err) {
+    return sendError(res, err);
   }
-  return res.status(404).json({ error: 'Start crawl handler not found' });
 });
 
 /*
- * GET /api/run-status
+ * PUT /api/export-profiles/:name
  *
- * Poll the status of a running actor. Requires "runId" as a query
- * parameter. Returns the Apify run JSON as-is. If the run is not found or
- * there is an API error, it will return the error from Apify.
+ * Create or replace one of the shop's own export profiles.  JSON body:
+ * { base, description, template, mapping, columns } (see
+ * lib/exportProfiles.js).  Built-in profiles cannot be replaced.
  */
-app.get('/api/run-status', async (req, res) => {
+app.put('/api/export-profiles/:name', requireRole('admin'), async (req, res) => {
   try {
-    const { runId } = req.query;
-    if (!runId) {
-      return res.status(400).json({ error: 'runId query parameter is required' });
-    }
-    const token = process.env.APIFY_TOKEN || process.env.APIFY_API_TOKEN;
-    if (!token) {
-      return res.status(500).json({ error: 'APIFY_TOKEN or APIFY_API_TOKEN must be set' });
-    }
-    const statusResp = await fetch(`https://api.apify.com/v2/actor-runs/${runId}`, {
-      headers: { 'Authorization': `Bearer ${token}` }
+    const shop = requestShop(req);
+    const { exportProfiles } = await getShopSettings(shop);
+    const settings = await updateShopSettings(shop, {
+      exportProfiles: { ...exportProfiles, [req.params.name]: req.body }
     });
-    const statusData = await statusResp.json();
-    if (!statusResp.ok) {
-      return res.status(statusResp.status).json({ error: statusData.error || 'Failed to fetch run status', detail: statusData });
-    }
-    return res.json(statusData.data || statusData);
+    return res.json(listExportProfiles(settings.exportProfiles).find((p) => p.name === req.params.name));
   } catch (err) {
-    return res.status(500).json({ error: err.message });
+    return sendError(res, err);
   }
 });
 
 /*
- * GET /api/run-results
+ * DELETE /api/export-profiles/:name
  *
- * Fetch items from a completed actor run's dataset. Accepts the following
- * query parameters:
- *   runId      – required. The ID of the Apify run.
- *   format     – one of "json", "csv" or "xlsx". Defaults to "json".
- *   normalized – if "true", apply the normalizeItem() transformation to
- *                each record. Defaults to false.
+ * Remove one of the shop's own export profiles.
+ */
+app.delete('/api/export-profiles/:name', requireRole('admin'), async (req, res) => {
+  try {
+    const shop = requestShop(req);
+    const { exportProfiles } = await getShopSettings(shop);
+    if (!exportProfiles[req.params.name]) {
+      return res.status(404).json({ error: 'Export profile not found' });
+    }
+    const remaining = { ...exportProfiles };
+    delete remaining[req.params.name];
+    await updateShopSettings(shop, { exportProfiles: remaining });
+    return res.json({ deleted: req.params.name });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * GET /api/actor-presets
  *
- * The endpoint will determine the run's defaultDatasetId, fetch the items
- * from the dataset in JSON, optionally normalise them and then return
- * either JSON, CSV or Excel content. Excel files are built on-the-fly
- * using exceljs.
+ * List the actor input presets available to the requesting shop (the
+ * built-in ones followed by its own) and the actor adapters a preset can
+ * use.
  */
-app.get('/api/run-results', async (req, res) => {
+app.get('/api/actor-presets', requireRole('viewer'), async (req, res) => {
   try {
-    const { runId, format = 'json', normalized } = req.query;
-    if (!runId) {
-      return res.status(400).json({ error: 'runId query parameter is required' });
-    }
-    const token = process.env.APIFY_TOKEN || process.env.APIFY_API_TOKEN;
-    if (!token) {
-      return res.status(500).json({ error: 'APIFY_TOKEN or APIFY_API_TOKEN must be set' });
-    }
-    // Fetch run to get defaultDatasetId and status.
-    const runResp = await fetch(`https://api.apify.com/v2/actor-runs/${runId}`, {
-      headers: { 'Authorization': `Bearer ${token}` }
+    const settings = await getShopSettings(requestShop(req));
+    return res.json({
+      presets: listActorPresets(settings.actorPresets),
+      adapters: Object.entries(ACTOR_ADAPTERS).map(([name, adapter]) => ({ name, description: adapter.description }))
     });
-    const runData = await runResp.json();
-    if (!runResp.ok) {
-      return res.status(runResp.status).json({ error: runData.error || 'Failed to fetch run details', detail: runData });
-    }
-    const datasetId = runData.data?.defaultDatasetId || runData.defaultDatasetId;
-    if (!datasetId) {
-      return res.status(404).json({ error: 'Dataset ID not found for this run. Make sure the run has finished successfully.' });
-    }
-    // Determine whether normalisation is requested.
-    const doNormalize = String(normalized || 'false').toLowerCase() === 'true';
-    // Always fetch JSON when normalisation is requested or when the desired format is xlsx.
-    let items = [];
-    if (doNormalize || format === 'xlsx') {
-      const itemsResp = await fetch(`https://api.apify.com/v2/datasets/${datasetId}/items?clean=true&format=json`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
-      const jsonItems = await itemsResp.json();
-      items = Array.isArray(jsonItems) ? jsonItems : [];
-      if (doNormalize) {
-        items = items.map(normalizeItem);
-      }
-    }
-    // Based on the requested format, return the data.
-    const fmt = format.toLowerCase();
-    if (fmt === 'json') {
-      // If normalization requested and items loaded above, return them; otherwise fetch raw JSON.
-      if (!doNormalize) {
-        const rawResp = await fetch(`https://api.apify.com/v2/datasets/${datasetId}/items?clean=true&format=json`, {
-          headers: { 'Authorization': `Bearer ${token}` }
-        });
-        const rawJson = await rawResp.json();
-        return res.json(rawJson);
-      }
-      return res.json(items);
-    } else if (fmt === 'csv') {
-      if (!doNormalize) {
-        // Streaming CSV directly from Apify for raw dataset.
-        const csvResp = await fetch(`https://api.apify.com/v2/datasets/${datasetId}/items?clean=true&format=csv`, {
-          headers: { 'Authorization': `Bearer ${token}` }
-        });
-        const csvBody = await csvResp.text();
-        res.set('Content-Type', 'text/csv');
-        res.set('Content-Disposition', `attachment; filename="${runId}-items.csv"`);
-        return res.send(csvBody);
-      }
-      // Normalised CSV: convert normalised items to CSV via toCsv().
-      const csv = toCsv(items);
-      res.set('Content-Type', 'text/csv');
-      res.set('Content-Disposition', `attachment; filename="${runId}-normalized.csv"`);
-      return res.send(csv);
-    } else if (fmt === 'xlsx') {
-      // Build an Excel workbook from the items (either normalised or raw JSON).
-      const workbook = new ExcelJS.Workbook();
-      const worksheet = workbook.addWorksheet('Sheet1');
-      // Determine all headers.
-      const headerSet = new Set();
-      items.forEach((row) => {
-        Object.keys(row).forEach((key) => headerSet.add(key));
-      });
-      const headers = Array.from(headerSet);
-      worksheet.addRow(headers);
-      items.forEach((row) => {
-        const line = headers.map((h) => row[h] ?? '');
-        worksheet.addRow(line);
-      });
-      const buffer = await workbook.xlsx.writeBuffer();
-      res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-      res.set('Content-Disposition', `attachment; filename="${runId}-${doNormalize ? 'normalized' : 'items'}.xlsx"`);
-      return res.send(Buffer.from(buffer));
-    }
-    return res.status(400).json({ error: 'Unsupported format. Use json, csv or xlsx.' });
   } catch (err) {
-    return res.status(500).json({ error: err.message });
+    return sendError(res, err);
   }
 });
 
 /*
- * GET /api/shopify-import
- *
- * Generate a Shopify import file based on the completed actor run's dataset
- * and a metafields mapping sheet.  This endpoint accepts:
- *   runId  – required. The ID of the Apify run.
- *   format – one of 'json', 'csv' or 'xlsx'. Defaults to 'json'.
+ * PUT /api/actor-presets/:name
  *
- * It loads the mapping file (sheet 'Metafields_Mapping') from
- * dataset_mobile-de-scraper_mapped_metafields.xlsx (or from the file
- * specified via METAFIELDS_MAPPING_FILE) and applies it to each
- * dataset item to produce a structured Shopify import row.  Additional
- * columns such as Title, Variant SKU/ID, Vendor, Image Src, Tags,
- * Body HTML and Features are generated automatically.  The resulting
- * dataset can be downloaded in JSON, CSV or Excel formats.
+ * Create or replace one of the shop's own actor input presets.  JSON
+ * body: { adapter, actorId, description, input } (see
+ * lib/actorAdapters.js).  A preset named like a built-in one replaces it
+ * for the shop.
  */
-app.get('/api/shopify-import', async (req, res) => {
+app.put('/api/actor-presets/:name', requireRole('admin'), async (req, res) => {
   try {
-    const { runId, format = 'json' } = req.query;
-    if (!runId) {
-      return res.status(400).json({ error: 'runId query parameter is required' });
-    }
-    const token = process.env.APIFY_TOKEN || process.env.APIFY_API_TOKEN;
-    if (!token) {
-      return res.status(500).json({ error: 'APIFY_TOKEN or APIFY_API_TOKEN must be set' });
-    }
-    // Fetch run details to get dataset ID.
-    const runResp = await fetch(`https://api.apify.com/v2/actor-runs/${runId}`, {
-      headers: { 'Authorization': `Bearer ${token}` }
+    const shop = requestShop(req);
+    const { actorPresets } = await getShopSettings(shop);
+    const settings = await updateShopSettings(shop, {
+      actorPresets: { ...actorPresets, [req.params.name]: req.body }
     });
-    const runData = await runResp.json();
-    if (!runResp.ok) {
-      return res.status(runResp.status).json({ error: runData.error || 'Failed to fetch run details', detail: runData });
-    }
-    const datasetId = runData.data?.defaultDatasetId || runData.defaultDatasetId;
-    if (!datasetId) {
-      return res.status(404).json({ error: 'Dataset ID not found for this run. Ensure the run has finished.' });
+    return res.json(listActorPresets(settings.actorPresets).find((p) => p.name === req.params.name));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * DELETE /api/actor-presets/:name
+ *
+ * Delete one of the shop's own actor input presets; a built-in preset it
+ * replaced becomes available again.
+ */
+app.delete('/api/actor-presets/:name', requireRole('admin'), async (req, res) => {
+  try {
+    const shop = requestShop(req);
+    const { actorPresets } = await getShopSettings(shop);
+    if (!actorPresets[req.params.name]) {
+      return res.status(404).json({ error: 'Actor preset not found' });
+    }
+    const remaining = { ...actorPresets };
+    delete remaining[req.params.name];
+    await updateShopSettings(shop, { actorPresets: remaining });
+    return res.json({ deleted: req.params.name });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * GET /api/me
+ *
+ * Who the request is authenticated as: { type ('shopify', 'user',
+ * 'api-key' or 'open'), name, role, shop }.
+ */
+app.get('/api/me', requireRole('viewer'), (req, res) => {
+  return res.json({ ...req.principal, roles: ROLES });
+});
+
+/*
+ * GET /api/users
+ *
+ * List the shop's staff accounts.
+ */
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    return res.json(await listUsers(requestShop(req)));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * POST /api/users
+ *
+ * Create a staff account for the shop.  JSON body: username, password
+ * (at least 10 characters) and role (viewer, operator or admin).
+ */
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    return res.status(201).json(await createUser(requestShop(req), req.body));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * Refuse changes that would take admin access away from the account
+ * making the request.
+ */
+function ensureNotSelfDemotion(req, username, role) {
+  const me = req.principal;
+  if (me.type === 'user' && me.name === String(username).toLowerCase() && role !== 'admin') {
+    throw new HttpError(409, 'You cannot remove your own admin access');
+  }
+}
+
+/*
+ * PUT /api/users/:username
+ *
+ * Change the role and/or password of a staff account of the shop.  A new
+ * password logs the account out everywhere.
+ */
+app.put('/api/users/:username', requireRole('admin'), async (req, res) => {
+  try {
+    const { role, password } = req.body || {};
+    if (role !== undefined) ensureNotSelfDemotion(req, req.params.username, role);
+    const user = await updateUser(requestShop(req), req.params.username, { role, password });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    return res.json(user);
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * DELETE /api/users/:username
+ *
+ * Delete a staff account of the shop and end its login sessions.
+ */
+app.delete('/api/users/:username', requireRole('admin'), async (req, res) => {
+  try {
+    ensureNotSelfDemotion(req, req.params.username, null);
+    if (!(await deleteUser(requestShop(req), req.params.username))) {
+      return res.status(404).json({ error: 'User not found' });
     }
-    // Load raw items from the dataset.
-    const itemsResp = await fetch(`https://api.apify.com/v2/datasets/${datasetId}/items?clean=true&format=json`, {
-      headers: { 'Authorization': `Bearer ${token}` }
-    });
-    const rawItems = await itemsResp.json();
-    const items = Array.isArray(rawItems) ? rawItems : [];
-    // Load metafields mapping
-    const mappingList = await loadMetafieldsMappingFile();
-    // Map items to metafield rows
-    const mapped = mapDatasetToMetafields(items, mappingList);
-    const fmt = String(format).toLowerCase();
-    if (fmt === 'json') {
-      return res.json(mapped);
-    } else if (fmt === 'csv') {
-      const csv = toCsv(mapped);
-      res.set('Content-Type', 'text/csv');
-      res.set('Content-Disposition', `attachment; filename="${runId}-shopify-import.csv"`);
-      return res.send(csv);
-    } else if (fmt === 'xlsx') {
-      const workbook = new ExcelJS.Workbook();
-      const worksheet = workbook.addWorksheet('ShopifyImport');
-      // Determine all headers in order of appearance from mapping list
-      const headerSet = new Set();
-      mapped.forEach((row) => {
-        Object.keys(row).forEach((key) => headerSet.add(key));
-      });
-      const headers = Array.from(headerSet);
-      worksheet.addRow(headers);
-      mapped.forEach((row) => {
-        const line = headers.map((h) => row[h] ?? '');
-        worksheet.addRow(line);
-      });
-      const buffer = await workbook.xlsx.writeBuffer();
-      res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-      res.set('Content-Disposition', `attachment; filename="${runId}-shopify-import.xlsx"`);
-      return res.send(Buffer.from(buffer));
+    return res.json({ deleted: req.params.username });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * GET /api/api-keys
+ *
+ * List the shop's API keys (name, role, prefix and last use; never the
+ * key itself).
+ */
+app.get('/api/api-keys', requireRole('admin'), async (req, res) => {
+  try {
+    return res.json(await listApiKeys(requestShop(req)));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * POST /api/api-keys
+ *
+ * Create an API key for the shop.  JSON body: name and role.  The
+ * response is the only place the key (`key`) is ever shown; scripts send
+ * it in the X-API-Key header.
+ */
+app.post('/api/api-keys', requireRole('admin'), async (req, res) => {
+  try {
+    const { key, apiKey } = await createApiKey(requestShop(req), req.body || {});
+    return res.status(201).json({ ...apiKey, key });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/*
+ * DELETE /api/api-keys/:id
+ *
+ * Revoke an API key of the shop.
+ */
+app.delete('/api/api-keys/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!(await deleteApiKey(requestShop(req), req.params.id))) {
+      return res.status(404).json({ error: 'API key not found' });
     }
-    return res.status(400).json({ error: 'Unsupported format. Use json, csv or xlsx.' });
+    return res.json({ deleted: req.params.id });
   } catch (err) {
-    return res.status(500).json({ error: err.message });
+    return sendError(res, err);
+  }
+});
+
+/*
+ * GET /api/access/denied
+ *
+ * Recently denied requests of the shop's keys, accounts and sessions
+ * (requests lacking the required role), newest first.  Failed logins,
+ * unknown keys and other anonymous requests are only logged.
+ */
+app.get('/api/access/denied', requireRole('admin'), async (req, res) => {
+  try {
+    return res.json(await listDenied(requestShop(req)));
+  } catch (err) {
+    return sendError(res, err);
   }
 });
 
@@ -2063,4 +4061,12 @@ app.get('/api/shopify-import', async (req, res) => {
  */
 app.listen(port, () => {
   console.log(`Server listening on http://localhost:${port}`);
+  if (getAuthConfig().disabled && accessControlDisabled()) {
+    console.warn('ACCESS_CONTROL_DISABLED=true: the API is open to anyone who can reach this server');
+  }
+  ensureBootstrapAdmin()
+    .then((user) => user && console.log(`Created admin account ${user.username}`))
+    .catch((err) => console.error(`Failed to create the admin account: ${err.message}`));
+  startExportJobs().catch((err) => console.error(`Failed to start export jobs: ${err.message}`));
+  resumePostProcessing().catch((err) => console.error(`Failed to resume post-processing: ${err.message}`));
 });
\ No newline at end of file